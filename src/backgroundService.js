@@ -149,7 +149,7 @@ class BackgroundService {
 
       // Do initial test poll to validate everything works
       try {
-        await this.pollWorkflow(userAutomationKey, userAutomation.id, workflow, tokens, userConfig);
+        await this.pollWorkflow(userAutomationKey, userAutomation.id, workflow, tokens, userConfig, { userId, automationId });
         console.log(`[BackgroundService] ✅ Initial test poll successful!`);
       } catch (testError) {
         // Test failed - clean up and throw error
@@ -165,7 +165,7 @@ class BackgroundService {
 
       // Test passed! Start polling interval
       const intervalId = setInterval(async () => {
-        await this.pollWorkflow(userAutomationKey, userAutomation.id, workflow, tokens, userConfig);
+        await this.pollWorkflow(userAutomationKey, userAutomation.id, workflow, tokens, userConfig, { userId, automationId });
       }, intervalMs);
 
       this.pollingIntervals.set(userAutomationKey, intervalId);
@@ -211,14 +211,19 @@ class BackgroundService {
 
   /**
    * Poll a workflow (check trigger and execute if triggered)
+   * @param {Object} [owner] - { userId, automationId } recorded in execution history
    */
-  async pollWorkflow(userAutomationKey, userAutomationId, workflow, tokens, config) {
+  async pollWorkflow(userAutomationKey, userAutomationId, workflow, tokens, config, owner = {}) {
     try {
       const lastPollTime = this.lastPollTimes.get(userAutomationKey);
       const processedFiles = this.processedFiles?.get(userAutomationKey) || new Set();
 
       // Create execution context with last poll time and processed files
-      const runner = new WorkflowRunner();
+      const runner = new WorkflowRunner({
+        userId: owner.userId,
+        workflowId: owner.automationId,
+        triggerType: 'poll'
+      });
 
       // Capture start time BEFORE execution to avoid "gap" race condition
       const executionStartTime = new Date().toISOString();
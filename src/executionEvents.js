@@ -0,0 +1,131 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Execution event hub
+ * Collects the progress events of running executions (see WorkflowRunner) by
+ * execution id, so HTTP clients can follow a run live over Server-Sent Events:
+ * - runs in this process publish their runner's events directly (forwardRunnerEvents)
+ * - queued runs relay them through BullMQ job progress, which queue.js republishes here
+ *
+ * Recent events are buffered per execution, so a client that connects after
+ * the run started (or reconnects) still gets the whole story. Buffers are
+ * dropped a while after the execution finishes.
+ */
+
+const RUNNER_EVENTS = ['executionStarted', 'nodeStarted', 'nodeFinished', 'nodeFailed', 'executionFinished'];
+const MAX_EVENTS_PER_EXECUTION = 500;
+const MAX_BUFFERED_EXECUTIONS = 1000;
+const FINISHED_BUFFER_TTL_MS = 5 * 60 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// executionId -> { events: [{ seq, event }], nextSeq, finished, ownerId }
+const buffers = new Map();
+
+/**
+ * Pass every progress event of a runner to `listener`, as { type, executionId, ... }
+ * @param {EventEmitter} runner - WorkflowRunner
+ * @param {function(Object): void} listener - e.g. publishExecutionEvent
+ */
+function forwardRunnerEvents(runner, listener) {
+  for (const type of RUNNER_EVENTS) {
+    runner.on(type, data => listener({ type, ...data }));
+  }
+}
+
+/**
+ * Record an event and deliver it to the execution's subscribers
+ * @param {Object} event - { type, executionId, ... }
+ */
+function publishExecutionEvent(event) {
+  if (!event || !event.executionId || !RUNNER_EVENTS.includes(event.type)) return;
+
+  const buffer = getBuffer(event.executionId);
+  const seq = buffer.nextSeq++;
+  buffer.events.push({ seq, event });
+  if (buffer.events.length > MAX_EVENTS_PER_EXECUTION) {
+    buffer.events.shift();
+  }
+
+  if (event.type === 'executionFinished') {
+    buffer.finished = true;
+    setTimeout(() => buffers.delete(event.executionId), FINISHED_BUFFER_TTL_MS).unref();
+  }
+
+  emitter.emit(event.executionId, event, seq);
+}
+
+/**
+ * Claim an id for a new execution, so its events can't mix with another
+ * run's: false when another run already claimed it or published events under
+ * it (and its buffer hasn't been dropped yet)
+ * @param {string} executionId
+ * @param {string} [ownerId] - User the run belongs to; only they may follow it
+ * @returns {boolean}
+ */
+function reserveExecutionId(executionId, ownerId) {
+  if (buffers.has(executionId)) return false;
+  getBuffer(executionId).ownerId = ownerId !== undefined && ownerId !== null ? String(ownerId) : null;
+  return true;
+}
+
+/**
+ * User a buffered execution belongs to
+ * @param {string} executionId
+ * @returns {string|null|undefined} undefined when nothing is buffered under the id,
+ *          null when the run has no owner
+ */
+function getExecutionOwner(executionId) {
+  const buffer = buffers.get(executionId);
+  return buffer ? buffer.ownerId : undefined;
+}
+
+/**
+ * Events buffered for an execution so far
+ * @param {string} executionId
+ * @returns {{events: Array<{seq: number, event: Object}>, finished: boolean}}
+ */
+function getExecutionEvents(executionId) {
+  const buffer = buffers.get(executionId);
+  return buffer
+    ? { events: [...buffer.events], finished: buffer.finished }
+    : { events: [], finished: false };
+}
+
+/**
+ * Receive an execution's events as they are published
+ * @param {string} executionId
+ * @param {function(Object, number): void} listener - Called with (event, seq)
+ * @returns {function(): void} Unsubscribe
+ */
+function subscribeToExecution(executionId, listener) {
+  emitter.on(executionId, listener);
+  return () => emitter.off(executionId, listener);
+}
+
+/**
+ * @private
+ */
+function getBuffer(executionId) {
+  let buffer = buffers.get(executionId);
+  if (!buffer) {
+    // Executions that never finished (crashed workers) must not pile up
+    if (buffers.size >= MAX_BUFFERED_EXECUTIONS) {
+      buffers.delete(buffers.keys().next().value);
+    }
+    buffer = { events: [], nextSeq: 0, finished: false, ownerId: null };
+    buffers.set(executionId, buffer);
+  }
+  return buffer;
+}
+
+module.exports = {
+  RUNNER_EVENTS,
+  forwardRunnerEvents,
+  publishExecutionEvent,
+  reserveExecutionId,
+  getExecutionOwner,
+  getExecutionEvents,
+  subscribeToExecution
+};
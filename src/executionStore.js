@@ -0,0 +1,514 @@
+const fs = require('fs');
+const path = require('path');
+const { sanitizeItems } = require('./utils/resultSanitizer');
+
+/**
+ * Execution history
+ * Records every finished execution - who ran which workflow, how it was
+ * triggered, when, whether it succeeded - with per-node run data (timing,
+ * input/output item counts, errors) and a truncated snapshot of each node's
+ * output, so past runs can be inspected after the fact. snapshotInfo says, per
+ * node, whether its snapshot is the whole output: `truncated` when items were
+ * cut off, `binaryReleased` when its binary data is gone (inline data is never
+ * stored, stored files are deleted when the execution ends).
+ *
+ * Backends:
+ * - SupabaseExecutionBackend - the workflow_executions table (production; created by
+ *   the migration in supabase/migrations)
+ * - JsonFileExecutionBackend - one JSON file per execution (local development)
+ *
+ * Configuration (environment variables):
+ * - EXECUTION_STORE            - supabase | json | none (default: supabase when a client
+ *                                is available, json otherwise)
+ * - EXECUTION_DATA_PATH        - directory for the json backend (default: ./.executions)
+ * - EXECUTION_RETENTION_DAYS   - executions older than this are pruned (default 14, 0 keeps everything)
+ * - EXECUTION_SNAPSHOT_ITEMS   - output items kept per node (default 20)
+ */
+
+const DEFAULT_RETENTION_DAYS = 14;
+const DEFAULT_SNAPSHOT_ITEMS = 20;
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Supabase backend, on the workflow_executions table
+ * (supabase/migrations/20261019000000_create_workflow_executions.sql)
+ */
+class SupabaseExecutionBackend {
+  /**
+   * @param {Object} supabase - Supabase client
+   * @param {string} [table='workflow_executions']
+   */
+  constructor(supabase, table = 'workflow_executions') {
+    this.supabase = supabase;
+    this.table = table;
+  }
+
+  async save(execution) {
+    const { error } = await this.supabase.from(this.table).upsert(toRow(execution));
+    if (error) throw new Error(error.message);
+  }
+
+  async get(id) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    return data ? fromRow(data) : null;
+  }
+
+  async list(filters) {
+    let query = this.supabase
+      .from(this.table)
+      .select(SUMMARY_COLUMNS.join(','), { count: 'exact' });
+
+    if (filters.userId) query = query.eq('user_id', filters.userId);
+    if (filters.workflowId) query = query.eq('workflow_id', filters.workflowId);
+    if (filters.status) query = query.eq('status', filters.status);
+    if (filters.startedAfter) query = query.gte('started_at', filters.startedAfter);
+    if (filters.startedBefore) query = query.lte('started_at', filters.startedBefore);
+
+    const { data, error, count } = await query
+      .order('started_at', { ascending: false })
+      .range(filters.offset, filters.offset + filters.limit - 1);
+    if (error) throw new Error(error.message);
+
+    return { executions: (data || []).map(fromRow), total: count ?? (data || []).length };
+  }
+
+  async delete(id) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .eq('id', id)
+      .select('id');
+    if (error) throw new Error(error.message);
+    return (data || []).length > 0;
+  }
+
+  async prune(olderThan) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .delete()
+      .lt('started_at', olderThan)
+      .select('id');
+    if (error) throw new Error(error.message);
+    return (data || []).length;
+  }
+}
+
+/**
+ * Local backend: <basePath>/<executionId>.json. Listing reads every file,
+ * which is fine for development-sized histories.
+ */
+class JsonFileExecutionBackend {
+  /**
+   * @param {string} [basePath] - Storage directory
+   */
+  constructor(basePath = process.env.EXECUTION_DATA_PATH || path.join(process.cwd(), '.executions')) {
+    this.basePath = basePath;
+  }
+
+  async save(execution) {
+    await fs.promises.mkdir(this.basePath, { recursive: true });
+    const filePath = this.getPath(execution.id);
+    // Write then rename, so readers never see half a file
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(execution));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async get(id) {
+    if (!isValidId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(this.getPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async list(filters) {
+    const executions = (await this.readAll())
+      .filter(execution => (
+        (!filters.userId || execution.userId === filters.userId) &&
+        (!filters.workflowId || execution.workflowId === filters.workflowId) &&
+        (!filters.status || execution.status === filters.status) &&
+        (!filters.startedAfter || execution.startedAt >= filters.startedAfter) &&
+        (!filters.startedBefore || execution.startedAt <= filters.startedBefore)
+      ))
+      .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+
+    return {
+      executions: executions
+        .slice(filters.offset, filters.offset + filters.limit)
+        .map(toSummary),
+      total: executions.length
+    };
+  }
+
+  async delete(id) {
+    if (!isValidId(id)) return false;
+    try {
+      await fs.promises.unlink(this.getPath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async prune(olderThan) {
+    let removed = 0;
+    for (const execution of await this.readAll()) {
+      if (execution.startedAt < olderThan && await this.delete(execution.id)) {
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  async readAll() {
+    let fileNames;
+    try {
+      fileNames = await fs.promises.readdir(this.basePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const executions = [];
+    for (const fileName of fileNames) {
+      if (!fileName.endsWith('.json')) continue;
+      try {
+        executions.push(JSON.parse(await fs.promises.readFile(path.join(this.basePath, fileName), 'utf8')));
+      } catch (error) {
+        console.error(`[Executions] Skipping unreadable execution file ${fileName}: ${error.message}`);
+      }
+    }
+    return executions;
+  }
+
+  /**
+   * @private
+   */
+  getPath(id) {
+    if (!isValidId(id)) {
+      throw new Error(`Invalid execution id '${id}'`);
+    }
+    return path.join(this.basePath, `${id}.json`);
+  }
+}
+
+class ExecutionStore {
+  /**
+   * @param {Object} backend - Implements save(execution), get(id), list(filters),
+   *        delete(id) and prune(olderThanIso), like JsonFileExecutionBackend
+   * @param {Object} [options]
+   * @param {number} [options.retentionDays] - Days to keep executions (0 = forever)
+   * @param {number} [options.snapshotItems] - Output items kept per node
+   */
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.retentionDays = toNonNegativeNumber(
+      options.retentionDays ?? process.env.EXECUTION_RETENTION_DAYS, DEFAULT_RETENTION_DAYS);
+    this.snapshotItems = toNonNegativeNumber(
+      options.snapshotItems ?? process.env.EXECUTION_SNAPSHOT_ITEMS, DEFAULT_SNAPSHOT_ITEMS);
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Record a finished execution (called by WorkflowRunner)
+   * @param {Object} run
+   * @param {Object} run.workflow - Workflow that ran
+   * @param {Object} run.result - WorkflowRunner.execute() result
+   * @param {string} [run.workflowId]
+   * @param {string} [run.userId]
+   * @param {string} [run.triggerType]
+   * @param {string} [run.mode]
+   * @param {string} [run.parentExecutionId]
+   * @param {boolean} [run.binaryDataKept=false] - The execution's stored binary data outlives it
+   * @returns {Promise<Object>} The stored execution
+   */
+  async save({ workflow, result, workflowId, userId, triggerType, mode, parentExecutionId, binaryDataKept = false }) {
+    const outputs = this.snapshotOutputs(result.outputs, workflow);
+    const execution = {
+      id: result.executionId,
+      workflowId: workflowId !== undefined && workflowId !== null ? String(workflowId) : null,
+      workflowName: workflow?.name || null,
+      userId: userId !== undefined && userId !== null ? String(userId) : null,
+      triggerType: triggerType || null,
+      mode: mode || null,
+      status: result.success ? 'success' : 'error',
+      startedAt: result.startedAt,
+      stoppedAt: result.stoppedAt,
+      durationMs: Date.parse(result.stoppedAt) - Date.parse(result.startedAt),
+      error: getErrorMessage(result),
+      parentExecutionId: parentExecutionId || null,
+      runData: result.runData || {},
+      outputs,
+      snapshotInfo: describeSnapshots(result.outputs, outputs, binaryDataKept)
+    };
+
+    await this.backend.save(execution);
+    this.pruneIfDue();
+    return execution;
+  }
+
+  /**
+   * @param {string} id - Execution id
+   * @returns {Promise<Object|null>} The execution with run data and output snapshots
+   */
+  get(id) {
+    return this.backend.get(id);
+  }
+
+  /**
+   * Executions newest first, without run data and output snapshots
+   * @param {Object} [filters]
+   * @param {string} [filters.userId]
+   * @param {string} [filters.workflowId]
+   * @param {string} [filters.status] - success | error
+   * @param {string} [filters.startedAfter] - Date (ISO string or timestamp)
+   * @param {string} [filters.startedBefore] - Date (ISO string or timestamp)
+   * @param {number} [filters.limit=50] - At most 200
+   * @param {number} [filters.offset=0]
+   * @returns {Promise<{executions: Array<Object>, total: number}>}
+   * @throws {Error} code INVALID_FILTER for an unknown status or an unparseable date
+   */
+  async list(filters = {}) {
+    if (filters.status && !STATUSES.includes(filters.status)) {
+      throw invalidFilter(`Invalid status '${filters.status}' (expected ${STATUSES.join(' or ')})`);
+    }
+
+    const limit = Math.min(toNonNegativeNumber(filters.limit, DEFAULT_LIST_LIMIT) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+    return this.backend.list({
+      ...filters,
+      startedAfter: toIsoDate(filters.startedAfter),
+      startedBefore: toIsoDate(filters.startedBefore),
+      limit: Math.floor(limit),
+      offset: Math.floor(toNonNegativeNumber(filters.offset, 0))
+    });
+  }
+
+  /**
+   * @param {string} id - Execution id
+   * @returns {Promise<boolean>} Whether an execution was deleted
+   */
+  delete(id) {
+    return this.backend.delete(id);
+  }
+
+  /**
+   * Delete executions older than the retention period
+   * @returns {Promise<number>} Executions removed
+   */
+  async prune() {
+    this.lastPrunedAt = Date.now();
+    if (!this.retentionDays) return 0;
+
+    try {
+      return await this.backend.prune(new Date(Date.now() - this.retentionDays * DAY_MS).toISOString());
+    } catch (error) {
+      console.error(`[Executions] Failed to prune execution history: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Prune at most once per interval, in the background
+   * @private
+   */
+  pruneIfDue() {
+    if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    this.prune().then(removed => {
+      if (removed > 0) console.log(`[Executions] Pruned ${removed} execution(s) past retention`);
+    });
+  }
+
+  /**
+   * First items of every node's output, sanitized like queue results
+   * @private
+   */
+  snapshotOutputs(outputs = {}, workflow) {
+    // Outputs are also stored under node ids; keep one copy, by name
+    const idAliases = new Set((workflow?.nodes || [])
+      .filter(node => node.id && node.name && node.id !== node.name)
+      .map(node => node.id));
+
+    const snapshot = {};
+    for (const [nodeName, items] of Object.entries(outputs || {})) {
+      if (!Array.isArray(items) || idAliases.has(nodeName)) continue;
+      snapshot[nodeName] = sanitizeItems(items.slice(0, this.snapshotItems));
+    }
+    return snapshot;
+  }
+}
+
+/**
+ * Whether each node's snapshot holds its whole output
+ * @private
+ */
+function describeSnapshots(outputs, snapshot, binaryDataKept) {
+  const info = {};
+  for (const [nodeName, items] of Object.entries(snapshot)) {
+    const itemCount = outputs[nodeName].length;
+    const binaryEntries = items.flatMap(item => (item?.binary ? Object.values(item.binary) : []));
+    info[nodeName] = {
+      itemCount,
+      truncated: items.length < itemCount,
+      binaryReleased: binaryEntries.some(entry => entry === '[stripped]' || !binaryDataKept)
+    };
+  }
+  return info;
+}
+
+/**
+ * Build the store selected by EXECUTION_STORE
+ * @param {Object} [options]
+ * @param {Object} [options.supabase] - Supabase client, for the supabase backend
+ * @param {string} [options.type] - Overrides EXECUTION_STORE
+ * @returns {ExecutionStore|null} null when recording is disabled
+ */
+function createExecutionStore({ supabase, type = process.env.EXECUTION_STORE } = {}) {
+  const backendType = (type || (supabase ? 'supabase' : 'json')).toLowerCase();
+
+  if (backendType === 'none') {
+    return null;
+  }
+  if (backendType === 'supabase') {
+    if (!supabase) {
+      throw new Error('EXECUTION_STORE=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+    return new ExecutionStore(new SupabaseExecutionBackend(supabase));
+  }
+  if (backendType === 'json') {
+    return new ExecutionStore(new JsonFileExecutionBackend());
+  }
+  throw new Error(`Unknown EXECUTION_STORE '${type}' (expected supabase, json or none)`);
+}
+
+const STATUSES = ['success', 'error'];
+
+const SUMMARY_COLUMNS = [
+  'id', 'workflow_id', 'workflow_name', 'user_id', 'trigger_type', 'mode', 'status',
+  'started_at', 'stopped_at', 'duration_ms', 'error', 'parent_execution_id'
+];
+
+/**
+ * @private
+ */
+function toRow(execution) {
+  return {
+    id: execution.id,
+    workflow_id: execution.workflowId,
+    workflow_name: execution.workflowName,
+    user_id: execution.userId,
+    trigger_type: execution.triggerType,
+    mode: execution.mode,
+    status: execution.status,
+    started_at: execution.startedAt,
+    stopped_at: execution.stoppedAt,
+    duration_ms: execution.durationMs,
+    error: execution.error,
+    parent_execution_id: execution.parentExecutionId,
+    run_data: execution.runData,
+    outputs: execution.outputs,
+    snapshot_info: execution.snapshotInfo
+  };
+}
+
+/**
+ * @private
+ */
+function fromRow(row) {
+  const execution = {
+    id: row.id,
+    workflowId: row.workflow_id,
+    workflowName: row.workflow_name,
+    userId: row.user_id,
+    triggerType: row.trigger_type,
+    mode: row.mode,
+    status: row.status,
+    startedAt: row.started_at,
+    stoppedAt: row.stopped_at,
+    durationMs: row.duration_ms,
+    error: row.error,
+    parentExecutionId: row.parent_execution_id
+  };
+  if (row.run_data !== undefined) execution.runData = row.run_data;
+  if (row.outputs !== undefined) execution.outputs = row.outputs;
+  if (row.snapshot_info !== undefined) execution.snapshotInfo = row.snapshot_info;
+  return execution;
+}
+
+/**
+ * @private
+ */
+function toSummary({ runData, outputs, snapshotInfo, ...summary }) {
+  return summary;
+}
+
+/**
+ * @private
+ */
+function getErrorMessage(result) {
+  if (result.success) return null;
+  if (result.error) return result.error;
+  const messages = (result.errors || []).map(error => (typeof error === 'string' ? error : error.error));
+  return messages.join(', ') || null;
+}
+
+/**
+ * @private
+ */
+function toIsoDate(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidFilter(`Invalid date '${value}'`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * @private
+ */
+function invalidFilter(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_FILTER';
+  return error;
+}
+
+/**
+ * Whether an execution id is safe to store and look up (letters, digits, _ and -)
+ * @param {*} id
+ * @returns {boolean}
+ */
+function isValidId(id) {
+  return /^[\w-]{1,128}$/.test(String(id));
+}
+
+/**
+ * @private
+ */
+function toNonNegativeNumber(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+module.exports = {
+  ExecutionStore,
+  SupabaseExecutionBackend,
+  JsonFileExecutionBackend,
+  createExecutionStore,
+  isValidExecutionId: isValidId
+};
@@ -4,11 +4,13 @@ require('dotenv').config();
 if (!process.env.RAILWAY_ENVIRONMENT && process.env.NODE_ENV !== 'production') {
   require('dotenv').config({ path: '.env.local' });
 }
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const { createClient } = require('@supabase/supabase-js');
 const WorkflowRunner = require('./runner');
 const WorkflowService = require('./workflowService');
+const WorkflowGraph = require('./utils/workflowGraph');
 const {
   addWorkflowJob,
   getJobStatus,
@@ -18,8 +20,20 @@ const {
 } = require('./queue');
 const { resolveCredentials } = require('./utils/credentialResolver');
 const { injectParameters, extractParameterNames } = require('./utils/parameterInjector');
+const { validateWorkflow } = require('./utils/workflowValidator');
+const nodeRegistry = require('./nodeRegistry');
 const { refreshTokenIfNeeded } = require('./tokenRefresh'); // Import the new refresh module
 const { getBackgroundService } = require('./backgroundService');
+const { pruneBinaryData } = require('./utils/binaryDataManager');
+const { createExecutionStore, isValidExecutionId } = require('./executionStore');
+const {
+  forwardRunnerEvents,
+  publishExecutionEvent,
+  reserveExecutionId,
+  getExecutionOwner,
+  getExecutionEvents,
+  subscribeToExecution
+} = require('./executionEvents');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -114,6 +128,18 @@ const workflowService = new WorkflowService({
   },
 });
 
+// Error workflows (settings.errorWorkflow) are resolved by id through the same
+// template loader, for /execute, queued jobs and background polls alike
+WorkflowRunner.setWorkflowLoader(async (workflowId) => {
+  const { template } = await workflowService._loadTemplateAndParams(workflowId);
+  return template;
+});
+
+// Every execution (API, queue, schedule, polling) is recorded in the execution
+// history: Supabase when configured, local JSON files otherwise (EXECUTION_STORE)
+const executionStore = createExecutionStore({ supabase });
+WorkflowRunner.setExecutionStore(executionStore);
+
 // Enable CORS - allow configured origin or all origins for server-to-server calls
 const allowedOrigin = process.env.ALLOWED_ORIGIN;
 app.use(cors({
@@ -212,6 +238,89 @@ app.get('/api/workflows/:id/parameters', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/node-types
+ * Node types this runner supports (see nodeRegistry.js): type, display name,
+ * typeVersions, input/output ports, credentials (with the environment variables
+ * that can supply them) and parameters
+ *
+ * Response: { success, nodeTypes: [...] }
+ */
+app.get('/api/node-types', (req, res) => {
+  res.json({ success: true, nodeTypes: nodeRegistry.list() });
+});
+
+/**
+ * POST /api/workflows/validate
+ * Statically check a workflow without running it (see utils/workflowValidator.js):
+ * unknown node types, connections to missing nodes, unreachable nodes, cycles
+ * without a SplitInBatches loop, $('Node') references to missing nodes,
+ * unresolved {{PLACEHOLDER}} parameters / credentials, unsupported typeVersions
+ * and missing required parameters. With tokens, also checks every node has the
+ * credentials it requires (preflight before a run).
+ *
+ * Request body:
+ * {
+ *   workflow: {...},  // or
+ *   automation_id: "...",  // validate a stored automation template against its developer_keys
+ *   parameters: { "PARAM_NAME": "value", ... },  // Optional: user config to check placeholders against
+ *   developer_keys: {...},  // Optional: overrides the stored automation's developer keys
+ *   tokens: {...},  // Optional: tokens the run would get, to preflight credentials
+ *   tokenMapping: {...}  // Optional: custom token name mapping, as for /execute
+ * }
+ *
+ * Response: { success, valid, errors: [{ code, message, node? }], warnings: [...] }
+ */
+app.post('/api/workflows/validate', async (req, res) => {
+  try {
+    const { automation_id, parameters, tokens, tokenMapping } = req.body || {};
+    let { workflow, developer_keys: developerKeys } = req.body || {};
+
+    if (!workflow && !automation_id) {
+      return res.status(400).json({ success: false, error: 'workflow or automation_id is required' });
+    }
+
+    if (!workflow) {
+      if (!supabase) {
+        return res.status(500).json({ success: false, error: 'Supabase not configured' });
+      }
+
+      const { data: automationData, error: automationError } = await supabase
+        .from('automations')
+        .select('workflow, developer_keys')
+        .eq('id', automation_id)
+        .single();
+
+      if (automationError || !automationData) {
+        return res.status(404).json({ success: false, error: `Automation template not found: ${automation_id}` });
+      }
+
+      workflow = automationData.workflow;
+      developerKeys = developerKeys || automationData.developer_keys || {};
+    }
+
+    if (typeof workflow === 'string') {
+      try {
+        workflow = JSON.parse(workflow);
+      } catch (parseError) {
+        return res.status(400).json({ success: false, error: 'Invalid workflow JSON format' });
+      }
+    }
+
+    const result = validateWorkflow(workflow, { parameters, developerKeys, tokens, tokenMapping });
+    console.log(`[API] Validated workflow ${workflow?.name || automation_id || 'unnamed'}: ` +
+      `${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[API] Workflow validation error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /execute
  * Execute a workflow immediately (synchronous)
@@ -228,18 +337,63 @@ app.get('/api/workflows/:id/parameters', async (req, res) => {
  *   tokenMapping: {  // Optional: custom token name mapping
  *     "google_oauth_token": "googleAccessToken",
  *     ...
- *   }
+ *   },
+ *   mode: "structuralTest",  // Optional: continue past nodes that fail for missing API keys/tokens
+ *                            // or "dryRun": integrations aren't called, their calls are recorded
+ *   fixtures: { "gmail.users.messages.send": {...} },  // Optional: dry-run responses (see utils/dryRun.js)
+ *   executionId: "...",  // Optional: id for the run, to follow it on GET /api/executions/:id/stream
+ *                        // (generated if omitted; 409 if another run already has it)
+ *   pinData: { "Node name": [{ json: {...} }] },  // Optional: pinned outputs, those nodes are not executed
+ *   startNode: "Node name",  // Optional: only run this node and the nodes after it
+ *   fromExecutionId: "..."  // Optional: with startNode, reuse this recorded execution's node outputs
+ *                           // (one of initialData.user_id's executions; 409 if an output it would
+ *                           // reuse wasn't recorded in full - pin that node's data instead)
  * }
+ *
+ * The response's executedNodes / pinnedNodes / reusedNodes tell which nodes
+ * ran and which used pinned data or a previous execution's output. Dry runs
+ * add mockedCalls: every integration call with the request it would have made.
  */
 app.post('/execute', async (req, res) => {
   try {
-    const { workflow, initialData, tokens, tokenMapping } = req.body;
+    const {
+      workflow, initialData, tokens, tokenMapping, mode, fixtures,
+      executionId: requestedExecutionId, pinData, startNode, fromExecutionId
+    } = req.body;
 
     if (!workflow) {
       return res.status(400).json({ error: 'Workflow is required' });
     }
 
-    console.log(`[API] Executing workflow: ${workflow.name || 'unnamed'}`);
+    if (requestedExecutionId !== undefined && !isValidExecutionId(requestedExecutionId)) {
+      return res.status(400).json({ error: 'executionId may only contain letters, digits, _ and -' });
+    }
+
+    // Outputs of the recorded execution to resume from, only from the requesting
+    // user's own executions and only when the outputs it reuses were recorded in full
+    let previousOutputs;
+    if (fromExecutionId) {
+      const previous = await findUserExecution(res, fromExecutionId, initialData?.user_id);
+      if (!previous) return;
+
+      const incompleteNodes = startNode ? findIncompleteSnapshots(workflow, startNode, pinData, previous) : [];
+      if (incompleteNodes.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Can't resume from execution '${fromExecutionId}': the recorded output of ` +
+            `${incompleteNodes.map(({ node }) => `'${node}'`).join(', ')} is incomplete ` +
+            `(items cut off or binary data released) - send it as pinData instead`,
+          incompleteNodes
+        });
+      }
+      previousOutputs = previous.outputs;
+    }
+
+    const structuralTest = mode === 'structuralTest';
+    const dryRun = mode === 'dryRun' ? { fixtures: fixtures || {} } : false;
+    const modeLabel = structuralTest ? ' (structural test)' : dryRun ? ' (dry run)' : '';
+
+    console.log(`[API] Executing workflow: ${workflow.name || 'unnamed'}${modeLabel}`);
     console.log(`[API] Request from: ${req.headers.origin || 'unknown'}`);
     if (tokens) {
       const tokenKeys = Object.keys(tokens).filter(key => tokens[key] !== null);
@@ -249,12 +403,23 @@ app.post('/execute', async (req, res) => {
       console.log(`[API] Using custom token mapping: ${Object.keys(tokenMapping).join(', ')}`);
     }
 
-    const runner = new WorkflowRunner();
+    const executionId = await claimExecutionId(res, requestedExecutionId, 'executionId', initialData?.user_id);
+    if (!executionId) return;
+
+    const runner = new WorkflowRunner({
+      structuralTest,
+      dryRun,
+      userId: initialData?.user_id,
+      workflowId: initialData?.automation_id
+    });
+    runner.executionId = executionId;
+    forwardRunnerEvents(runner, publishExecutionEvent);
     const result = await runner.execute(
       workflow,
       initialData || {},
       tokens || {},
-      tokenMapping || {}
+      tokenMapping || {},
+      { pinData, startNode, previousOutputs }
     );
 
     res.json(result);
@@ -277,17 +442,23 @@ app.post('/execute', async (req, res) => {
  *   initialData: {...},
  *   tokens: {...},
  *   tokenMapping: {...},  // Optional: custom token name mapping
- *   delay: 0  // Optional: delay in milliseconds before execution (default: 0, max: 30 days)
+ *   delay: 0,  // Optional: delay in milliseconds before execution (default: 0, max: 30 days)
+ *   executionId: "..."  // Optional: id for the run (generated if omitted, returned either way;
+ *                       // 409 if another run already has it)
  * }
  */
 app.post('/queue', async (req, res) => {
   try {
-    const { workflow, initialData, tokens, tokenMapping, delay } = req.body;
+    const { workflow, initialData, tokens, tokenMapping, delay, executionId: requestedExecutionId } = req.body;
 
     if (!workflow) {
       return res.status(400).json({ error: 'Workflow is required' });
     }
 
+    if (requestedExecutionId !== undefined && !isValidExecutionId(requestedExecutionId)) {
+      return res.status(400).json({ error: 'executionId may only contain letters, digits, _ and -' });
+    }
+
     // Validate delay if provided
     if (delay !== undefined) {
       if (typeof delay !== 'number' || delay < 0) {
@@ -317,17 +488,22 @@ app.post('/queue', async (req, res) => {
       console.log(`[API] Using custom token mapping: ${Object.keys(tokenMapping).join(', ')}`);
     }
 
+    const executionId = await claimExecutionId(res, requestedExecutionId, 'executionId', initialData?.user_id);
+    if (!executionId) return;
+
     const jobId = await addWorkflowJob(
       workflow,
       initialData || {},
       tokens || {},
       tokenMapping || {},
-      delay || 0
+      delay || 0,
+      executionId
     );
 
     const response = {
       success: true,
       jobId,
+      executionId,
       message: delay ? 'Workflow scheduled successfully' : 'Workflow queued successfully'
     };
     
@@ -379,11 +555,13 @@ app.get('/status/:jobId', async (req, res) => {
  *   "automation_id": "uuid",
  *   "user_id": "uuid", 
  *   "config": { "key": "value", ... },
- *   "schedule": true  // Optional: if true, schedules instead of running once
+ *   "schedule": true,  // Optional: if true, schedules instead of running once
+ *   "execution_id": "..."  // Optional: id for the run, to follow it on GET /api/executions/:id/stream
+ *                          // (generated if omitted; 409 if another run already has it)
  * }
  */
 app.post('/api/automations/run', async (req, res) => {
-  const { automation_id, user_id, config = {}, schedule = false } = req.body;
+  const { automation_id, user_id, config = {}, schedule = false, execution_id } = req.body;
 
   // Validate required parameters
   if (!automation_id) {
@@ -400,6 +578,13 @@ app.post('/api/automations/run', async (req, res) => {
     });
   }
 
+  if (execution_id !== undefined && !isValidExecutionId(execution_id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'execution_id may only contain letters, digits, _ and -'
+    });
+  }
+
   try {
     console.log(`[Orchestration] Starting automation: ${automation_id} for user: ${user_id}`);
 
@@ -627,7 +812,16 @@ app.post('/api/automations/run', async (req, res) => {
     console.log(`[Orchestration] Added ${Object.keys(tokens).length} tokens to execution context`);
 
     // Step 7: Execute workflow once (no scheduling for now)
-    const runner = new WorkflowRunner();
+    const executionId = await claimExecutionId(res, execution_id, 'execution_id', user_id);
+    if (!executionId) return;
+
+    const runner = new WorkflowRunner({
+      userId: user_id,
+      workflowId: automation_id,
+      triggerType: 'api'
+    });
+    runner.executionId = executionId;
+    forwardRunnerEvents(runner, publishExecutionEvent);
 
     // Capture start time BEFORE execution to avoid missing files that arrive during execution
     // This fixes the "gap" race condition
@@ -720,10 +914,13 @@ app.post('/api/automations/run', async (req, res) => {
       success: actualSuccess,
       automation_id,
       user_id,
+      execution_id: result.executionId,
       errors: actualSuccess ? [] : (result.errors || []),
       message: (triggerNode && noNewFiles) ? 'No new files to process' : undefined,
       filesProcessed: triggerOutput.length,
       outputs: result.success ? result.outputs : undefined, // Include outputs on success for debugging
+      attempts: result.attempts, // Per-node retry attempts (nodes with retryOnFail only)
+      customData: result.customData, // Metadata saved by Execution Data nodes
       executed_at: new Date().toISOString()
     });
 
@@ -1202,6 +1399,296 @@ app.get('/api/user-automations/:userId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/executions
+ * List a user's recorded executions, newest first (without per-node data)
+ *
+ * Query parameters:
+ *   user_id (required), automation_id, status (success | error),
+ *   from / to (ISO date or timestamp, on the start time), limit (default 50, max 200), offset
+ */
+app.get('/api/executions', async (req, res) => {
+  const { user_id, automation_id, status, from, to, limit, offset } = req.query;
+
+  if (!user_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'user_id is required'
+    });
+  }
+
+  try {
+    if (!executionStore) {
+      return res.status(500).json({
+        success: false,
+        error: 'Execution history is disabled'
+      });
+    }
+
+    const { executions, total } = await executionStore.list({
+      userId: user_id,
+      workflowId: automation_id,
+      status,
+      startedAfter: from,
+      startedBefore: to,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      count: executions.length,
+      total,
+      executions
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_FILTER') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error('[API] List executions error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/executions/:id/stream?user_id=...
+ * Follow an execution live over Server-Sent Events. Each runner event
+ * (executionStarted, nodeStarted, nodeFinished, nodeFailed, executionFinished)
+ * is sent as an SSE event of that name with the JSON payload as data; events
+ * that happened before the client connected are replayed first (honouring
+ * Last-Event-ID on reconnect). The stream ends after executionFinished.
+ * Works for /execute, /api/automations/run and queued runs alike; clients can
+ * connect before the run starts by choosing its executionId themselves.
+ * Only the user the run was started for can follow it: other users' runs are
+ * reported as missing, and a stream opened before the run started is closed
+ * without events if the run turns out to be someone else's.
+ */
+app.get('/api/executions/:id/stream', async (req, res) => {
+  const executionId = req.params.id;
+  const { user_id } = req.query;
+
+  if (!isValidExecutionId(executionId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid execution id'
+    });
+  }
+
+  if (!user_id) {
+    return res.status(400).json({
+      success: false,
+      error: 'user_id is required'
+    });
+  }
+
+  const isOwner = () => getExecutionOwner(executionId) === String(user_id);
+
+  try {
+    const owner = getExecutionOwner(executionId);
+    // Not running in this process (yet): a recorded execution must be the user's
+    const recorded = owner === undefined && executionStore ? await executionStore.get(executionId) : null;
+    if ((owner !== undefined && !isOwner()) || (recorded && recorded.userId !== String(user_id))) {
+      return res.status(404).json({
+        success: false,
+        error: `Execution not found: ${executionId}`
+      });
+    }
+  } catch (error) {
+    console.error('[API] Execution stream error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const lastEventId = Number(req.get('Last-Event-ID'));
+  let unsubscribe = () => {};
+  let heartbeat = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event, seq) => {
+    if (closed || seq <= lastEventId) return;
+    if (!isOwner()) return close();
+    res.write(`id: ${seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (event.type === 'executionFinished') close();
+  };
+
+  // Replay, then follow - both happen in this tick, so no event falls in between
+  const { events, finished } = getExecutionEvents(executionId);
+  events.forEach(({ seq, event }) => send(event, seq));
+  if (finished) return close();
+
+  unsubscribe = subscribeToExecution(executionId, send);
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+  req.on('close', close);
+});
+
+/**
+ * GET /api/executions/:id?user_id=...
+ * One execution with its per-node run data and output snapshots
+ */
+app.get('/api/executions/:id', async (req, res) => {
+  try {
+    const execution = await findUserExecution(res, req.params.id, req.query.user_id);
+    if (!execution) return;
+
+    res.json({
+      success: true,
+      execution
+    });
+
+  } catch (error) {
+    console.error('[API] Get execution error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/executions/:id?user_id=...
+ * Remove an execution from the history
+ */
+app.delete('/api/executions/:id', async (req, res) => {
+  try {
+    const execution = await findUserExecution(res, req.params.id, req.query.user_id);
+    if (!execution) return;
+
+    await executionStore.delete(execution.id);
+    console.log(`[API] Deleted execution ${execution.id} for user ${execution.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Execution deleted'
+    });
+
+  } catch (error) {
+    console.error('[API] Delete execution error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Load an execution if it belongs to the user, otherwise send the error
+ * response and return null
+ * @param {Object} res
+ * @param {string} executionId
+ * @param {string} user_id
+ */
+async function findUserExecution(res, executionId, user_id) {
+  if (!user_id) {
+    res.status(400).json({
+      success: false,
+      error: 'user_id is required'
+    });
+    return null;
+  }
+
+  if (!executionStore) {
+    res.status(500).json({
+      success: false,
+      error: 'Execution history is disabled'
+    });
+    return null;
+  }
+
+  const execution = await executionStore.get(executionId);
+
+  // Other users' executions are reported as missing, not forbidden
+  if (!execution || execution.userId !== String(user_id)) {
+    res.status(404).json({
+      success: false,
+      error: `Execution not found: ${executionId}`
+    });
+    return null;
+  }
+
+  return execution;
+}
+
+/**
+ * Nodes whose recorded output a partial run from startNode would reuse but whose
+ * snapshot isn't the whole output (see ExecutionStore snapshotInfo)
+ * @param {Object} workflow
+ * @param {string} startNode
+ * @param {Object} [pinData] - Pinned nodes don't use the recorded output
+ * @param {Object} execution - Recorded execution
+ * @returns {Array<{node: string, itemCount: number, truncated: boolean, binaryReleased: boolean}>}
+ */
+function findIncompleteSnapshots(workflow, startNode, pinData, execution) {
+  const graph = new WorkflowGraph(workflow);
+  const start = graph.getNode(startNode);
+  // An unknown start node is the runner's error to report
+  if (!start) return [];
+
+  const runKeys = graph.findPartialExecutionNodes(start.name || start.id);
+  return Object.entries(execution.snapshotInfo || {})
+    .filter(([nodeName, info]) => (
+      !runKeys.has(nodeName) && !pinData?.[nodeName] && (info.truncated || info.binaryReleased)
+    ))
+    .map(([nodeName, info]) => ({ node: nodeName, ...info }));
+}
+
+/**
+ * Id for a new run: a generated one, or the client's own (validated already) if
+ * no other run has it - checked against the runs this process has seen and the
+ * execution history. Otherwise sends 409 and returns null. The id is reserved
+ * for the user, who alone may follow the run's event stream.
+ * @param {Object} res
+ * @param {string} [executionId] - Client-chosen id
+ * @param {string} field - Request field it came from, for the error message
+ * @param {string} [user_id] - User the run belongs to
+ * @returns {Promise<string|null>}
+ */
+async function claimExecutionId(res, executionId, field, user_id) {
+  if (executionId === undefined) {
+    const generatedId = crypto.randomUUID();
+    reserveExecutionId(generatedId, user_id);
+    return generatedId;
+  }
+
+  // History first: the reservation is synchronous, so of two concurrent
+  // requests for the same id only one gets it
+  const recorded = executionStore ? await executionStore.get(executionId) : null;
+  if (recorded || !reserveExecutionId(executionId, user_id)) {
+    res.status(409).json({
+      success: false,
+      error: `${field} '${executionId}' is already in use`
+    });
+    return null;
+  }
+
+  return executionId;
+}
+
 /**
  * POST /api/automations/start-polling
  * Start background polling for a workflow with trigger
@@ -1381,8 +1868,14 @@ app.listen(PORT, () => {
   console.log(`   POST /api/automations/start-polling - Start background polling for triggers`);
   console.log(`   POST /api/automations/stop-polling - Stop background polling`);
   console.log(`   GET /api/automations/active-polls - List active polling workflows`);
+  console.log(`   GET /api/executions - List a user's execution history`);
+  console.log(`   GET /api/executions/:id - Get an execution with per-node run data`);
+  console.log(`   GET /api/executions/:id/stream - Follow an execution live (Server-Sent Events)`);
+  console.log(`   DELETE /api/executions/:id - Delete an execution`);
   console.log(`   POST /api/automations/run - Full orchestration (automation_id, user_id, config)`);
   console.log(`   POST /execute - Execute workflow immediately`);
+  console.log(`   GET /api/node-types - List supported node types with their ports, credentials and parameters`);
+  console.log(`   POST /api/workflows/validate - Statically check a workflow or automation template`);
   console.log(`   POST /queue - Queue workflow for async execution`);
   console.log(`   GET /status/:jobId - Get job status`);
   console.log(`   POST /schedule - Schedule workflow to run repeatedly`);
@@ -1390,6 +1883,18 @@ app.listen(PORT, () => {
   console.log(`   DELETE /schedule/:jobKey - Remove scheduled workflow`);
   console.log(`   GET /health - Health check`);
 
+  // Binary data of executions interrupted by a crash or restart
+  pruneBinaryData().then(removed => {
+    if (removed > 0) console.log(`🧹 Removed binary data of ${removed} stale execution(s)`);
+  });
+
+  // Execution history past its retention period
+  if (executionStore) {
+    executionStore.prune().then(removed => {
+      if (removed > 0) console.log(`🧹 Pruned ${removed} execution(s) from history`);
+    });
+  }
+
   // Resume polling for active automations
   if (supabase) {
     (async () => {
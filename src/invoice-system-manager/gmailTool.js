@@ -1,5 +1,8 @@
 const { google } = require('googleapis');
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
+const { getPairedItem } = require('../utils/pairedItems');
 
 /**
  * Gmail Tool Node Executor
@@ -27,7 +30,7 @@ async function execute(node, inputData, executionContext) {
 
   const results = [];
 
-  for (const item of inputData || []) {
+  for (const [itemIndex, item] of (inputData || []).entries()) {
     // Skip null or invalid items
     if (!item || !item.json) {
       console.log(`[GmailTool] Skipping invalid item`);
@@ -35,37 +38,23 @@ async function execute(node, inputData, executionContext) {
     }
 
     try {
-      // Evaluate sendTo parameter
-      let sendTo = evaluateExpression(params.sendTo || '', {
+      const expressionContext = {
         currentInput: [item],
-        executionContext
-      });
+        executionContext,
+        itemIndex
+      };
+
+      // Evaluate sendTo parameter
+      let sendTo = evaluateExpression(params.sendTo || '', expressionContext);
 
       // Evaluate subject - if it contains $fromAI, build from invoice data
-      let subject = evaluateExpression(params.subject || '', {
-        currentInput: [item],
-        executionContext
-      });
+      let subject = evaluateExpression(params.subject || '', expressionContext);
 
       // Evaluate message - if it contains $fromAI, build from invoice data
-      let message = evaluateExpression(params.message || '', {
-        currentInput: [item],
-        executionContext
-      });
+      let message = evaluateExpression(params.message || '', expressionContext);
 
       // If subject/message are empty or contain $fromAI (unsupported), build from invoice data
-      // Get invoice data from Invoice Data Extractor node output (the structured data)
-      // Fall back to Update the database output, then current item
-      const extractorOutput = executionContext.nodes['Invoice Data Extractor'];
-      const sheetsOutput = executionContext.nodes['Update the database'];
-
-      // Priority: Extractor output > Sheets output > Current item
-      let invoiceData = item.json;
-      if (extractorOutput && extractorOutput.length > 0 && extractorOutput[0].json) {
-        invoiceData = extractorOutput[0].json;
-      } else if (sheetsOutput && sheetsOutput.length > 0 && sheetsOutput[0].json) {
-        invoiceData = sheetsOutput[0].json;
-      }
+      const invoiceData = getInvoiceData(executionContext, item, itemIndex);
 
       console.log(`[GmailTool] Invoice data keys: ${Object.keys(invoiceData).join(', ')}`);
 
@@ -204,9 +193,7 @@ async function execute(node, inputData, executionContext) {
       }
 
       // Get credentials from tokens or environment
-      const accessToken = executionContext.tokens?.googleAccessToken ||
-        executionContext.tokenInjector?.getToken('googleAccessToken') ||
-        process.env.GOOGLE_ACCESS_TOKEN;
+      const accessToken = getCredential(executionContext, 'googleAccessToken');
 
       if (!accessToken) {
         throw new Error('Google access token not provided');
@@ -232,12 +219,20 @@ async function execute(node, inputData, executionContext) {
       const encodedEmail = Buffer.from(email).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 
       // Send email
-      const response = await gmail.users.messages.send({
+      const request = {
         userId: 'me',
         requestBody: {
           raw: encodedEmail
         }
-      });
+      };
+      const response = await callIntegration(executionContext, {
+        node,
+        service: 'gmail',
+        operation: 'users.messages.send',
+        request,
+        mockResponse: { id: 'dry-run-message', threadId: 'dry-run-thread' },
+        respond: data => ({ data })
+      }, () => gmail.users.messages.send(request));
 
       results.push({
         json: {
@@ -261,6 +256,37 @@ async function execute(node, inputData, executionContext) {
   return results;
 }
 
+/**
+ * Invoice data the current item descends from: its Invoice Data Extractor item
+ * (the structured data), else its Update the database item, else the item itself
+ * @private
+ */
+function getInvoiceData(executionContext, item, itemIndex) {
+  for (const nodeName of ['Invoice Data Extractor', 'Update the database']) {
+    if (executionContext.nodes?.[nodeName]?.length > 0) {
+      const source = getPairedItem(executionContext, nodeName, itemIndex);
+      if (source?.json) return source.json;
+    }
+  }
+  return item.json;
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.gmailTool',
+  displayName: 'Gmail Tool',
+  typeVersions: [2, 2.1],
+  inputs: [],
+  outputs: ['ai_tool'],
+  credentials: [{ name: 'googleAccessToken', required: true }],
+  parameters: {
+    sendTo: { type: 'string' },
+    subject: { type: 'string' },
+    message: { type: 'string' },
+    emailType: { type: 'options', default: 'text', options: ['text', 'html'] }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
@@ -1,9 +1,14 @@
 const { google } = require('googleapis');
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
+const { storeBinaryData } = require('../utils/binaryDataManager');
 
 /**
  * Google Drive Node Executor
  * Handles Google Drive operations (download, upload, etc.)
+ * Downloads are streamed into the binary data manager and returned as
+ * item.binary references.
  */
 async function execute(node, inputData, executionContext) {
   const params = node.parameters || {};
@@ -28,9 +33,7 @@ async function executeDownload(node, inputData, executionContext) {
   }
 
   // Get credentials from tokens or environment
-  const accessToken = executionContext.tokens?.googleAccessToken ||
-    executionContext.tokenInjector?.getToken('googleAccessToken') ||
-    process.env.GOOGLE_ACCESS_TOKEN;
+  const accessToken = getCredential(executionContext, 'googleAccessToken');
 
   if (!accessToken) {
     throw new Error('Google access token not provided');
@@ -38,7 +41,7 @@ async function executeDownload(node, inputData, executionContext) {
 
   const results = [];
 
-  for (const item of inputData || []) {
+  for (const [itemIndex, item] of (inputData || []).entries()) {
     try {
       // Resolve fileId: evaluate expression if present, otherwise use from input item
       let resolvedFileId;
@@ -47,7 +50,8 @@ async function executeDownload(node, inputData, executionContext) {
         // It's an expression like ={{ $json.id }}, evaluate it against the input item
         resolvedFileId = evaluateExpression(fileIdParam, {
           currentInput: [item],
-          executionContext
+          executionContext,
+          itemIndex
         });
       } else {
         // Use literal value or fall back to input data
@@ -65,23 +69,39 @@ async function executeDownload(node, inputData, executionContext) {
       const drive = google.drive({ version: 'v3', auth });
 
       // Get file metadata
-      const metadata = await drive.files.get({
+      const metadataRequest = {
         fileId: resolvedFileId,
         fields: 'id, name, mimeType, size'
-      });
+      };
+      const metadata = await callIntegration(executionContext, {
+        node,
+        service: 'drive',
+        operation: 'files.get',
+        request: metadataRequest,
+        mockResponse: { id: resolvedFileId, name: 'dry-run-file', mimeType: 'application/octet-stream', size: '0' },
+        respond: data => ({ data })
+      }, () => drive.files.get(metadataRequest));
 
       // Download file content
-      const response = await drive.files.get(
-        {
-          fileId: resolvedFileId,
-          alt: 'media'
-        },
-        { responseType: 'arraybuffer' }
-      );
+      const downloadRequest = {
+        fileId: resolvedFileId,
+        alt: 'media'
+      };
+      const response = await callIntegration(executionContext, {
+        node,
+        service: 'drive',
+        operation: 'files.download',
+        request: downloadRequest,
+        // Dry runs take a Buffer or base64 string fixture
+        mockResponse: '',
+        respond: data => ({ data })
+      }, () => drive.files.get(downloadRequest, { responseType: 'stream' }));
 
-      // Convert to base64
-      const base64Data = Buffer.from(response.data).toString('base64');
       const binaryPropertyName = params.options?.binaryPropertyName || 'data';
+      const binaryEntry = await storeBinaryData(executionContext.binaryDataScope, response.data, {
+        mimeType: metadata.data.mimeType,
+        fileName: metadata.data.name
+      });
 
       results.push({
         json: {
@@ -92,12 +112,7 @@ async function executeDownload(node, inputData, executionContext) {
           size: metadata.data.size
         },
         binary: {
-          [binaryPropertyName]: {
-            data: base64Data,
-            mimeType: metadata.data.mimeType,
-            fileName: metadata.data.name,
-            fileSize: metadata.data.size
-          }
+          [binaryPropertyName]: binaryEntry
         }
       });
 
@@ -117,6 +132,21 @@ async function executeUpload(node, inputData, executionContext) {
   throw new Error('Upload operation not yet implemented');
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.googleDrive',
+  displayName: 'Google Drive',
+  typeVersions: [1, 2, 3],
+  inputs: ['main'],
+  outputs: ['main'],
+  credentials: [{ name: 'googleAccessToken', required: true }],
+  parameters: {
+    operation: { type: 'options', default: 'download', options: ['download'] },
+    fileId: { type: 'string' },
+    options: { type: 'collection' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
@@ -1,5 +1,7 @@
 const { google } = require('googleapis');
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Google Drive Trigger Executor
@@ -30,9 +32,7 @@ async function execute(node, inputData, executionContext) {
   console.log(`[GoogleDriveTrigger] Checking folder ${folderId} for ${event} events`);
 
   // Get credentials from tokens or environment
-  const accessToken = executionContext.tokens?.googleAccessToken ||
-    executionContext.tokenInjector?.getToken('googleAccessToken') ||
-    process.env.GOOGLE_ACCESS_TOKEN;
+  const accessToken = getCredential(executionContext, 'googleAccessToken');
 
   if (!accessToken) {
     throw new Error('Google access token not provided. Set it in tokens.googleAccessToken or GOOGLE_ACCESS_TOKEN environment variable');
@@ -59,12 +59,20 @@ async function execute(node, inputData, executionContext) {
       query += ` and modifiedTime > '${lastCheckTime}'`;
     }
 
-    const response = await drive.files.list({
+    const request = {
       q: query,
       fields: 'files(id, name, mimeType, createdTime, modifiedTime, size, webViewLink)',
       orderBy: 'createdTime desc',
       pageSize: 100
-    });
+    };
+    const response = await callIntegration(executionContext, {
+      node,
+      service: 'drive',
+      operation: 'files.list',
+      request,
+      mockResponse: { files: [] },
+      respond: data => ({ data })
+    }, () => drive.files.list(request));
 
     const files = response.data.files || [];
 
@@ -107,6 +115,20 @@ async function execute(node, inputData, executionContext) {
   }
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.googleDriveTrigger',
+  displayName: 'Google Drive Trigger',
+  typeVersions: [1],
+  inputs: [],
+  outputs: ['main'],
+  credentials: [{ name: 'googleAccessToken', required: true }],
+  parameters: {
+    event: { type: 'options', default: 'fileCreated', options: ['fileCreated', 'fileUpdated'] },
+    folderToWatch: { type: 'string', required: true }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
@@ -1,5 +1,6 @@
-const axios = require('axios');
 const { evaluateExpression } = require('../utils/expressions');
+const { requestHttp } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Information Extractor Node Executor
@@ -17,14 +18,15 @@ async function execute(node, inputData, executionContext) {
 
   console.log(`[InformationExtractor] Processing ${inputData?.length || 0} items with ${attributes.length} attributes`);
 
-  for (const item of inputData || []) {
+  for (const [itemIndex, item] of (inputData || []).entries()) {
     try {
       // Get text to extract from
       let text = params.text;
       if (text) {
         text = evaluateExpression(text, {
           currentInput: [item],
-          executionContext
+          executionContext,
+          itemIndex
         });
       } else {
         text = item.json?.text || item.json?.content || JSON.stringify(item.json);
@@ -50,17 +52,21 @@ ${text}
 Return the data as a JSON object with these exact keys: ${attributes.map(a => a.name).join(', ')}`;
 
       // Use Groq API for extraction
-      const apiKey = executionContext.tokens?.groqApiKey ||
-        executionContext.tokenInjector?.getToken('groqApiKey') ||
-        process.env.GROQ_API_KEY;
+      const apiKey = getCredential(executionContext, 'groqApiKey');
 
       if (!apiKey) {
         throw new Error('GROQ_API_KEY not provided');
       }
 
-      const response = await axios.post(
-        'https://api.groq.com/openai/v1/chat/completions',
-        {
+      const response = await requestHttp(executionContext, {
+        node,
+        service: 'groq',
+        operation: 'chat.completions',
+        mockResponse: { choices: [{ message: { role: 'assistant', content: '{}' } }] }
+      }, {
+        method: 'post',
+        url: 'https://api.groq.com/openai/v1/chat/completions',
+        data: {
           model: 'llama-3.3-70b-versatile',
           messages: [
             {
@@ -75,13 +81,11 @@ Return the data as a JSON object with these exact keys: ${attributes.map(a => a.
           temperature: 0.1,
           response_format: { type: 'json_object' }
         },
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          }
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
         }
-      );
+      });
 
       const content = response.data.choices[0]?.message?.content || '{}';
 
@@ -117,6 +121,20 @@ Return the data as a JSON object with these exact keys: ${attributes.map(a => a.
   return results;
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.informationExtractor',
+  displayName: 'Information Extractor',
+  typeVersions: [1, 1.1, 1.2],
+  inputs: ['main', 'ai_languageModel'],
+  outputs: ['main'],
+  credentials: [{ name: 'groqApiKey', required: true }],
+  parameters: {
+    text: { type: 'string' },
+    attributes: { type: 'collection', required: true }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
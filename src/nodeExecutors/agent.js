@@ -1,5 +1,6 @@
-const axios = require('axios');
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration, requestHttp } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * LangChain Agent Node Executor
@@ -41,9 +42,7 @@ async function executeAgent(node, inputData, executionContext) {
 
   // If no language model connected, use built-in Groq (like InformationExtractor)
   // Check if we have Groq API key available
-  const groqApiKey = executionContext.tokens?.groqApiKey ||
-    executionContext.tokenInjector?.getToken('groqApiKey') ||
-    process.env.GROQ_API_KEY;
+  const groqApiKey = getCredential(executionContext, 'groqApiKey');
 
   if (!languageModel && !groqApiKey) {
     console.log(`[Agent] No language model connected and no GROQ_API_KEY - skipping agent execution for node '${node.name}'`);
@@ -124,45 +123,35 @@ async function processAgentItem(node, inputData, executionContext, params, langu
   let apiUrl;
 
   if (provider === 'groq') {
-    apiKey = executionContext.tokens?.groqApiKey ||
-      executionContext.tokenInjector?.getToken('groqApiKey') ||
-      process.env.GROQ_API_KEY;
+    apiKey = getCredential(executionContext, 'groqApiKey');
     apiUrl = 'https://api.groq.com/openai/v1/chat/completions';
 
     if (!apiKey) {
       throw new Error('GROQ_API_KEY not provided');
     }
   } else if (provider === 'anthropic') {
-    apiKey = executionContext.tokens?.anthropicApiKey ||
-      executionContext.tokenInjector?.getToken('anthropicApiKey') ||
-      process.env.ANTHROPIC_API_KEY;
+    apiKey = getCredential(executionContext, 'anthropicApiKey');
     apiUrl = 'https://api.anthropic.com/v1/messages';
 
     if (!apiKey) {
       throw new Error('ANTHROPIC_API_KEY not provided');
     }
   } else if (provider === 'google-gemini') {
-    apiKey = executionContext.tokens?.googlePalmApiKey ||
-      executionContext.tokenInjector?.getToken('googlePalmApiKey') ||
-      process.env.GOOGLE_PALM_API_KEY;
+    apiKey = getCredential(executionContext, 'googlePalmApiKey');
     apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
 
     if (!apiKey) {
       throw new Error('GOOGLE_PALM_API_KEY not provided');
     }
   } else if (provider === 'huggingface') {
-    apiKey = executionContext.tokens?.huggingFaceApiKey ||
-      executionContext.tokenInjector?.getToken('huggingFaceApiKey') ||
-      process.env.HUGGINGFACE_API_KEY;
+    apiKey = getCredential(executionContext, 'huggingFaceApiKey');
     apiUrl = null; // HuggingFace uses different API structure
 
     if (!apiKey) {
       throw new Error('HUGGINGFACE_API_KEY not provided');
     }
   } else {
-    apiKey = executionContext.tokens?.openAiApiKey ||
-      executionContext.tokenInjector?.getToken('openAiApiKey') ||
-      process.env.OPENAI_API_KEY;
+    apiKey = getCredential(executionContext, 'openAiApiKey');
     apiUrl = 'https://api.openai.com/v1/chat/completions';
 
     if (!apiKey) {
@@ -287,16 +276,20 @@ async function processAgentItem(node, inputData, executionContext, params, langu
         requestBody.tool_choice = 'auto';
       }
 
-      response = await axios.post(
-        apiUrl,
-        requestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          }
+      response = await requestHttp(executionContext, {
+        node,
+        service: 'groq',
+        operation: 'chat.completions',
+        mockResponse: { choices: [{ message: { role: 'assistant', content: 'Dry-run response' } }], usage: {} }
+      }, {
+        method: 'post',
+        url: apiUrl,
+        data: requestBody,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
         }
-      );
+      });
 
       const message = response.data.choices[0]?.message;
       const content = message?.content || '';
@@ -357,17 +350,21 @@ async function processAgentItem(node, inputData, executionContext, params, langu
         messages: messages
       };
 
-      response = await axios.post(
-        apiUrl,
-        requestBody,
-        {
-          headers: {
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json'
-          }
+      response = await requestHttp(executionContext, {
+        node,
+        service: 'anthropic',
+        operation: 'messages.create',
+        mockResponse: { content: [{ type: 'text', text: 'Dry-run response' }], usage: {} }
+      }, {
+        method: 'post',
+        url: apiUrl,
+        data: requestBody,
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': '2023-06-01',
+          'Content-Type': 'application/json'
         }
-      );
+      });
 
       const content = response.data.content?.[0]?.text || '';
 
@@ -408,15 +405,19 @@ async function processAgentItem(node, inputData, executionContext, params, langu
       }
 
       // apiUrl already includes the API key as a query param
-      response = await axios.post(
-        apiUrl,
-        requestBody,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
+      response = await requestHttp(executionContext, {
+        node,
+        service: 'gemini',
+        operation: 'generateContent',
+        mockResponse: { candidates: [{ content: { role: 'model', parts: [{ text: 'Dry-run response' }] } }] }
+      }, {
+        method: 'post',
+        url: apiUrl,
+        data: requestBody,
+        headers: {
+          'Content-Type': 'application/json'
         }
-      );
+      });
 
       const content = response.data.candidates?.[0]?.content?.parts?.[0]?.text || '';
 
@@ -438,14 +439,21 @@ async function processAgentItem(node, inputData, executionContext, params, langu
       const lastMessage = messages[messages.length - 1]?.content || '';
 
       // Use text generation for chat
-      const result = await hf.textGeneration({
+      const request = {
         model: model,
         inputs: lastMessage,
         parameters: {
           max_new_tokens: 1024,
           return_full_text: false
         }
-      });
+      };
+      const result = await callIntegration(executionContext, {
+        node,
+        service: 'huggingface',
+        operation: 'textGeneration',
+        request,
+        mockResponse: { generated_text: 'Dry-run response' }
+      }, () => hf.textGeneration(request));
 
       const content = typeof result === 'string' ? result : result.generated_text || '';
 
@@ -468,16 +476,20 @@ async function processAgentItem(node, inputData, executionContext, params, langu
         requestBody.tool_choice = 'auto';
       }
 
-      response = await axios.post(
-        apiUrl,
-        requestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiKey}`,
-            'Content-Type': 'application/json'
-          }
+      response = await requestHttp(executionContext, {
+        node,
+        service: 'openai',
+        operation: 'chat.completions',
+        mockResponse: { choices: [{ message: { role: 'assistant', content: 'Dry-run response' } }], usage: {} }
+      }, {
+        method: 'post',
+        url: apiUrl,
+        data: requestBody,
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
         }
-      );
+      });
 
       const message = response.data.choices[0]?.message;
       const content = message?.content || '';
@@ -662,7 +674,22 @@ async function executeToolCall(functionName, functionArgs, tools, inputData, exe
   return null;
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.agent',
+  displayName: 'AI Agent',
+  typeVersions: [1, 1.1, 1.2, 1.3, 1.4, 1.5, 1.6, 1.7, 1.8, 1.9, 2, 2.1, 2.2],
+  inputs: ['main', 'ai_languageModel', 'ai_memory', 'ai_tool'],
+  outputs: ['main'],
+  // Without a connected chat model the agent runs on Groq; otherwise the model's key is used
+  credentials: [{ name: 'groqApiKey', required: false }],
+  parameters: {
+    text: { type: 'string' },
+    options: { type: 'collection' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -1,5 +1,6 @@
-const axios = require('axios');
+const { requestHttp } = require('../utils/dryRun');
 const { evaluateExpression } = require('../utils/expressions');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * AI/LLM Node Executor
@@ -64,9 +65,7 @@ async function executeLLMChain(node, inputData, executionContext) {
   let apiKey, apiUrl, headers;
   
   if (useGroq) {
-    apiKey = executionContext.tokens?.groqApiKey || 
-             executionContext.tokenInjector?.getToken('groqApiKey') ||
-             process.env.GROQ_API_KEY;
+    apiKey = getCredential(executionContext, 'groqApiKey');
     apiUrl = 'https://api.groq.com/openai/v1/chat/completions';
     headers = {
       'Authorization': `Bearer ${apiKey}`,
@@ -77,9 +76,7 @@ async function executeLLMChain(node, inputData, executionContext) {
       throw new Error('GROQ_API_KEY not provided. Set it in tokens.groqApiKey or GROQ_API_KEY environment variable');
     }
   } else {
-    apiKey = executionContext.tokens?.openRouterApiKey || 
-             executionContext.tokenInjector?.getToken('openRouterApiKey') ||
-             process.env.OPENROUTER_API_KEY;
+    apiKey = getCredential(executionContext, 'openRouterApiKey');
     apiUrl = 'https://openrouter.ai/api/v1/chat/completions';
     headers = {
       'Authorization': `Bearer ${apiKey}`,
@@ -95,14 +92,20 @@ async function executeLLMChain(node, inputData, executionContext) {
 
   try {
     // Call API (Groq or OpenRouter)
-    const response = await axios.post(
-      apiUrl,
-      {
+    const response = await requestHttp(executionContext, {
+      node,
+      service: useGroq ? 'groq' : 'openrouter',
+      operation: 'chat.completions',
+      mockResponse: { choices: [{ message: { role: 'assistant', content: 'Dry-run response' } }], usage: {} }
+    }, {
+      method: 'post',
+      url: apiUrl,
+      data: {
         model: model,
         messages: messages
       },
-      { headers }
-    );
+      headers
+    });
 
     const content = response.data.choices[0]?.message?.content || '';
     
@@ -144,7 +147,35 @@ function findConnectedModelNode(chainNode, workflow) {
   return null;
 }
 
+const nodeTypes = [
+  {
+    type: '@n8n/n8n-nodes-langchain.chainLlm',
+    displayName: 'Basic LLM Chain',
+    typeVersions: [1, 1.1, 1.2, 1.3, 1.4, 1.5, 1.6, 1.7],
+    inputs: ['main', 'ai_languageModel'],
+    outputs: ['main'],
+    // Groq when GROQ_API_KEY is set (and PREFER_OPENROUTER isn't), OpenRouter otherwise
+    credentials: [{ name: 'groqApiKey', required: false }, { name: 'openRouterApiKey', required: false }],
+    parameters: {
+      text: { type: 'string' },
+      messages: { type: 'collection' }
+    }
+  },
+  {
+    type: '@n8n/n8n-nodes-langchain.lmChatOpenRouter',
+    displayName: 'OpenRouter Chat Model',
+    typeVersions: [1],
+    inputs: [],
+    outputs: ['ai_languageModel'],
+    credentials: [{ name: 'openRouterApiKey', required: false }],
+    parameters: {
+      model: { type: 'string' }
+    }
+  }
+];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
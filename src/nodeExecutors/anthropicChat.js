@@ -30,7 +30,21 @@ async function executeAnthropicChat(node, inputData, executionContext) {
   }];
 }
 
+// The Agent node makes the calls with this model's provider key
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.lmChatAnthropic',
+  displayName: 'Anthropic Chat Model',
+  typeVersions: [1, 1.1, 1.2, 1.3],
+  inputs: [],
+  outputs: ['ai_languageModel'],
+  credentials: [{ name: 'anthropicApiKey', required: true }],
+  parameters: {
+    model: { type: 'string', default: 'claude-3-sonnet-20240229' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
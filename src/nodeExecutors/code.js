@@ -1,84 +1,78 @@
-const { VM } = require('vm2');
-const { evaluateExpression } = require('../utils/expressions');
-const axios = require('axios');
+const { runInSandbox } = require('../utils/codeSandbox');
+const { transformSource } = require('../utils/extensions');
+const { storeBinaryData, isBinaryReference } = require('../utils/binaryDataManager');
+const { requestHttp } = require('../utils/dryRun');
 
 /**
  * Code Node Executor
- * Executes JavaScript code with access to previous node outputs
+ * Executes JavaScript code with access to previous node outputs.
+ * The code runs in an unprivileged, resource-limited child process (see
+ * utils/codeSandbox.js); inputs, node outputs and execution metadata are sent
+ * to it as plain data, and static data and $execution.customData changes are
+ * copied back afterwards.
+ *
+ * Modes (parameters.mode):
+ * - runOnceForAllItems (default) - one run, $input.all() holds every item
+ * - runOnceForEachItem - one run per item; $json/$binary/$itemIndex are that item
+ *   and the returned object becomes its output item
+ * In a dry run the code's axios requests are recorded and answered with
+ * fixtures like the HTTP Request node's (service 'http', operation = method);
+ * any other network access (http, net, fetch...) fails.
+ * Returned items may carry `binary` ({ data: base64 or Buffer, mimeType, fileName },
+ * moved into the binary data manager) and `pairedItem` (index of the input item
+ * they came from).
  */
 async function execute(node, inputData, executionContext) {
   const params = node.parameters || {};
   const jsCode = params.jsCode || '';
+  const mode = params.mode || 'runOnceForAllItems';
 
   if (!jsCode) {
     return [{ json: {} }];
   }
 
-  // Create VM context with access to input data and previous nodes
-  const vm = new VM({
-    timeout: 10000,
-    sandbox: {
-      // $input - access to input data
-      $input: {
-        first: () => inputData && inputData.length > 0 ? inputData[0] : null,
-        all: () => inputData || [],
-        item: inputData && inputData.length > 0 ? inputData[0] : null
-      },
-      // $json - shortcut to first input's json
-      $json: inputData && inputData.length > 0 ? (inputData[0].json || inputData[0]) : {},
-      // $() - function to get previous node output by name
-      $: (nodeName) => {
-        const nodeOutput = executionContext.nodes[nodeName];
-        if (nodeOutput && nodeOutput.length > 0) {
-          return {
-            item: nodeOutput[0],
-            first: () => nodeOutput[0],
-            all: () => nodeOutput
-          };
-        }
-        return null;
-      },
-      // $getWorkflowStaticData - mimic n8n state persistence helper
-      $getWorkflowStaticData: (type) => {
-        if (!executionContext.staticData) {
-          // Initialize state per execution context
-          executionContext.staticData = {};
-        }
-        return executionContext.staticData;
-      },
-      // Helper functions
-      console: {
-        log: (...args) => console.log('[Code Node]', ...args),
-        error: (...args) => console.error('[Code Node]', ...args)
-      },
-      require: (mod) => {
-        if (mod === 'axios') return axios;
-        throw new Error(`Module '${mod}' is not available in code nodes`);
-      },
-      $env: process.env
-    }
-  });
-
   try {
     // Always wrap code in an async function to allow return statements and await
-    const wrappedCode = `(async function() { ${jsCode} })()`;
+    const wrappedCode = transformSource(`(async function() { ${jsCode}\n})()`);
+
+    const { result, staticData, customData } = await runInSandbox(wrappedCode, {
+      inputData: inputData || [],
+      mode,
+      context: getSandboxContext(executionContext)
+    }, {
+      requestHttp: executionContext.dryRun
+        ? config => requestHttp(executionContext, {
+          node,
+          service: 'http',
+          operation: (config.method || 'get').toLowerCase(),
+          mockResponse: {}
+        }, config)
+        : undefined,
+      blockNetwork: Boolean(executionContext.dryRun)
+    });
+
+    syncState(executionContext, 'staticData', staticData);
+    syncState(executionContext, 'customData', customData);
+
+    const scope = executionContext.binaryDataScope;
 
-    // Execute the code - result may be a Promise
-    const result = await Promise.resolve(vm.run(wrappedCode));
+    if (mode === 'runOnceForEachItem') {
+      return toEachItemOutput(result, scope);
+    }
 
     // Handle different return types
     if (Array.isArray(result)) {
       // Array of items
-      return result.map(item => {
+      return Promise.all(result.map(item => {
         if (item && typeof item === 'object' && 'json' in item) {
-          return item;
+          return normalizeItem(item, scope);
         }
         return { json: item };
-      });
+      }));
     } else if (result && typeof result === 'object') {
       // Single object
       if ('json' in result) {
-        return [result];
+        return [await normalizeItem(result, scope)];
       }
       return [{ json: result }];
     } else if (result !== undefined) {
@@ -93,7 +87,128 @@ async function execute(node, inputData, executionContext) {
   }
 }
 
-module.exports = {
-  execute
+/**
+ * One output item per input item that returned something; each pairs with its input
+ * @private
+ */
+async function toEachItemOutput(results, scope) {
+  const output = [];
+
+  for (const [itemIndex, result] of results.entries()) {
+    if (result === undefined || result === null) continue;
+
+    if (Array.isArray(result)) {
+      throw new Error(
+        `Code doesn't return a single object for item ${itemIndex} (an array was returned). ` +
+        `To output several items per run, use the 'Run Once for All Items' mode.`
+      );
+    }
+
+    const item = result && typeof result === 'object'
+      ? ('json' in result ? await normalizeItem(result, scope) : { json: result })
+      : { json: { value: result } };
+
+    output.push(item.pairedItem === undefined ? { ...item, pairedItem: { item: itemIndex } } : item);
+  }
+
+  return output;
+}
+
+/**
+ * Keep json, binary and pairedItem; inline binary data (base64 or bytes) is
+ * moved into the binary data manager and replaced by a reference
+ * @private
+ */
+async function normalizeItem(item, scope) {
+  if (!item.binary || typeof item.binary !== 'object') {
+    return item;
+  }
+
+  const binary = {};
+  for (const [key, entry] of Object.entries(item.binary)) {
+    binary[key] = await normalizeBinaryEntry(entry, key, scope);
+  }
+  return { ...item, binary };
+}
+
+/**
+ * @private
+ */
+async function normalizeBinaryEntry(entry, key, scope) {
+  // Stored references (e.g. passed through from the input) stay as they are
+  if (isBinaryReference(entry)) {
+    return entry;
+  }
+
+  if (typeof entry === 'string' || entry instanceof Uint8Array || entry instanceof ArrayBuffer) {
+    entry = { data: entry };
+  }
+
+  if (!entry || typeof entry !== 'object' || entry.data === undefined) {
+    throw new Error(`Binary property '${key}' must have a data field (base64 string or bytes)`);
+  }
+
+  const { data, ...metadata } = entry;
+  const stored = await storeBinaryData(scope, typeof data === 'string' ? data : Buffer.from(data), metadata);
+  return { ...metadata, ...stored };
+}
+
+/**
+ * The parts of the execution context the sandbox globals read
+ * @private
+ */
+function getSandboxContext(executionContext) {
+  const workflow = executionContext.workflow || {};
+  const currentNode = executionContext.currentNode;
+
+  return {
+    nodes: executionContext.nodes || {},
+    nodeOutputs: executionContext.nodeOutputs || {},
+    inputSources: executionContext.inputSources || {},
+    currentNode: currentNode ? { name: currentNode.name, id: currentNode.id } : null,
+    prevNode: executionContext.prevNode || null,
+    runIndex: executionContext.runIndex || 0,
+    executionId: executionContext.executionId,
+    executionMode: executionContext.executionMode,
+    workflow: { id: workflow.id, name: workflow.name, active: workflow.active, settings: workflow.settings },
+    variables: executionContext.variables || {},
+    customData: executionContext.customData || {},
+    staticData: executionContext.staticData || {}
+  };
+}
+
+/**
+ * Copy state the code changed back into the shared object, in place, so every
+ * per-node context view keeps pointing at the same store
+ * @private
+ */
+function syncState(executionContext, key, value) {
+  if (!value) return;
+
+  const target = executionContext[key];
+  if (!target) {
+    executionContext[key] = value;
+    return;
+  }
+
+  for (const existingKey of Object.keys(target)) {
+    if (!(existingKey in value)) delete target[existingKey];
+  }
+  Object.assign(target, value);
+}
+
+const CODE_PARAMETERS = {
+  jsCode: { type: 'string', default: '' },
+  mode: { type: 'options', default: 'runOnceForAllItems', options: ['runOnceForAllItems', 'runOnceForEachItem'] }
 };
 
+const nodeTypes = [
+  { type: 'n8n-nodes-base.code', displayName: 'Code', typeVersions: [1, 2], inputs: ['main'], outputs: ['main'], parameters: CODE_PARAMETERS },
+  { type: 'n8n-nodes-base.function', displayName: 'Function', typeVersions: [1], inputs: ['main'], outputs: ['main'], parameters: CODE_PARAMETERS },
+  { type: 'n8n-nodes-base.functionItem', displayName: 'Function Item', typeVersions: [1], inputs: ['main'], outputs: ['main'], parameters: CODE_PARAMETERS }
+];
+
+module.exports = {
+  execute,
+  nodeTypes
+};
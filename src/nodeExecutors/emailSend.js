@@ -1,5 +1,7 @@
 const { google } = require('googleapis');
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Email Send Node Executor
@@ -7,9 +9,7 @@ const { evaluateExpression } = require('../utils/expressions');
  */
 async function execute(node, inputData, executionContext) {
   // Get Google OAuth token
-  const googleAccessToken = executionContext.tokens?.googleAccessToken ||
-                           executionContext.tokenInjector?.getToken('googleAccessToken') ||
-                           process.env.GOOGLE_ACCESS_TOKEN;
+  const googleAccessToken = getCredential(executionContext, 'googleAccessToken');
   
   if (!googleAccessToken) {
     throw new Error('Google OAuth token not provided. User must connect their Google account to send emails.');
@@ -33,10 +33,11 @@ async function executeWithGmailAPI(node, inputData, executionContext, accessToke
   const results = [];
   
   // Process each input item
-  for (const item of inputData || []) {
+  for (const [itemIndex, item] of (inputData || []).entries()) {
     const expressionContext = {
       currentInput: [item],
-      executionContext
+      executionContext,
+      itemIndex
     };
     
     // Evaluate email parameters
@@ -67,12 +68,20 @@ async function executeWithGmailAPI(node, inputData, executionContext, accessToke
       console.log(`[Email] Sending via Gmail API to: ${toEmail}`);
       
       // Send email via Gmail API
-      const response = await gmail.users.messages.send({
+      const request = {
         userId: 'me',
         requestBody: {
           raw: encodedEmail
         }
-      });
+      };
+      const response = await callIntegration(executionContext, {
+        node,
+        service: 'gmail',
+        operation: 'users.messages.send',
+        request,
+        mockResponse: { id: `dry-run-message-${itemIndex}`, threadId: `dry-run-thread-${itemIndex}` },
+        respond: data => ({ data })
+      }, () => gmail.users.messages.send(request));
       
       console.log(`[Email] Email sent successfully via Gmail API. Message ID: ${response.data.id}`);
       
@@ -106,6 +115,23 @@ async function executeWithGmailAPI(node, inputData, executionContext, accessToke
   return results;
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.emailSend',
+  displayName: 'Send Email',
+  typeVersions: [1, 2, 2.1],
+  inputs: ['main'],
+  outputs: ['main'],
+  credentials: [{ name: 'googleAccessToken', required: true }],
+  parameters: {
+    fromEmail: { type: 'string' },
+    toEmail: { type: 'string' },
+    subject: { type: 'string' },
+    text: { type: 'string' },
+    message: { type: 'string' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
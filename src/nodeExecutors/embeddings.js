@@ -1,5 +1,6 @@
-const axios = require('axios');
 const { evaluateExpression } = require('../utils/expressions');
+const { requestHttp } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Embeddings Node Executor
@@ -21,9 +22,7 @@ async function execute(node, inputData, executionContext) {
 
 async function executeCohereEmbeddings(node, inputData, executionContext) {
   // Get API key from tokens or environment
-  const apiKey = executionContext.tokens?.cohereApiKey ||
-                 executionContext.tokenInjector?.getToken('cohereApiKey') ||
-                 process.env.COHERE_API_KEY;
+  const apiKey = getCredential(executionContext, 'cohereApiKey');
 
   if (!apiKey) {
     throw new Error('COHERE_API_KEY not provided. Set it in tokens.cohereApiKey or COHERE_API_KEY environment variable');
@@ -44,20 +43,24 @@ async function executeCohereEmbeddings(node, inputData, executionContext) {
 
   try {
     // Call Cohere Embed API
-    const response = await axios.post(
-      'https://api.cohere.ai/v1/embed',
-      {
+    const response = await requestHttp(executionContext, {
+      node,
+      service: 'cohere',
+      operation: 'embed',
+      mockResponse: { embeddings: texts.map(() => []) }
+    }, {
+      method: 'post',
+      url: 'https://api.cohere.ai/v1/embed',
+      data: {
         texts: texts,
         model: 'embed-english-v3.0', // Default Cohere embedding model
         input_type: 'search_document' // Can be 'search_document' or 'search_query'
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
       }
-    );
+    });
 
     // Map embeddings to output format
     const embeddings = response.data.embeddings || [];
@@ -84,9 +87,7 @@ async function executeCohereEmbeddings(node, inputData, executionContext) {
 
 async function executeOpenAIEmbeddings(node, inputData, executionContext) {
   // Get API key from tokens or environment
-  const apiKey = executionContext.tokens?.openAiApiKey ||
-                 executionContext.tokenInjector?.getToken('openAiApiKey') ||
-                 process.env.OPENAI_API_KEY;
+  const apiKey = getCredential(executionContext, 'openAiApiKey');
 
   if (!apiKey) {
     throw new Error('OPENAI_API_KEY not provided. Set it in tokens.openAiApiKey or OPENAI_API_KEY environment variable');
@@ -107,19 +108,23 @@ async function executeOpenAIEmbeddings(node, inputData, executionContext) {
 
   try {
     // Call OpenAI Embeddings API
-    const response = await axios.post(
-      'https://api.openai.com/v1/embeddings',
-      {
+    const response = await requestHttp(executionContext, {
+      node,
+      service: 'openai',
+      operation: 'embeddings',
+      mockResponse: { data: texts.map(() => ({ embedding: [] })) }
+    }, {
+      method: 'post',
+      url: 'https://api.openai.com/v1/embeddings',
+      data: {
         input: texts,
         model: 'text-embedding-3-small' // Default OpenAI embedding model
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
       }
-    );
+    });
 
     // Map embeddings to output format
     const embeddings = response.data.data || [];
@@ -144,7 +149,27 @@ async function executeOpenAIEmbeddings(node, inputData, executionContext) {
   }
 }
 
+const nodeTypes = [
+  {
+    type: '@n8n/n8n-nodes-langchain.embeddingsCohere',
+    displayName: 'Embeddings Cohere',
+    typeVersions: [1],
+    inputs: [],
+    outputs: ['ai_embedding'],
+    credentials: [{ name: 'cohereApiKey', required: true }]
+  },
+  {
+    type: '@n8n/n8n-nodes-langchain.embeddingsOpenAi',
+    displayName: 'Embeddings OpenAI',
+    typeVersions: [1, 1.1, 1.2],
+    inputs: [],
+    outputs: ['ai_embedding'],
+    credentials: [{ name: 'openAiApiKey', required: true }]
+  }
+];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -1,5 +1,6 @@
-const axios = require('axios');
 const { evaluateExpression } = require('../utils/expressions');
+const { requestHttp } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * HuggingFace Embeddings Node Executor
@@ -20,9 +21,7 @@ async function executeHuggingFaceEmbeddings(node, inputData, executionContext) {
   const model = params.model || 'sentence-transformers/all-MiniLM-L6-v2'; // Default HuggingFace embedding model
 
   // Get API key from tokens or environment
-  const apiKey = executionContext.tokens?.huggingFaceApiKey ||
-                 executionContext.tokenInjector?.getToken('huggingFaceApiKey') ||
-                 process.env.HUGGINGFACE_API_KEY;
+  const apiKey = getCredential(executionContext, 'huggingFaceApiKey');
 
   if (!apiKey) {
     throw new Error('HUGGINGFACE_API_KEY not provided. Set it in tokens.huggingFaceApiKey or HUGGINGFACE_API_KEY environment variable');
@@ -43,21 +42,25 @@ async function executeHuggingFaceEmbeddings(node, inputData, executionContext) {
 
   try {
     // Call HuggingFace Inference API for embeddings
-    const response = await axios.post(
-      `https://api-inference.huggingface.co/pipeline/feature-extraction/${model}`,
-      {
+    const response = await requestHttp(executionContext, {
+      node,
+      service: 'huggingface',
+      operation: 'featureExtraction',
+      mockResponse: texts.map(() => [])
+    }, {
+      method: 'post',
+      url: `https://api-inference.huggingface.co/pipeline/feature-extraction/${model}`,
+      data: {
         inputs: texts,
         options: {
           wait_for_model: true
         }
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
       }
-    );
+    });
 
     // HuggingFace returns embeddings as array of arrays
     const embeddings = Array.isArray(response.data) ? response.data : [response.data];
@@ -82,7 +85,20 @@ async function executeHuggingFaceEmbeddings(node, inputData, executionContext) {
   }
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.embeddingsHuggingFace',
+  displayName: 'Embeddings Hugging Face',
+  typeVersions: [1],
+  inputs: [],
+  outputs: ['ai_embedding'],
+  credentials: [{ name: 'huggingFaceApiKey', required: true }],
+  parameters: {
+    model: { type: 'string', default: 'sentence-transformers/all-MiniLM-L6-v2' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
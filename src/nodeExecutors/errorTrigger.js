@@ -0,0 +1,31 @@
+/**
+ * Error Trigger Node Executor
+ * Entry point of an error workflow. The runner of the failed execution starts
+ * the error workflow with a single item describing the failure:
+ * {
+ *   execution: { id, error: { message, stack }, lastNodeExecuted, failedNode: { name, type } },
+ *   workflow: { id, name },
+ *   trigger: <original trigger data of the failed execution>
+ * }
+ */
+async function execute(node, inputData, executionContext) {
+  // Without failure data (e.g. a manual test run) emit an empty item like n8n's manual mode
+  if (!inputData || inputData.length === 0) {
+    return [{ json: {} }];
+  }
+
+  return inputData;
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.errorTrigger',
+  displayName: 'Error Trigger',
+  typeVersions: [1],
+  inputs: [],
+  outputs: ['main']
+}];
+
+module.exports = {
+  execute,
+  nodeTypes
+};
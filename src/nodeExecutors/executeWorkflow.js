@@ -0,0 +1,107 @@
+const { evaluateExpression } = require('../utils/expressions');
+
+/**
+ * Execute Workflow Node Executor
+ * Calls another workflow and returns the output of its last executed node.
+ * The sub-workflow runs in a child WorkflowRunner that shares this
+ * execution's tokens (see WorkflowRunner.executeSubWorkflow) and starts from
+ * its Execute Workflow Trigger.
+ *
+ * Parameters:
+ * - source: 'database' (default) - workflowId, resolved like any stored template
+ *           'parameter' - workflowJson, the workflow passed inline (object or JSON string)
+ * - mode: 'once' (default) - one sub-workflow run with all items
+ *         'each' - one run per item
+ * - options.waitForSubWorkflow: false to start the sub-workflow without waiting;
+ *   the input items are then passed through, and the execution's binary data is
+ *   kept until the sub-workflow has finished
+ */
+async function execute(node, inputData, executionContext) {
+  const params = node.parameters || {};
+  const options = params.options || {};
+  const items = inputData || [];
+  const mode = params.mode || 'once';
+
+  const workflow = await resolveWorkflow(node, items, executionContext);
+  const waitForSubWorkflow = options.waitForSubWorkflow !== false;
+
+  const batches = mode === 'each'
+    ? items.map(item => [item])
+    : [items];
+
+  if (!waitForSubWorkflow) {
+    for (const batch of batches) {
+      executionContext.executeSubWorkflow(workflow, batch, { detached: true }).catch(error => {
+        console.error(`[ExecuteWorkflow] Sub-workflow started by '${node.name}' failed: ${error.message}`);
+      });
+    }
+    return items;
+  }
+
+  const output = [];
+  for (const batch of batches) {
+    const result = await executionContext.executeSubWorkflow(workflow, batch);
+
+    if (!result.success) {
+      const reason = result.error || result.errors
+        .map(error => (typeof error === 'string' ? error : error.error))
+        .join(', ');
+      throw new Error(`Sub-workflow '${workflow.name || workflow.id || 'inline'}' failed: ${reason}`);
+    }
+
+    output.push(...(result.outputs[result.lastNodeExecuted] || []));
+  }
+
+  console.log(`[ExecuteWorkflow] '${node.name}' ran ${batches.length} sub-workflow execution(s), ${output.length} items returned`);
+
+  return output;
+}
+
+async function resolveWorkflow(node, items, executionContext) {
+  const params = node.parameters || {};
+  const exprContext = { currentInput: items, executionContext };
+
+  if (params.source === 'parameter') {
+    let workflow = evaluateExpression(params.workflowJson, exprContext);
+    if (typeof workflow === 'string') {
+      try {
+        workflow = JSON.parse(workflow);
+      } catch (parseError) {
+        throw new Error(`Execute Workflow '${node.name}': workflowJson is not valid JSON`);
+      }
+    }
+    if (!workflow || !Array.isArray(workflow.nodes)) {
+      throw new Error(`Execute Workflow '${node.name}': workflowJson must be a workflow with a nodes array`);
+    }
+    return workflow;
+  }
+
+  // workflowId is a plain id or an n8n resource locator ({ __rl, mode, value })
+  const reference = params.workflowId?.__rl ? params.workflowId.value : params.workflowId;
+  const workflowId = evaluateExpression(reference, exprContext);
+  if (!workflowId) {
+    throw new Error(`Execute Workflow '${node.name}': no workflow id configured`);
+  }
+
+  return executionContext.loadWorkflow(String(workflowId));
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.executeWorkflow',
+  displayName: 'Execute Workflow',
+  typeVersions: [1, 1.1, 1.2],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    source: { type: 'options', default: 'database', options: ['database', 'parameter'] },
+    workflowId: { type: 'string' },
+    workflowJson: { type: 'json' },
+    mode: { type: 'options', default: 'once', options: ['once', 'each'] },
+    options: { type: 'collection' }
+  }
+}];
+
+module.exports = {
+  execute,
+  nodeTypes
+};
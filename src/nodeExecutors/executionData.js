@@ -0,0 +1,56 @@
+const { evaluateExpression } = require('../utils/expressions');
+
+// Same limits n8n applies to saved execution data
+const MAX_KEY_LENGTH = 50;
+const MAX_VALUE_LENGTH = 512;
+
+/**
+ * Execution Data Node Executor
+ * Saves key/value metadata on the current execution (executionContext.customData,
+ * returned as `customData` in the execution result) so executions can be
+ * searched by it later. Items pass through unchanged.
+ *
+ * Parameters:
+ * - dataToSave.values: [{ key, value }] (expressions evaluated per item, later items win)
+ */
+async function execute(node, inputData, executionContext) {
+  const params = node.parameters || {};
+  const values = params.dataToSave?.values || [];
+  const items = inputData || [];
+
+  if (!executionContext.customData) {
+    executionContext.customData = {};
+  }
+
+  items.forEach((item, itemIndex) => {
+    const exprContext = { currentInput: [item], executionContext, itemIndex };
+
+    for (const entry of values) {
+      const key = String(evaluateExpression(entry.key, exprContext) ?? '').slice(0, MAX_KEY_LENGTH);
+      if (!key) continue;
+
+      const value = evaluateExpression(entry.value, exprContext);
+      executionContext.customData[key] = String(value ?? '').slice(0, MAX_VALUE_LENGTH);
+    }
+  });
+
+  console.log(`[ExecutionData] Saved ${Object.keys(executionContext.customData).length} key(s) on the execution`);
+
+  return items;
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.executionData',
+  displayName: 'Execution Data',
+  typeVersions: [1],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    dataToSave: { type: 'collection' }
+  }
+}];
+
+module.exports = {
+  execute,
+  nodeTypes
+};
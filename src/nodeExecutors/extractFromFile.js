@@ -3,11 +3,12 @@
  * Handles PDF text extraction using pdf-parse library
  * 
  * Expects file content in:
- * - item.binary.data (from Google Drive download)
+ * - item.binary.data (a stored binary reference, or inline base64 from older nodes)
  * - Or item.json.fileData / item.json.data etc. as fallback
  */
 
 const { PDFParse } = require('pdf-parse');
+const { getBinaryBuffer, isBinaryReference } = require('../utils/binaryDataManager');
 
 /**
  * Decode base64 string to Buffer
@@ -43,6 +44,7 @@ async function execute(node, inputData = [], executionContext) {
     try {
       // Find the file data - check binary property first (from Google Drive download)
       let base64Data = null;
+      let storedBuffer = null;
       let mimeType = null;
       let fileName = null;
 
@@ -50,7 +52,11 @@ async function execute(node, inputData = [], executionContext) {
       if (item.binary) {
         const binaryKey = Object.keys(item.binary)[0]; // Usually 'data'
         if (binaryKey && item.binary[binaryKey]) {
-          base64Data = item.binary[binaryKey].data;
+          if (isBinaryReference(item.binary[binaryKey])) {
+            storedBuffer = await getBinaryBuffer(item.binary[binaryKey]);
+          } else {
+            base64Data = item.binary[binaryKey].data;
+          }
           mimeType = item.binary[binaryKey].mimeType;
           fileName = item.binary[binaryKey].fileName;
           console.log(`[ExtractFromFile] Found binary data in item.binary.${binaryKey}, mimeType: ${mimeType}, fileName: ${fileName}`);
@@ -58,7 +64,7 @@ async function execute(node, inputData = [], executionContext) {
       }
 
       // Fallback to json properties
-      if (!base64Data) {
+      if (!base64Data && !storedBuffer) {
         base64Data = item.json?.fileData ||
           item.json?.file ||
           item.json?.cvBase64 ||
@@ -70,7 +76,7 @@ async function execute(node, inputData = [], executionContext) {
         }
       }
 
-      if (!base64Data) {
+      if (!base64Data && !storedBuffer) {
         console.log(`[ExtractFromFile] No file data found in item`);
         results.push({
           json: {
@@ -83,7 +89,7 @@ async function execute(node, inputData = [], executionContext) {
       }
 
       // Decode base64 to buffer
-      const fileBuffer = decodeBase64ToBuffer(base64Data);
+      const fileBuffer = storedBuffer || decodeBase64ToBuffer(base64Data);
 
       if (!fileBuffer || fileBuffer.length === 0) {
         console.log(`[ExtractFromFile] Failed to decode base64 data`);
@@ -172,4 +178,15 @@ async function execute(node, inputData = [], executionContext) {
   return results;
 }
 
-module.exports = { execute };
+const nodeTypes = [{
+  type: 'n8n-nodes-base.extractFromFile',
+  displayName: 'Extract From File',
+  typeVersions: [1],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    operation: { type: 'options', default: 'pdf' }
+  }
+}];
+
+module.exports = { execute, nodeTypes };
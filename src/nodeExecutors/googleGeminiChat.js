@@ -28,6 +28,20 @@ async function executeGoogleGeminiChat(node, inputData, executionContext) {
   }];
 }
 
+// The Agent node makes the calls with this model's provider key
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.lmChatGoogleGemini',
+  displayName: 'Google Gemini Chat Model',
+  typeVersions: [1],
+  inputs: [],
+  outputs: ['ai_languageModel'],
+  credentials: [{ name: 'googlePalmApiKey', required: true }],
+  parameters: {
+    model: { type: 'string', default: 'gemini-1.5-flash-latest' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
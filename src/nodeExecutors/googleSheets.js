@@ -1,5 +1,7 @@
 const { google } = require('googleapis');
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Google Sheets Node Executor
@@ -56,9 +58,7 @@ async function executeGoogleSheets(node, inputData, executionContext) {
   console.log(`[GoogleSheets] Operation: ${operation}, Spreadsheet: ${documentId}, Sheet: ${sheetName}`);
 
   // Get credentials from tokens or environment
-  const accessToken = executionContext.tokens?.googleAccessToken ||
-    executionContext.tokenInjector?.getToken('googleAccessToken') ||
-    process.env.GOOGLE_ACCESS_TOKEN;
+  const accessToken = getCredential(executionContext, 'googleAccessToken');
 
   if (!accessToken) {
     throw new Error('Google access token not provided. Set it in tokens.googleAccessToken or GOOGLE_ACCESS_TOKEN environment variable');
@@ -74,10 +74,18 @@ async function executeGoogleSheets(node, inputData, executionContext) {
     // If sheetName is null (from gid= format), look up the actual sheet name
     if (!sheetName) {
       try {
-        const spreadsheet = await sheets.spreadsheets.get({
+        const request = {
           spreadsheetId: documentId,
           fields: 'sheets.properties'
-        });
+        };
+        const spreadsheet = await callIntegration(executionContext, {
+          node,
+          service: 'sheets',
+          operation: 'spreadsheets.get',
+          request,
+          mockResponse: { sheets: [{ properties: { sheetId: 0, title: 'Sheet1' } }] },
+          respond: data => ({ data })
+        }, () => sheets.spreadsheets.get(request));
         const sheetsList = spreadsheet.data.sheets || [];
         if (sheetsList.length > 0) {
           // Use the first sheet's title
@@ -95,9 +103,9 @@ async function executeGoogleSheets(node, inputData, executionContext) {
     if (operation === 'append' || operation === 'appendOrUpdate') {
       // appendOrUpdate in n8n either appends new rows or updates existing ones
       // For now, we'll treat it as append - this handles the invoice use case
-      return await executeAppend(sheets, documentId, sheetName, inputData, params, executionContext);
+      return await executeAppend(node, sheets, documentId, sheetName, inputData, params, executionContext);
     } else if (operation === 'read') {
-      return await executeRead(sheets, documentId, sheetName, params, executionContext);
+      return await executeRead(node, sheets, documentId, sheetName, params, executionContext);
     } else {
       throw new Error(`Unsupported operation: ${operation}`);
     }
@@ -109,7 +117,7 @@ async function executeGoogleSheets(node, inputData, executionContext) {
   }
 }
 
-async function executeAppend(sheets, documentId, sheetName, inputData, params, executionContext) {
+async function executeAppend(node, sheets, documentId, sheetName, inputData, params, executionContext) {
   // Get column schema from params if available (defines the column order)
   const columnSchema = params.columns?.schema || [];
   const columnMapping = params.columns?.value || {};
@@ -155,7 +163,7 @@ async function executeAppend(sheets, documentId, sheetName, inputData, params, e
   }
 
   // Append rows to sheet
-  const response = await sheets.spreadsheets.values.append({
+  const request = {
     spreadsheetId: documentId,
     range: `${sheetName}!A:Z`,
     valueInputOption: 'USER_ENTERED',
@@ -163,7 +171,15 @@ async function executeAppend(sheets, documentId, sheetName, inputData, params, e
     resource: {
       values: rows
     }
-  });
+  };
+  const response = await callIntegration(executionContext, {
+    node,
+    service: 'sheets',
+    operation: 'spreadsheets.values.append',
+    request,
+    mockResponse: { updatedRange: `${sheetName}!A1:Z${rows.length}`, updates: { updatedRows: rows.length } },
+    respond: data => ({ data })
+  }, () => sheets.spreadsheets.values.append(request));
 
   // IMPORTANT: Pass through ALL input items so downstream nodes (like Agent/Email) 
   // can process each item separately. Just add success info to each item.
@@ -180,13 +196,21 @@ async function executeAppend(sheets, documentId, sheetName, inputData, params, e
   }));
 }
 
-async function executeRead(sheets, documentId, sheetName, params, executionContext) {
+async function executeRead(node, sheets, documentId, sheetName, params, executionContext) {
   const range = params.range || `${sheetName}!A:Z`;
 
-  const response = await sheets.spreadsheets.values.get({
+  const request = {
     spreadsheetId: documentId,
     range: range
-  });
+  };
+  const response = await callIntegration(executionContext, {
+    node,
+    service: 'sheets',
+    operation: 'spreadsheets.values.get',
+    request,
+    mockResponse: { range, values: [] },
+    respond: data => ({ data })
+  }, () => sheets.spreadsheets.values.get(request));
 
   const rows = response.data.values || [];
   const results = [];
@@ -219,7 +243,24 @@ async function executeRead(sheets, documentId, sheetName, params, executionConte
   return results;
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.googleSheets',
+  displayName: 'Google Sheets',
+  typeVersions: [1, 2, 3, 4, 4.1, 4.2, 4.3, 4.4, 4.5, 4.6, 4.7],
+  inputs: ['main'],
+  outputs: ['main'],
+  credentials: [{ name: 'googleAccessToken', required: true }],
+  parameters: {
+    operation: { type: 'options', default: 'append', options: ['append', 'appendOrUpdate', 'read'] },
+    documentId: { type: 'string', required: true },
+    sheetName: { type: 'string', default: 'Sheet1' },
+    range: { type: 'string' },
+    columns: { type: 'collection' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
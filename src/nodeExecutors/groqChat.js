@@ -28,6 +28,20 @@ async function executeGroqChat(node, inputData, executionContext) {
   }];
 }
 
+// The Agent node makes the calls with this model's provider key
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.lmChatGroq',
+  displayName: 'Groq Chat Model',
+  typeVersions: [1],
+  inputs: [],
+  outputs: ['ai_languageModel'],
+  credentials: [{ name: 'groqApiKey', required: true }],
+  parameters: {
+    model: { type: 'string', default: 'llama-3.3-70b-versatile' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
@@ -1,9 +1,13 @@
-const axios = require('axios');
+const path = require('path');
 const { evaluateExpression, evaluateExpressionValue } = require('../utils/expressions');
+const { storeBinaryData, getBinaryStream } = require('../utils/binaryDataManager');
+const { requestHttp } = require('../utils/dryRun');
 
 /**
  * HTTP Request Node Executor
- * Handles GET, POST, PUT, DELETE, etc. with headers, body, and binary data
+ * Handles GET, POST, PUT, DELETE, etc. with headers, body, and binary data.
+ * File responses are streamed into the binary data manager and returned as
+ * item.binary references; binary uploads stream the referenced file.
  */
 async function execute(node, inputData, executionContext) {
   const params = node.parameters || {};
@@ -101,9 +105,26 @@ async function execute(node, inputData, executionContext) {
       // Binary data - get from input
       if (inputData && inputData.length > 0) {
         const inputField = params.inputDataFieldName || 'data';
+        const binaryEntry = inputData[0].binary?.[inputField];
         const binaryData = inputData[0][inputField] || inputData[0].data;
-        
-        if (Buffer.isBuffer(binaryData)) {
+
+        if (binaryEntry) {
+          // Stream the stored file instead of loading it into memory
+          config.data = getBinaryStream(binaryEntry);
+          delete headers['content-length'];
+          if (binaryEntry.fileSize !== undefined) {
+            headers['Content-Length'] = binaryEntry.fileSize;
+          } else {
+            delete headers['Content-Length'];
+          }
+          if (!headers['Content-Type'] && !headers['content-type'] && binaryEntry.mimeType) {
+            headers['Content-Type'] = binaryEntry.mimeType;
+          }
+          config.maxBodyLength = Infinity;
+          config.maxContentLength = Infinity;
+
+          console.log(`[HTTP] Streaming binary property '${inputField}' (${binaryEntry.fileSize ?? 'unknown'} bytes)`);
+        } else if (Buffer.isBuffer(binaryData)) {
           config.data = binaryData;
           
           // For binary uploads, ensure Content-Length is accurate
@@ -219,7 +240,8 @@ async function execute(node, inputData, executionContext) {
   const fullResponse = params.options?.response?.response?.fullResponse || false;
 
   if (responseFormat === 'file') {
-    config.responseType = 'arraybuffer';
+    config.responseType = 'stream';
+    config.maxContentLength = Infinity;
   } else if (responseFormat === 'text') {
     config.responseType = 'text';
   }
@@ -243,21 +265,33 @@ async function execute(node, inputData, executionContext) {
       console.log(`[HTTP] Body: [Binary ${config.data.length} bytes]`);
     }
 
-    const response = await axios(config);
+    const response = await requestHttp(executionContext, {
+      node,
+      service: 'http',
+      operation: method.toLowerCase(),
+      // File downloads take a Buffer or base64 string fixture
+      mockResponse: responseFormat === 'file' ? '' : {}
+    }, config);
 
     // Format output based on response format
     if (responseFormat === 'file') {
-      const byteLen = response.data && response.data.length ? response.data.length : 0;
-      console.log(`[HTTP] Downloaded ${byteLen} bytes from ${method} ${url}`);
-      // Return binary data
+      const outputField = params.options?.response?.response?.outputPropertyName || 'data';
+      const binaryEntry = await storeBinaryData(executionContext?.binaryDataScope, response.data, {
+        mimeType: String(response.headers['content-type'] || '').split(';')[0] || undefined,
+        fileName: getResponseFileName(response.headers, finalUrl)
+      });
+      console.log(`[HTTP] Downloaded ${binaryEntry.fileSize} bytes from ${method} ${url}`);
+      // Return a reference to the stored file
       // Use 'httpStatus' instead of 'status' to avoid conflicts with workflow data
       return [{
         json: {
-          data: response.data,
           headers: response.headers,
-          httpStatus: response.status  // Renamed to prevent field conflicts
+          httpStatus: response.status,  // Renamed to prevent field conflicts
+          fileName: binaryEntry.fileName,
+          mimeType: binaryEntry.mimeType,
+          fileSize: binaryEntry.fileSize
         },
-        data: response.data // Binary data
+        binary: { [outputField]: binaryEntry }
       }];
     } else if (fullResponse) {
       // Return full response object
@@ -291,6 +325,10 @@ async function execute(node, inputData, executionContext) {
     }
   } catch (error) {
     if (error.response) {
+      // Streamed (file) responses carry the error body as a stream
+      if (error.response.data && typeof error.response.data.pipe === 'function') {
+        error.response.data = await readStreamText(error.response.data);
+      }
       // HTTP error response
       // Use 'httpStatus' instead of 'status' to avoid conflicts
       console.error(`[HTTP] Request failed: ${method} ${url} -> ${error.response.status}`);
@@ -311,6 +349,61 @@ async function execute(node, inputData, executionContext) {
   }
 }
 
+/**
+ * File name from Content-Disposition, else the last URL path segment
+ * @private
+ */
+function getResponseFileName(headers, url) {
+  const disposition = String(headers['content-disposition'] || '');
+  const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition);
+  if (match) {
+    try {
+      return decodeURIComponent(match[1]);
+    } catch (error) {
+      return match[1];
+    }
+  }
+
+  try {
+    return path.basename(new URL(url).pathname) || undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * @private
+ */
+async function readStreamText(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.httpRequest',
+  displayName: 'HTTP Request',
+  typeVersions: [1, 2, 3, 4, 4.1, 4.2],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    url: { type: 'string', required: true },
+    method: { type: 'options', default: 'GET', options: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'] },
+    sendQuery: { type: 'boolean', default: false },
+    queryParameters: { type: 'collection' },
+    sendHeaders: { type: 'boolean', default: false },
+    headerParameters: { type: 'collection' },
+    sendBody: { type: 'boolean', default: false },
+    contentType: { type: 'options', options: ['json', 'form-urlencoded', 'multipart-form-data', 'raw', 'binaryData'] },
+    bodyParameters: { type: 'collection' },
+    jsonBody: { type: 'json' },
+    options: { type: 'collection' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
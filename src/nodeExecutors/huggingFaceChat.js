@@ -29,7 +29,21 @@ async function executeHuggingFaceChat(node, inputData, executionContext) {
   }];
 }
 
+// The Agent node makes the calls with this model's provider key
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.lmChatHf',
+  displayName: 'Hugging Face Chat Model',
+  typeVersions: [1],
+  inputs: [],
+  outputs: ['ai_languageModel'],
+  credentials: [{ name: 'huggingFaceApiKey', required: true }],
+  parameters: {
+    model: { type: 'string', default: 'microsoft/DialoGPT-medium' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -1,74 +1,67 @@
-const { evaluateExpression } = require('../utils/expressions');
+const { evaluateConditionSet } = require('../utils/filterConditions');
+const { multiOutput } = require('../utils/nodeOutputs');
 
 /**
  * If Node Executor
- * Conditional routing based on conditions
+ * Conditional routing based on conditions, evaluated per item.
+ * Output 0 receives the items that match, output 1 the ones that don't.
  */
 async function execute(node, inputData, executionContext) {
   const params = node.parameters || {};
   const conditions = params.conditions || {};
+  const items = inputData || [];
 
   if (!conditions.conditions || conditions.conditions.length === 0) {
-    // No conditions, pass through
-    return inputData || [];
+    // No conditions, everything goes to the true output
+    return multiOutput(items, []);
   }
 
-  // Evaluate conditions
-  const results = conditions.conditions.map(condition => {
-    const leftValue = evaluateExpression(condition.leftValue || '', {
-      currentInput: inputData,
-      executionContext
-    });
-    const rightValue = evaluateExpression(condition.rightValue || '', {
-      currentInput: inputData,
-      executionContext
-    });
-    const operator = condition.operator?.operation || 'equals';
+  // If v2.1+ exposes loose type validation as a node parameter instead of a condition option
+  const looseTypeValidation = params.looseTypeValidation === true ||
+    params.options?.looseTypeValidation === true;
 
-    return evaluateCondition(leftValue, rightValue, operator);
+  const trueItems = [];
+  const falseItems = [];
+
+  items.forEach((item, itemIndex) => {
+    const conditionMet = evaluateConditionSet(conditions, {
+      currentInput: [item],
+      executionContext,
+      itemIndex
+    }, { looseTypeValidation, itemIndex });
+
+    (conditionMet ? trueItems : falseItems).push(item);
   });
 
-  // Combine results based on combinator
-  const combinator = conditions.combinator || 'and';
-  let conditionMet = false;
+  console.log(`[If] ${trueItems.length} items matched, ${falseItems.length} did not`);
 
-  if (combinator === 'and') {
-    conditionMet = results.every(r => r === true);
-  } else if (combinator === 'or') {
-    conditionMet = results.some(r => r === true);
-  }
+  // Output 0 = true branch, output 1 = false branch
+  // The runner only delivers each port's items to the nodes wired to it
+  return multiOutput(trueItems, falseItems);
+}
 
-  // Return input data if condition is met (for true output)
-  // Empty array if condition not met (for false output)
-  // The runner will route based on this
-  return conditionMet ? (inputData || []) : [];
+/**
+ * If has a true and a false output
+ */
+function getOutputCount() {
+  return 2;
 }
 
-function evaluateCondition(left, right, operator) {
-  switch (operator) {
-    case 'equals':
-    case 'filter.operator.equals':
-      return String(left) === String(right);
-    case 'notEquals':
-      return String(left) !== String(right);
-    case 'contains':
-      return String(left).includes(String(right));
-    case 'notContains':
-      return !String(left).includes(String(right));
-    case 'greaterThan':
-      return Number(left) > Number(right);
-    case 'lessThan':
-      return Number(left) < Number(right);
-    case 'greaterEqual':
-      return Number(left) >= Number(right);
-    case 'lessEqual':
-      return Number(left) <= Number(right);
-    default:
-      return String(left) === String(right);
+const nodeTypes = [{
+  type: 'n8n-nodes-base.if',
+  displayName: 'If',
+  typeVersions: [2, 2.1, 2.2],
+  inputs: ['main'],
+  outputs: ['main', 'main'],
+  parameters: {
+    conditions: { type: 'collection' },
+    looseTypeValidation: { type: 'boolean', default: false },
+    options: { type: 'collection' }
   }
-}
+}];
 
 module.exports = {
-  execute
+  execute,
+  getOutputCount,
+  nodeTypes
 };
-
@@ -19,6 +19,19 @@ async function execute(node, inputData, executionContext) {
   return limitedData;
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.limit',
+  displayName: 'Limit',
+  typeVersions: [1],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    maxItems: { type: 'number', default: 1 },
+    keepMissing: { type: 'boolean', default: true }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
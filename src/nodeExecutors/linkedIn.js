@@ -1,5 +1,6 @@
-const axios = require('axios');
 const { evaluateExpression } = require('../utils/expressions');
+const { requestHttp } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * LinkedIn Node Executor
@@ -55,11 +56,7 @@ async function execute(node, inputData, executionContext) {
   }
 
   // Get LinkedIn access token from execution context
-  const accessToken = executionContext.tokens?.linkedInAccessToken ||
-    executionContext.tokens?.linkedinAccessToken ||
-    executionContext.tokenInjector?.getToken('linkedInAccessToken') ||
-    executionContext.tokenInjector?.getToken('linkedinAccessToken') ||
-    process.env.LINKEDIN_ACCESS_TOKEN;
+  const accessToken = getCredential(executionContext, 'linkedInAccessToken');
 
   if (!accessToken) {
     throw new Error('LinkedIn access token not provided. Please connect your LinkedIn account.');
@@ -78,13 +75,19 @@ async function execute(node, inputData, executionContext) {
   } else {
     // Posting as person — need the person's LinkedIn URN
     // Try to get from context or fetch via /v2/me
-    let personId = executionContext.tokens?.linkedInPersonId ||
-      executionContext.tokenInjector?.getToken('linkedInPersonId');
+    let personId = getCredential(executionContext, 'linkedInPersonId');
 
     if (!personId) {
       // Fetch person ID from LinkedIn API
       try {
-        const meResponse = await axios.get('https://api.linkedin.com/v2/me', {
+        const meResponse = await requestHttp(executionContext, {
+          node,
+          service: 'linkedin',
+          operation: 'me.get',
+          mockResponse: { id: 'dry-run-person' }
+        }, {
+          method: 'get',
+          url: 'https://api.linkedin.com/v2/me',
           headers: { 'Authorization': `Bearer ${accessToken}` }
         });
         personId = meResponse.data.id;
@@ -93,7 +96,14 @@ async function execute(node, inputData, executionContext) {
         if (err.response && err.response.status === 403) {
           try {
             console.log(`[LinkedIn] /v2/me returned 403, falling back to /v2/userinfo...`);
-            const userInfoResponse = await axios.get('https://api.linkedin.com/v2/userinfo', {
+            const userInfoResponse = await requestHttp(executionContext, {
+              node,
+              service: 'linkedin',
+              operation: 'userinfo.get',
+              mockResponse: { sub: 'dry-run-person' }
+            }, {
+              method: 'get',
+              url: 'https://api.linkedin.com/v2/userinfo',
               headers: { 'Authorization': `Bearer ${accessToken}` }
             });
             personId = userInfoResponse.data.sub;
@@ -131,17 +141,21 @@ async function execute(node, inputData, executionContext) {
   console.log(`[LinkedIn] Posting as ${postAs} (${authorUrn}), text length: ${text.length}`);
 
   try {
-    const response = await axios.post(
-      'https://api.linkedin.com/v2/ugcPosts',
-      postBody,
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          'X-Restli-Protocol-Version': '2.0.0'
-        }
+    const response = await requestHttp(executionContext, {
+      node,
+      service: 'linkedin',
+      operation: 'ugcPosts.create',
+      mockResponse: { id: 'urn:li:share:dry-run' }
+    }, {
+      method: 'post',
+      url: 'https://api.linkedin.com/v2/ugcPosts',
+      data: postBody,
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+        'X-Restli-Protocol-Version': '2.0.0'
       }
-    );
+    });
 
     console.log(`[LinkedIn] Post created successfully. ID: ${response.data.id}`);
 
@@ -166,6 +180,24 @@ async function execute(node, inputData, executionContext) {
   }
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.linkedIn',
+  displayName: 'LinkedIn',
+  typeVersions: [1],
+  inputs: ['main'],
+  outputs: ['main'],
+  credentials: [
+    { name: 'linkedInAccessToken', required: true },
+    { name: 'linkedInPersonId', required: false }
+  ],
+  parameters: {
+    text: { type: 'string' },
+    postAs: { type: 'options', default: 'person', options: ['person', 'organization'] },
+    organization: { type: 'string' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
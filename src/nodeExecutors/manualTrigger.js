@@ -12,6 +12,14 @@ async function execute(node, inputData, executionContext) {
   return inputData;
 }
 
+// Form and Execute Workflow triggers are entry points too and just pass their input on
+const nodeTypes = [
+  { type: 'n8n-nodes-base.manualTrigger', displayName: 'Manual Trigger', typeVersions: [1], inputs: [], outputs: ['main'] },
+  { type: 'n8n-nodes-base.formTrigger', displayName: 'Form Trigger', typeVersions: [1, 2, 2.1, 2.2], inputs: [], outputs: ['main'] },
+  { type: 'n8n-nodes-base.executeWorkflowTrigger', displayName: 'Execute Workflow Trigger', typeVersions: [1, 1.1], inputs: [], outputs: ['main'] }
+];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
@@ -58,7 +58,19 @@ async function executeBufferWindowMemory(node, inputData, executionContext) {
   }];
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.memoryBufferWindow',
+  displayName: 'Window Buffer Memory',
+  typeVersions: [1, 1.1, 1.2, 1.3],
+  inputs: [],
+  outputs: ['ai_memory'],
+  parameters: {
+    windowSize: { type: 'number', default: 10 }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
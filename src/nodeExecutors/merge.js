@@ -33,7 +33,18 @@ async function execute(node, inputData, executionContext) {
 }
 
 function combineByPosition(inputData, node, executionContext) {
-  // Get all input branches
+  // Get all input branches (one per input index, as buffered by the runner)
+  const nodeInputs = executionContext.nodeInputs?.[node?.name || node?.id];
+  const branches = nodeInputs ? [...nodeInputs] : findInputBranches(node, executionContext);
+
+  return combineBranches(branches, inputData);
+}
+
+/**
+ * Fallback for contexts not prepared by the runner's scheduler:
+ * collect one branch per connection that targets this merge node
+ */
+function findInputBranches(node, executionContext) {
   const branches = [];
   
   // Find all nodes that connect to this merge node
@@ -43,13 +54,17 @@ function combineByPosition(inputData, node, executionContext) {
   if (connections) {
     for (const [sourceNodeName, nodeConnections] of Object.entries(connections)) {
       if (nodeConnections.main) {
-        for (const outputArray of nodeConnections.main) {
-          for (const connection of outputArray) {
+        for (let outputIndex = 0; outputIndex < nodeConnections.main.length; outputIndex++) {
+          for (const connection of nodeConnections.main[outputIndex] || []) {
             if (
               (node?.name && connection.node === node.name) ||
               (node?.id && connection.node === node.id)
             ) {
-              const sourceOutput = executionContext.nodes[sourceNodeName];
+              // Read the port this connection hangs off (e.g. an If's false output)
+              const ports = executionContext.nodeOutputs?.[sourceNodeName];
+              const sourceOutput = ports
+                ? ports[outputIndex]
+                : (outputIndex === 0 ? executionContext.nodes[sourceNodeName] : undefined);
               if (sourceOutput) {
                 branches.push(sourceOutput);
               }
@@ -60,12 +75,17 @@ function combineByPosition(inputData, node, executionContext) {
     }
   }
 
+  return branches;
+}
+
+function combineBranches(branches, inputData) {
   // Combine by position (first item from each branch, second item from each branch, etc.)
   const maxLength = Math.max(...branches.map(b => b.length), 0);
   const result = [];
 
   for (let i = 0; i < maxLength; i++) {
     const combined = {};
+    const binary = {};
     let binaryData = null;
     
     branches.forEach(branch => {
@@ -76,6 +96,10 @@ function combineByPosition(inputData, node, executionContext) {
         if (branch[i].data) {
           binaryData = branch[i].data;
         }
+        // Binary entries of every input, later inputs winning on the same key like json fields
+        if (branch[i].binary && typeof branch[i].binary === 'object') {
+          Object.assign(binary, branch[i].binary);
+        }
         
         // Merge JSON data, but skip httpStatus to avoid conflicts
         Object.keys(branchData).forEach(key => {
@@ -87,7 +111,14 @@ function combineByPosition(inputData, node, executionContext) {
       }
     });
     
-    const resultItem = { json: combined };
+    // Lineage: the i-th item of every input that contributed
+    const pairedItem = branches
+      .map((branch, input) => (branch[i] ? { item: i, input } : null))
+      .filter(Boolean);
+    const resultItem = { json: combined, pairedItem };
+    if (Object.keys(binary).length > 0) {
+      resultItem.binary = binary;
+    }
     if (binaryData) {
       resultItem.data = binaryData;
     }
@@ -103,10 +134,23 @@ function mergeObjects(inputData) {
   inputData.forEach(item => {
     Object.assign(merged, item.json || item);
   });
-  return [{ json: merged }];
+  return [{ json: merged, pairedItem: inputData.map((item, index) => ({ item: index })) }];
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.merge',
+  displayName: 'Merge',
+  typeVersions: [1, 2, 2.1, 3, 3.1],
+  inputs: ['main', 'main'],
+  outputs: ['main'],
+  parameters: {
+    mode: { type: 'options', default: 'combine' },
+    alwaysOutputData: { type: 'boolean', default: false }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -0,0 +1,20 @@
+/**
+ * No Operation Node Executor
+ * Does nothing - passes its input items through unchanged
+ */
+async function execute(node, inputData, executionContext) {
+  return inputData || [];
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.noOp',
+  displayName: 'No Operation, do nothing',
+  typeVersions: [1],
+  inputs: ['main'],
+  outputs: ['main']
+}];
+
+module.exports = {
+  execute,
+  nodeTypes
+};
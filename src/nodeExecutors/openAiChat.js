@@ -30,7 +30,21 @@ async function executeOpenAIChat(node, inputData, executionContext) {
   }];
 }
 
+// The Agent node makes the calls with this model's provider key
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.lmChatOpenAi',
+  displayName: 'OpenAI Chat Model',
+  typeVersions: [1, 1.1, 1.2],
+  inputs: [],
+  outputs: ['ai_languageModel'],
+  credentials: [{ name: 'openAiApiKey', required: true }],
+  parameters: {
+    model: { type: 'string', default: 'gpt-3.5-turbo' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
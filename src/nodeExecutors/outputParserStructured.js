@@ -57,4 +57,15 @@ async function execute(node, inputData = [], executionContext) {
   }];
 }
 
-module.exports = { execute };
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.outputParserStructured',
+  displayName: 'Structured Output Parser',
+  typeVersions: [1, 1.1, 1.2, 1.3],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    autoFix: { type: 'boolean', default: false }
+  }
+}];
+
+module.exports = { execute, nodeTypes };
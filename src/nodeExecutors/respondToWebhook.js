@@ -27,6 +27,18 @@ async function execute(node, inputData, executionContext) {
   return inputData.length > 0 ? inputData : [{ json: { responded: true } }];
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.respondToWebhook',
+  displayName: 'Respond to Webhook',
+  typeVersions: [1, 1.1],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    responseBody: { type: 'string' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
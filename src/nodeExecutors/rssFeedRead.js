@@ -1,5 +1,5 @@
-const axios = require('axios');
 const { evaluateExpression } = require('../utils/expressions');
+const { requestHttp } = require('../utils/dryRun');
 
 /**
  * RSS Feed Read Node Executor
@@ -24,7 +24,14 @@ async function execute(node, inputData, executionContext) {
   console.log(`[RSSFeedRead] Fetching feed: ${url}`);
 
   try {
-    const response = await axios.get(url, {
+    const response = await requestHttp(executionContext, {
+      node,
+      service: 'rss',
+      operation: 'feed.get',
+      mockResponse: '<rss version="2.0"><channel></channel></rss>'
+    }, {
+      method: 'get',
+      url,
       headers: {
         'User-Agent': 'ModelGrow-AutomationRunner/1.0',
         'Accept': 'application/rss+xml, application/xml, application/atom+xml, text/xml, */*'
@@ -145,6 +152,18 @@ function normalizeDate(dateStr) {
   }
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.rssFeedRead',
+  displayName: 'RSS Read',
+  typeVersions: [1, 1.1],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    url: { type: 'string', required: true }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
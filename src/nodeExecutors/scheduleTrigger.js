@@ -26,6 +26,18 @@ async function execute(node, inputData, executionContext) {
   return inputData;
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.scheduleTrigger',
+  displayName: 'Schedule Trigger',
+  typeVersions: [1, 1.1, 1.2],
+  inputs: [],
+  outputs: ['main'],
+  parameters: {
+    rule: { type: 'collection' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
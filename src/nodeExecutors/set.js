@@ -15,7 +15,7 @@ async function execute(node, inputData = [], executionContext) {
   // If no input, produce a single empty item (n8n behavior)
   const items = (inputData && inputData.length > 0) ? inputData : [{ json: {} }];
 
-  return items.map((item) => {
+  return items.map((item, itemIndex) => {
     const baseJson = includeOtherFields
       ? { ...(item.json || item) }
       : {};
@@ -23,6 +23,7 @@ async function execute(node, inputData = [], executionContext) {
     const exprContext = {
       currentInput: [item],
       executionContext,
+      itemIndex,
     };
 
     for (const assignment of assignments) {
@@ -60,4 +61,16 @@ function coerceValue(value, type) {
   }
 }
 
-module.exports = { execute };
+const nodeTypes = [{
+  type: 'n8n-nodes-base.set',
+  displayName: 'Edit Fields (Set)',
+  typeVersions: [1, 2, 3, 3.1, 3.2, 3.3, 3.4],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    assignments: { type: 'collection' },
+    includeOtherFields: { type: 'boolean', default: false }
+  }
+}];
+
+module.exports = { execute, nodeTypes };
@@ -1,5 +1,6 @@
-const axios = require('axios');
 const { evaluateExpression } = require('../utils/expressions');
+const { requestHttp } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Slack Node Executor
@@ -21,10 +22,7 @@ async function executeSlack(node, inputData, executionContext) {
   const operation = params.operation || 'postMessage';
   
   // Get Slack API token from tokens or environment
-  const accessToken = executionContext.tokens?.slackAccessToken ||
-                      executionContext.tokenInjector?.getToken('slackAccessToken') ||
-                      process.env.SLACK_ACCESS_TOKEN ||
-                      process.env.SLACK_BOT_TOKEN;
+  const accessToken = getCredential(executionContext, 'slackAccessToken');
 
   if (!accessToken) {
     throw new Error('SLACK_ACCESS_TOKEN or SLACK_BOT_TOKEN not provided. Set it in tokens.slackAccessToken or SLACK_ACCESS_TOKEN environment variable');
@@ -79,19 +77,23 @@ async function executePostMessage(node, inputData, executionContext, accessToken
 
   try {
     // Call Slack Web API to post message
-    const response = await axios.post(
-      'https://slack.com/api/chat.postMessage',
-      {
+    const response = await requestHttp(executionContext, {
+      node,
+      service: 'slack',
+      operation: 'chat.postMessage',
+      mockResponse: { ok: true, channel, ts: '0000000000.000000' }
+    }, {
+      method: 'post',
+      url: 'https://slack.com/api/chat.postMessage',
+      data: {
         channel: channel,
         text: String(text)
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
       }
-    );
+    });
 
     if (!response.data.ok) {
       throw new Error(`Slack API error: ${response.data.error || 'Unknown error'}`);
@@ -117,7 +119,23 @@ async function executePostMessage(node, inputData, executionContext, accessToken
   }
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.slack',
+  displayName: 'Slack',
+  typeVersions: [1, 2, 2.1, 2.2, 2.3],
+  inputs: ['main'],
+  outputs: ['main'],
+  credentials: [{ name: 'slackAccessToken', required: true }],
+  parameters: {
+    resource: { type: 'options', default: 'message', options: ['message'] },
+    operation: { type: 'options', default: 'postMessage', options: ['postMessage'] },
+    channel: { type: 'string', required: true },
+    text: { type: 'string' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -1,46 +1,83 @@
+const { evaluateExpression } = require('../utils/expressions');
+const { multiOutput } = require('../utils/nodeOutputs');
+
 /**
  * Split In Batches Node Executor
- * Loops through items in batches, processing them iteratively
+ * Loops through items in batches, processing them iteratively.
+ *
+ * The runner re-enters this node with the loop body's output after every
+ * batch (see WorkflowRunner.executeLoop), so state is kept in
+ * executionContext.batchStates between calls.
+ *
+ * - v3 ("Loop Over Items"): output 0 = done, output 1 = loop.
+ *   Each re-entry collects the processed items; after the last batch they are
+ *   all emitted on the done output.
+ * - v1/v2: a single output carrying the current batch. Re-entering after the
+ *   last batch emits nothing, which ends the loop.
  */
 async function execute(node, inputData, executionContext) {
   const params = node.parameters || {};
-  const batchSize = params.batchSize || 10;
+  const batchSize = Number(params.batchSize) || 10;
   const options = params.options || {};
-  
-  // Get the current batch state from execution context
-  const nodeId = node.id || node.name;
-  const batchState = executionContext.batchStates?.[nodeId] || {
-    currentBatch: 0,
-    totalBatches: 0,
-    allItems: []
-  };
 
   // Initialize batch states in execution context if not exists
   if (!executionContext.batchStates) {
     executionContext.batchStates = {};
   }
 
-  // First execution - store all items and calculate batches
-  if (batchState.currentBatch === 0) {
+  const nodeId = node.id || node.name;
+
+  // options.reset restarts the loop with the incoming items (e.g. paginated fetches)
+  const reset = evaluateExpression(options.reset, {
+    currentInput: inputData || [],
+    executionContext
+  }) === true;
+  if (reset) {
+    delete executionContext.batchStates[nodeId];
+  }
+
+  const isReentry = !!executionContext.batchStates[nodeId];
+  const batchState = executionContext.batchStates[nodeId] || {
+    currentBatch: 0,
+    totalBatches: 0,
+    allItems: [],
+    processedItems: []
+  };
+
+  if (!isReentry) {
+    // First execution - store all items and calculate batches
     batchState.allItems = inputData || [];
     batchState.totalBatches = Math.ceil(batchState.allItems.length / batchSize);
-    batchState.currentBatch = 1;
+  } else {
+    // Re-entry from the loop body - keep what the body produced for the done output
+    batchState.processedItems.push(...(inputData || []));
   }
 
+  const hasMoreBatches = batchState.currentBatch < batchState.totalBatches;
+
+  if (!hasMoreBatches) {
+    // Loop finished - reset state so a later run (or an outer loop) starts fresh
+    delete executionContext.batchStates[nodeId];
+    console.log(`[SplitInBatches] Node '${node.name}' finished after ${batchState.totalBatches} batches`);
+
+    return isLoopOverItems(node)
+      ? multiOutput(batchState.processedItems.map(stripBatchInfo), [])
+      : [];
+  }
+
+  batchState.currentBatch++;
+
   // Get current batch items
   const startIndex = (batchState.currentBatch - 1) * batchSize;
   const endIndex = Math.min(startIndex + batchSize, batchState.allItems.length);
   const batchItems = batchState.allItems.slice(startIndex, endIndex);
 
-  // Check if there are more batches
-  const hasMoreBatches = batchState.currentBatch < batchState.totalBatches;
-
   // Store updated state
   executionContext.batchStates[nodeId] = batchState;
 
+  console.log(`[SplitInBatches] Node '${node.name}' emitting batch ${batchState.currentBatch}/${batchState.totalBatches} (${batchItems.length} items)`);
+
   // Return batch items with metadata
-  // Output 0 (main): Current batch items (continues to next nodes)
-  // Output 1 (loop): Items to loop back (only if more batches exist)
   const output = batchItems.map(item => ({
     ...item,
     json: {
@@ -53,17 +90,56 @@ async function execute(node, inputData, executionContext) {
     }
   }));
 
-  // Increment batch counter for next iteration
-  if (hasMoreBatches) {
-    batchState.currentBatch++;
-  } else {
-    // Reset state after last batch
-    delete executionContext.batchStates[nodeId];
-  }
+  return isLoopOverItems(node) ? multiOutput([], output) : output;
+}
 
-  return output;
+/**
+ * v3 of the node ("Loop Over Items") has separate done/loop outputs
+ */
+function isLoopOverItems(node) {
+  return Number(node.typeVersion) >= 3;
 }
 
+/**
+ * Output port that feeds the loop body
+ * @param {Object} node - SplitInBatches node
+ * @returns {number}
+ */
+function getLoopOutputIndex(node) {
+  return isLoopOverItems(node) ? 1 : 0;
+}
+
+/**
+ * v3 has done + loop outputs, v1/v2 a single batch output
+ * @param {Object} node - SplitInBatches node
+ * @returns {number}
+ */
+function getOutputCount(node) {
+  return isLoopOverItems(node) ? 2 : 1;
+}
+
+function stripBatchInfo(item) {
+  if (!item?.json || !('_batchInfo' in item.json)) return item;
+  const { _batchInfo, ...json } = item.json;
+  return { ...item, json };
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.splitInBatches',
+  displayName: 'Loop Over Items (Split in Batches)',
+  typeVersions: [1, 2, 3],
+  inputs: ['main'],
+  // v3: done, loop; earlier versions only use the first
+  outputs: ['main', 'main'],
+  parameters: {
+    batchSize: { type: 'number', default: 10 },
+    options: { type: 'collection' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  getLoopOutputIndex,
+  getOutputCount,
+  nodeTypes
 };
@@ -7,7 +7,16 @@ async function execute(node, inputData, executionContext) {
   return inputData || [];
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.stickyNote',
+  displayName: 'Sticky Note',
+  typeVersions: [1],
+  inputs: [],
+  outputs: []
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -0,0 +1,54 @@
+const { evaluateExpression } = require('../utils/expressions');
+
+/**
+ * Stop and Error Node Executor
+ * Throws a custom error so the execution fails (or continues, per the node's
+ * onError setting) exactly like any other node failure.
+ *
+ * Parameters:
+ * - errorType: 'errorMessage' (default) or 'errorObject'
+ * - errorMessage: message text (expressions allowed)
+ * - errorObject: JSON object (or JSON string); its message/description becomes the message
+ */
+async function execute(node, inputData, executionContext) {
+  const params = node.parameters || {};
+  const exprContext = { currentInput: inputData || [], executionContext };
+
+  if (params.errorType === 'errorObject') {
+    let errorObject = evaluateExpression(params.errorObject, exprContext);
+
+    if (typeof errorObject === 'string') {
+      try {
+        errorObject = JSON.parse(errorObject);
+      } catch (parseError) {
+        throw new Error(`Stop and Error '${node.name}': errorObject is not valid JSON`);
+      }
+    }
+
+    const message = errorObject?.message || errorObject?.description || JSON.stringify(errorObject);
+    const error = new Error(message);
+    error.errorObject = errorObject;
+    throw error;
+  }
+
+  const message = evaluateExpression(params.errorMessage, exprContext);
+  throw new Error(message ? String(message) : 'Workflow stopped by Stop and Error node');
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.stopAndError',
+  displayName: 'Stop and Error',
+  typeVersions: [1],
+  inputs: ['main'],
+  outputs: [],
+  parameters: {
+    errorType: { type: 'options', default: 'errorMessage', options: ['errorMessage', 'errorObject'] },
+    errorMessage: { type: 'string' },
+    errorObject: { type: 'json' }
+  }
+}];
+
+module.exports = {
+  execute,
+  nodeTypes
+};
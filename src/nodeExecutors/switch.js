@@ -0,0 +1,195 @@
+const { evaluateExpression } = require('../utils/expressions');
+const { evaluateConditionSet } = require('../utils/filterConditions');
+const { multiOutput } = require('../utils/nodeOutputs');
+
+/**
+ * Switch Node Executor
+ * Routes each input item to one (or several) output ports.
+ *
+ * Modes:
+ * - rules: ordered rules, each a set of conditions (same operators as If).
+ *   The first matching rule's port receives the item, or every matching port
+ *   when options.allMatchingOutputs is set. Unmatched items go to the fallback
+ *   output when one is configured.
+ * - expression: an expression evaluated per item that returns the output index.
+ */
+async function execute(node, inputData, executionContext) {
+  const params = node.parameters || {};
+  const mode = params.mode || 'rules';
+  const items = inputData || [];
+
+  if (mode === 'expression') {
+    return routeByExpression(node, items, executionContext);
+  }
+
+  return routeByRules(node, items, executionContext);
+}
+
+function routeByExpression(node, items, executionContext) {
+  const params = node.parameters || {};
+  const numberOutputs = Number(params.numberOutputs) || 4;
+  const outputs = Array.from({ length: numberOutputs }, () => []);
+
+  items.forEach((item, index) => {
+    const value = evaluateExpression(params.output, {
+      currentInput: [item],
+      executionContext,
+      itemIndex: index
+    });
+    const outputIndex = Number(value);
+
+    if (!Number.isInteger(outputIndex) || outputIndex < 0 || outputIndex >= numberOutputs) {
+      throw new Error(
+        `Switch '${node.name}': output index ${JSON.stringify(value)} for item ${index} is not between 0 and ${numberOutputs - 1}`
+      );
+    }
+
+    outputs[outputIndex].push(item);
+  });
+
+  return multiOutput(...outputs);
+}
+
+function routeByRules(node, items, executionContext) {
+  const params = node.parameters || {};
+  const options = params.options || {};
+  const rules = getRules(params);
+  const allMatchingOutputs = options.allMatchingOutputs === true;
+  const looseTypeValidation = params.looseTypeValidation === true || options.looseTypeValidation === true;
+
+  // Fallback: 'none' drops unmatched items, 'extra' adds a dedicated last port,
+  // a number sends them to that rule's port
+  const fallbackOutput = options.fallbackOutput ?? params.fallbackOutput ?? 'none';
+  const hasExtraOutput = fallbackOutput === 'extra';
+  const outputs = Array.from({ length: rules.length + (hasExtraOutput ? 1 : 0) }, () => []);
+
+  items.forEach((item, itemIndex) => {
+    const exprContext = { currentInput: [item], executionContext, itemIndex };
+    let matched = false;
+
+    for (let ruleIndex = 0; ruleIndex < rules.length; ruleIndex++) {
+      if (!ruleMatches(rules[ruleIndex], exprContext, { looseTypeValidation, itemIndex })) continue;
+
+      outputs[ruleIndex].push(item);
+      matched = true;
+      if (!allMatchingOutputs) break;
+    }
+
+    if (matched) return;
+
+    if (hasExtraOutput) {
+      outputs[rules.length].push(item);
+    } else if (fallbackOutput !== 'none' && Number(fallbackOutput) >= 0) {
+      const fallbackIndex = Number(fallbackOutput);
+      if (outputs[fallbackIndex]) {
+        outputs[fallbackIndex].push(item);
+      }
+    }
+  });
+
+  console.log(`[Switch] Routed ${items.length} items: ${outputs.map(o => o.length).join(' / ')}`);
+
+  return multiOutput(...outputs);
+}
+
+/**
+ * Number of regular outputs: one per rule (plus the extra fallback output),
+ * or numberOutputs in expression mode
+ * @param {Object} node - Switch node
+ * @returns {number}
+ */
+function getOutputCount(node) {
+  const params = node.parameters || {};
+
+  if ((params.mode || 'rules') === 'expression') {
+    return Number(params.numberOutputs) || 4;
+  }
+
+  const fallbackOutput = params.options?.fallbackOutput ?? params.fallbackOutput ?? 'none';
+  return Math.max(getRules(params).length + (fallbackOutput === 'extra' ? 1 : 0), 1);
+}
+
+/**
+ * Normalize rules across Switch versions.
+ * v3 stores `rules.values[].conditions`, v1/v2 store `rules.rules[]` compared
+ * against a single `value1`.
+ */
+function getRules(params) {
+  if (Array.isArray(params.rules?.values)) {
+    return params.rules.values;
+  }
+
+  if (Array.isArray(params.rules?.rules)) {
+    // Legacy rules carry an explicit output index; keep them ordered by it
+    const legacy = [];
+    for (const rule of params.rules.rules) {
+      const outputIndex = Number(rule.output) || 0;
+      legacy[outputIndex] = {
+        conditions: {
+          combinator: 'and',
+          conditions: [{
+            leftValue: params.value1,
+            rightValue: rule.value2,
+            operator: normalizeOperator(rule.operation || 'equal')
+          }]
+        }
+      };
+    }
+    return Array.from(legacy, rule => rule || { conditions: { conditions: [] } });
+  }
+
+  return [];
+}
+
+function ruleMatches(rule, exprContext, settings) {
+  const conditionSet = rule.conditions || {};
+
+  // A rule without conditions never matches
+  if (!conditionSet.conditions || conditionSet.conditions.length === 0) return false;
+
+  return evaluateConditionSet(conditionSet, exprContext, settings);
+}
+
+/**
+ * Map legacy (v1/v2) Switch operation names onto the untyped filter operations
+ */
+function normalizeOperator(operation) {
+  switch (operation) {
+    case 'equal':
+      return 'equals';
+    case 'notEqual':
+      return 'notEquals';
+    case 'larger':
+      return 'greaterThan';
+    case 'smaller':
+      return 'lessThan';
+    case 'largerEqual':
+      return 'greaterEqual';
+    case 'smallerEqual':
+      return 'lessEqual';
+    default:
+      return operation;
+  }
+}
+
+const nodeTypes = [{
+  type: 'n8n-nodes-base.switch',
+  displayName: 'Switch',
+  typeVersions: [1, 2, 3, 3.1, 3.2],
+  inputs: ['main'],
+  outputs: ['main'],
+  dynamicOutputs: true,
+  parameters: {
+    mode: { type: 'options', default: 'rules', options: ['rules', 'expression'] },
+    rules: { type: 'collection' },
+    numberOutputs: { type: 'number' },
+    output: { type: 'string' },
+    options: { type: 'collection' }
+  }
+}];
+
+module.exports = {
+  execute,
+  getOutputCount,
+  nodeTypes
+};
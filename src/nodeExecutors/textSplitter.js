@@ -70,7 +70,20 @@ function splitText(text, chunkSize, chunkOverlap) {
   return chunks;
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.textSplitterCharacterTextSplitter',
+  displayName: 'Character Text Splitter',
+  typeVersions: [1],
+  inputs: [],
+  outputs: ['ai_textSplitter'],
+  parameters: {
+    chunkSize: { type: 'number', default: 1000 },
+    chunkOverlap: { type: 'number', default: 200 }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -37,7 +37,19 @@ async function executeVectorStoreTool(node, inputData, executionContext) {
   }];
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.toolVectorStore',
+  displayName: 'Vector Store Question Answer Tool',
+  typeVersions: [1, 1.1],
+  inputs: ['main'],
+  outputs: ['ai_tool'],
+  parameters: {
+    name: { type: 'string', default: 'VectorStore' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -1,5 +1,7 @@
 const { Pinecone } = require('@pinecone-database/pinecone');
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Vector Store Node Executor
@@ -36,18 +38,14 @@ async function executePineconeVectorStore(node, inputData, executionContext) {
   }
 
   // Get API key from tokens or environment
-  const apiKey = executionContext.tokens?.pineconeApiKey ||
-                 executionContext.tokenInjector?.getToken('pineconeApiKey') ||
-                 process.env.PINECONE_API_KEY;
+  const apiKey = getCredential(executionContext, 'pineconeApiKey');
 
   if (!apiKey) {
     throw new Error('PINECONE_API_KEY not provided. Set it in tokens.pineconeApiKey or PINECONE_API_KEY environment variable');
   }
 
   // Get environment (optional, defaults to us-east-1)
-  const environment = executionContext.tokens?.pineconeEnvironment ||
-                     process.env.PINECONE_ENVIRONMENT ||
-                     'us-east-1';
+  const environment = getCredential(executionContext, 'pineconeEnvironment') || 'us-east-1';
 
   try {
     // Initialize Pinecone client
@@ -67,7 +65,7 @@ async function executePineconeVectorStore(node, inputData, executionContext) {
   }
 }
 
-async function executeInsert(index, inputData, executionContext) {
+async function executeInsert(index, inputData, executionContext, node) {
   // Get text chunks from textSplitter (connected via ai_textSplitter)
   const textChunks = getTextChunksFromContext(executionContext, node);
   
@@ -110,7 +108,12 @@ async function executeInsert(index, inputData, executionContext) {
   }
 
   // Upsert vectors to Pinecone
-  await index.upsert(vectors);
+  await callIntegration(executionContext, {
+    node,
+    service: 'pinecone',
+    operation: 'upsert',
+    request: { vectors }
+  }, () => index.upsert(vectors));
 
   return [{
     json: {
@@ -152,11 +155,18 @@ async function executeQuery(index, inputData, executionContext, node) {
   const topK = 5; // Default top K results
 
   // Query Pinecone
-  const queryResponse = await index.query({
+  const request = {
     vector: queryEmbedding,
     topK: topK,
     includeMetadata: true
-  });
+  };
+  const queryResponse = await callIntegration(executionContext, {
+    node,
+    service: 'pinecone',
+    operation: 'query',
+    request,
+    mockResponse: { matches: [] }
+  }, () => index.query(request));
 
   // Format results
   const results = [];
@@ -248,7 +258,25 @@ function getEmbeddingsFromContext(executionContext, targetNode) {
   return embeddings;
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.vectorStorePinecone',
+  displayName: 'Pinecone Vector Store',
+  typeVersions: [1, 1.1, 1.2, 1.3],
+  inputs: ['main', 'ai_textSplitter', 'ai_embedding'],
+  outputs: ['main'],
+  credentials: [
+    { name: 'pineconeApiKey', required: true },
+    { name: 'pineconeEnvironment', required: false }
+  ],
+  parameters: {
+    mode: { type: 'options', default: 'query', options: ['insert', 'query'] },
+    indexName: { type: 'string' },
+    pineconeIndex: { type: 'string' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -1,5 +1,7 @@
 const redis = require('redis');
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Redis Vector Store Node Executor
@@ -21,20 +23,11 @@ async function executeRedisVectorStore(node, inputData, executionContext) {
   const indexName = params.indexName || 'vector_index';
 
   // Get Redis connection details from tokens or environment
-  const host = executionContext.tokens?.redisHost ||
-               executionContext.tokenInjector?.getToken('redisHost') ||
-               process.env.REDIS_HOST ||
-               'localhost';
+  const host = getCredential(executionContext, 'redisHost') || 'localhost';
   
-  const port = executionContext.tokens?.redisPort ||
-               executionContext.tokenInjector?.getToken('redisPort') ||
-               process.env.REDIS_PORT ||
-               6379;
+  const port = getCredential(executionContext, 'redisPort') || 6379;
 
-  const password = executionContext.tokens?.redisPassword ||
-                   executionContext.tokenInjector?.getToken('redisPassword') ||
-                   process.env.REDIS_PASSWORD ||
-                   null;
+  const password = getCredential(executionContext, 'redisPassword') || null;
 
   try {
     // Initialize Redis client
@@ -46,7 +39,12 @@ async function executeRedisVectorStore(node, inputData, executionContext) {
       password: password
     });
 
-    await client.connect();
+    await callIntegration(executionContext, {
+      node,
+      service: 'redis',
+      operation: 'connect',
+      request: { host, port }
+    }, () => client.connect());
 
     if (mode === 'insert') {
       return await executeInsert(client, indexName, inputData, executionContext, node);
@@ -87,15 +85,22 @@ async function executeInsert(client, indexName, inputData, executionContext, nod
 
     if (embedding.length > 0) {
       const key = `${indexName}:${Date.now()}_${i}`;
-      await client.hSet(key, {
+      const fields = {
         text: text,
         embedding: JSON.stringify(embedding)
-      });
+      };
+      await callIntegration(executionContext, {
+        node,
+        service: 'redis',
+        operation: 'hSet',
+        request: { key, fields },
+        mockResponse: 2
+      }, () => client.hSet(key, fields));
       inserted++;
     }
   }
 
-  await client.quit();
+  await closeClient(client);
 
   return [{
     json: {
@@ -110,7 +115,7 @@ async function executeQuery(client, indexName, inputData, executionContext, node
   const embeddings = getEmbeddingsFromContext(executionContext, node);
   
   if (embeddings.length === 0) {
-    await client.quit();
+    await closeClient(client);
     // Return empty results instead of throwing - allows execution to continue
     return [{
       json: {
@@ -125,7 +130,7 @@ async function executeQuery(client, indexName, inputData, executionContext, node
   const queryEmbedding = embeddings[0]?.json?.embedding || embeddings[0]?.embedding || [];
 
   if (queryEmbedding.length === 0) {
-    await client.quit();
+    await closeClient(client);
     // Return empty results instead of throwing
     return [{
       json: {
@@ -141,7 +146,7 @@ async function executeQuery(client, indexName, inputData, executionContext, node
   // Simple vector similarity search (Redis doesn't have built-in vector search in basic version)
   // For production, you'd use Redis with RediSearch module
   // For now, we'll return empty results as Redis vector search requires RediSearch
-  await client.quit();
+  await closeClient(client);
 
   return [{
     json: {
@@ -152,6 +157,16 @@ async function executeQuery(client, indexName, inputData, executionContext, node
   }];
 }
 
+/**
+ * Dry runs never connect the client
+ * @private
+ */
+async function closeClient(client) {
+  if (client.isOpen) {
+    await client.quit();
+  }
+}
+
 function getTextChunksFromContext(executionContext, targetNode) {
   const { workflow } = executionContext;
   const { connections } = workflow;
@@ -226,7 +241,25 @@ function getEmbeddingsFromContext(executionContext, targetNode) {
   return embeddings;
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.vectorStoreRedis',
+  displayName: 'Redis Vector Store',
+  typeVersions: [1, 1.1, 1.2, 1.3],
+  inputs: ['main', 'ai_textSplitter', 'ai_embedding'],
+  outputs: ['main'],
+  credentials: [
+    { name: 'redisHost', required: false },
+    { name: 'redisPort', required: false },
+    { name: 'redisPassword', required: false }
+  ],
+  parameters: {
+    mode: { type: 'options', default: 'query', options: ['insert', 'query'] },
+    indexName: { type: 'string' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
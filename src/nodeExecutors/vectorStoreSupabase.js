@@ -9,6 +9,8 @@ try {
 }
 
 const { evaluateExpression } = require('../utils/expressions');
+const { callIntegration } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Supabase Vector Store Node Executor
@@ -30,14 +32,9 @@ async function executeSupabaseVectorStore(node, inputData, executionContext) {
   const indexName = params.indexName || 'documents';
 
   // Get Supabase connection details from tokens or environment
-  const supabaseUrl = executionContext.tokens?.supabaseUrl ||
-                      executionContext.tokenInjector?.getToken('supabaseUrl') ||
-                      process.env.SUPABASE_URL;
+  const supabaseUrl = getCredential(executionContext, 'supabaseUrl');
 
-  const supabaseKey = executionContext.tokens?.supabaseKey ||
-                      executionContext.tokenInjector?.getToken('supabaseKey') ||
-                      process.env.SUPABASE_KEY ||
-                      process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const supabaseKey = getCredential(executionContext, 'supabaseKey');
 
   if (!createClient) {
     // Return error output instead of throwing - allows execution to continue for structural testing
@@ -110,10 +107,17 @@ async function executeInsert(supabase, tableName, inputData, executionContext, n
   }
 
   // Insert records into Supabase
-  const { data, error } = await supabase
+  const { data, error } = await callIntegration(executionContext, {
+    node,
+    service: 'supabase',
+    operation: 'insert',
+    request: { table: tableName, records },
+    mockResponse: records,
+    respond: data => ({ data, error: null })
+  }, () => supabase
     .from(tableName)
     .insert(records)
-    .select();
+    .select());
 
   if (error) {
     throw new Error(`Supabase insert error: ${error.message}`);
@@ -162,12 +166,20 @@ async function executeQuery(supabase, tableName, inputData, executionContext, no
   try {
     // Query Supabase using vector similarity search
     // Supabase uses pgvector extension for vector similarity
-    const { data, error } = await supabase.rpc('match_documents', {
+    const args = {
       query_embedding: queryEmbedding,
       match_threshold: 0.7,
       match_count: limit,
       table_name: tableName
-    });
+    };
+    const { data, error } = await callIntegration(executionContext, {
+      node,
+      service: 'supabase',
+      operation: 'rpc.match_documents',
+      request: args,
+      mockResponse: [],
+      respond: data => ({ data, error: null })
+    }, () => supabase.rpc('match_documents', args));
 
     if (error) {
       // If the RPC function doesn't exist, try a simpler approach
@@ -281,7 +293,24 @@ function getEmbeddingsFromContext(executionContext, targetNode) {
   return embeddings;
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.vectorStoreSupabase',
+  displayName: 'Supabase Vector Store',
+  typeVersions: [1, 1.1, 1.2, 1.3],
+  inputs: ['main', 'ai_textSplitter', 'ai_embedding'],
+  outputs: ['main'],
+  credentials: [
+    { name: 'supabaseUrl', required: true },
+    { name: 'supabaseKey', required: true }
+  ],
+  parameters: {
+    mode: { type: 'options', default: 'query', options: ['insert', 'query'] },
+    indexName: { type: 'string' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -1,5 +1,6 @@
-const axios = require('axios');
 const { evaluateExpression } = require('../utils/expressions');
+const { requestHttp } = require('../utils/dryRun');
+const { getCredential } = require('../utils/credentials');
 
 /**
  * Weaviate Vector Store Node Executor
@@ -21,14 +22,9 @@ async function executeWeaviateVectorStore(node, inputData, executionContext) {
   const indexName = params.indexName || params.className || 'Document';
 
   // Get API key and URL from tokens or environment
-  const apiKey = executionContext.tokens?.weaviateApiKey ||
-                 executionContext.tokenInjector?.getToken('weaviateApiKey') ||
-                 process.env.WEAVIATE_API_KEY;
+  const apiKey = getCredential(executionContext, 'weaviateApiKey');
 
-  const weaviateUrl = executionContext.tokens?.weaviateUrl ||
-                      executionContext.tokenInjector?.getToken('weaviateUrl') ||
-                      process.env.WEAVIATE_URL ||
-                      'http://localhost:8080';
+  const weaviateUrl = getCredential(executionContext, 'weaviateUrl') || 'http://localhost:8080';
 
   if (!apiKey && weaviateUrl.includes('cloud.weaviate.io')) {
     throw new Error('WEAVIATE_API_KEY not provided. Set it in tokens.weaviateApiKey or WEAVIATE_API_KEY environment variable');
@@ -96,11 +92,17 @@ async function executeInsert(weaviateUrl, apiKey, className, inputData, executio
   }
 
   // Batch insert objects to Weaviate
-  const response = await axios.post(
-    `${weaviateUrl}/v1/batch/objects`,
-    { objects },
-    { headers }
-  );
+  const response = await requestHttp(executionContext, {
+    node,
+    service: 'weaviate',
+    operation: 'batch.objects',
+    mockResponse: objects.map(() => ({ result: {} }))
+  }, {
+    method: 'post',
+    url: `${weaviateUrl}/v1/batch/objects`,
+    data: { objects },
+    headers
+  });
 
   return [{
     json: {
@@ -172,11 +174,17 @@ async function executeQuery(weaviateUrl, apiKey, className, inputData, execution
     `
   };
 
-  const response = await axios.post(
-    `${weaviateUrl}/v1/graphql`,
-    query,
-    { headers }
-  );
+  const response = await requestHttp(executionContext, {
+    node,
+    service: 'weaviate',
+    operation: 'graphql',
+    mockResponse: { data: { Get: { [className]: [] } } }
+  }, {
+    method: 'post',
+    url: `${weaviateUrl}/v1/graphql`,
+    data: query,
+    headers
+  });
 
   // Format results
   const results = [];
@@ -270,7 +278,25 @@ function getEmbeddingsFromContext(executionContext, targetNode) {
   return embeddings;
 }
 
+const nodeTypes = [{
+  type: '@n8n/n8n-nodes-langchain.vectorStoreWeaviate',
+  displayName: 'Weaviate Vector Store',
+  typeVersions: [1, 1.1, 1.2, 1.3],
+  inputs: ['main', 'ai_textSplitter', 'ai_embedding'],
+  outputs: ['main'],
+  credentials: [
+    { name: 'weaviateUrl', required: false },
+    { name: 'weaviateApiKey', required: false }
+  ],
+  parameters: {
+    mode: { type: 'options', default: 'query', options: ['insert', 'query'] },
+    indexName: { type: 'string' },
+    className: { type: 'string' }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
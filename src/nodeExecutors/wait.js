@@ -37,6 +37,19 @@ async function execute(node, inputData, executionContext) {
   return inputData;
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.wait',
+  displayName: 'Wait',
+  typeVersions: [1, 1.1],
+  inputs: ['main'],
+  outputs: ['main'],
+  parameters: {
+    amount: { type: 'number', default: 1 },
+    unit: { type: 'options', default: 'seconds', options: ['milliseconds', 'seconds', 'minutes', 'hours'] }
+  }
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
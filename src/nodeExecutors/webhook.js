@@ -7,7 +7,16 @@ async function execute(node, inputData, executionContext) {
   return inputData || [];
 }
 
+const nodeTypes = [{
+  type: 'n8n-nodes-base.webhook',
+  displayName: 'Webhook',
+  typeVersions: [1, 1.1, 2],
+  inputs: [],
+  outputs: ['main']
+}];
+
 module.exports = {
-  execute
+  execute,
+  nodeTypes
 };
 
@@ -0,0 +1,162 @@
+const { describeCredential } = require('./utils/credentials');
+
+/**
+ * Node registry
+ * Which node types this runner supports and what each one needs. Every executor
+ * module declares the node types it runs (exports.nodeTypes); the runner picks
+ * executors from here, the validator checks workflows against the declarations
+ * and GET /api/node-types lists them for the frontend.
+ *
+ * @typedef {Object} NodeTypeDescription
+ * @property {string} type - e.g. 'n8n-nodes-base.slack'
+ * @property {string} displayName
+ * @property {Array<number>} typeVersions - n8n typeVersions the executor handles
+ * @property {Array<string>} inputs - Connection type of each input port ('main', 'ai_languageModel'...)
+ * @property {Array<string>} outputs - Connection type of each output port
+ * @property {boolean} [dynamicOutputs] - The number of outputs depends on the parameters
+ *           (the executor's getOutputCount)
+ * @property {Array<{name: string, required: boolean}>} [credentials] - Credentials read with
+ *           getCredential (utils/credentials.js); optional ones have a fallback
+ * @property {Object<string, {type: string, required?: boolean, default?: *, options?: Array}>} [parameters]
+ */
+
+class NodeRegistry {
+  constructor() {
+    this.nodeTypes = new Map(); // type -> { description, executor }
+  }
+
+  /**
+   * Register the node types an executor module declares
+   * @param {Object} executor - Module with execute() and nodeTypes
+   * @returns {NodeRegistry}
+   */
+  register(executor) {
+    if (typeof executor?.execute !== 'function' || !Array.isArray(executor.nodeTypes)) {
+      throw new Error('Node executors must export execute() and a nodeTypes array');
+    }
+
+    for (const description of executor.nodeTypes) {
+      if (this.nodeTypes.has(description.type)) {
+        throw new Error(`Node type '${description.type}' is already registered`);
+      }
+      this.nodeTypes.set(description.type, { description, executor });
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} type
+   * @returns {boolean}
+   */
+  has(type) {
+    return this.nodeTypes.has(type);
+  }
+
+  /**
+   * @param {string} type
+   * @returns {NodeTypeDescription|undefined}
+   */
+  get(type) {
+    return this.nodeTypes.get(type)?.description;
+  }
+
+  /**
+   * @param {string} type
+   * @returns {Object|undefined} Executor module
+   */
+  getExecutor(type) {
+    return this.nodeTypes.get(type)?.executor;
+  }
+
+  /**
+   * @returns {Array<string>}
+   */
+  getTypeNames() {
+    return [...this.nodeTypes.keys()];
+  }
+
+  /**
+   * Node type -> executor map, as WorkflowRunner uses it
+   * @returns {Object<string, Object>}
+   */
+  getExecutors() {
+    const executors = {};
+    for (const [type, { executor }] of this.nodeTypes) {
+      executors[type] = executor;
+    }
+    return executors;
+  }
+
+  /**
+   * Every node type's description, credentials expanded with their catalog
+   * entry (display name, environment variables)
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.nodeTypes.values()].map(({ description }) => ({
+      ...description,
+      credentials: (description.credentials || []).map(credential => ({
+        ...describeCredential(credential.name),
+        required: credential.required
+      })),
+      parameters: description.parameters || {}
+    }));
+  }
+}
+
+const nodeRegistry = new NodeRegistry()
+  .register(require('./nodeExecutors/http'))
+  .register(require('./nodeExecutors/code'))
+  .register(require('./nodeExecutors/ai'))
+  .register(require('./nodeExecutors/if'))
+  .register(require('./nodeExecutors/switch'))
+  .register(require('./nodeExecutors/merge'))
+  .register(require('./nodeExecutors/stickyNote'))
+  .register(require('./nodeExecutors/webhook'))
+  // LangChain nodes
+  .register(require('./nodeExecutors/textSplitter'))
+  .register(require('./nodeExecutors/embeddings'))
+  .register(require('./nodeExecutors/embeddingsHuggingFace'))
+  .register(require('./nodeExecutors/vectorStore'))
+  .register(require('./nodeExecutors/vectorStoreWeaviate'))
+  .register(require('./nodeExecutors/vectorStoreRedis'))
+  .register(require('./nodeExecutors/vectorStoreSupabase'))
+  .register(require('./nodeExecutors/toolVectorStore'))
+  .register(require('./nodeExecutors/memory'))
+  .register(require('./nodeExecutors/openAiChat'))
+  .register(require('./nodeExecutors/anthropicChat'))
+  .register(require('./nodeExecutors/huggingFaceChat'))
+  .register(require('./nodeExecutors/groqChat'))
+  .register(require('./nodeExecutors/googleGeminiChat'))
+  .register(require('./nodeExecutors/agent'))
+  .register(require('./nodeExecutors/outputParserStructured'))
+  // Data manipulation
+  .register(require('./nodeExecutors/set'))
+  .register(require('./nodeExecutors/extractFromFile'))
+  // Integrations
+  .register(require('./nodeExecutors/googleSheets'))
+  .register(require('./nodeExecutors/slack'))
+  .register(require('./nodeExecutors/emailSend'))
+  .register(require('./nodeExecutors/rssFeedRead'))
+  .register(require('./nodeExecutors/linkedIn'))
+  // Invoice System Manager modules
+  .register(require('./invoice-system-manager/informationExtractor'))
+  .register(require('./invoice-system-manager/googleDrive'))
+  .register(require('./invoice-system-manager/googleDriveTrigger'))
+  .register(require('./invoice-system-manager/gmailTool'))
+  // Triggers
+  .register(require('./nodeExecutors/manualTrigger'))
+  .register(require('./nodeExecutors/scheduleTrigger'))
+  .register(require('./nodeExecutors/errorTrigger'))
+  // Flow control
+  .register(require('./nodeExecutors/limit'))
+  .register(require('./nodeExecutors/wait'))
+  .register(require('./nodeExecutors/splitInBatches'))
+  .register(require('./nodeExecutors/stopAndError'))
+  .register(require('./nodeExecutors/noOp'))
+  .register(require('./nodeExecutors/executionData'))
+  .register(require('./nodeExecutors/executeWorkflow'))
+  .register(require('./nodeExecutors/respondToWebhook'));
+
+module.exports = nodeRegistry;
+module.exports.NodeRegistry = NodeRegistry;
@@ -1,7 +1,10 @@
-const { Queue, Worker } = require('bullmq');
+const crypto = require('crypto');
+const { Queue, Worker, QueueEvents } = require('bullmq');
 const WorkflowRunner = require('./runner');
 const { createClient } = require('@supabase/supabase-js');
 const { refreshTokenIfNeeded } = require('./tokenRefresh');
+const { sanitizeResult } = require('./utils/resultSanitizer');
+const { forwardRunnerEvents, publishExecutionEvent } = require('./executionEvents');
 
 // Initialize Supabase client for notifications
 const supabase = createClient(
@@ -110,60 +113,6 @@ const workflowQueue = new Queue('workflow-execution', {
   connection: redisConnection
 });
 
-/**
- * Strip binary data from workflow results to prevent BullMQ serialization crashes.
- * Large binary payloads (e.g. downloaded videos) cause JSON.stringify to throw
- * RangeError: Invalid string length.
- */
-function sanitizeResult(result) {
-  if (!result || typeof result !== 'object') return result;
-
-  try {
-    const sanitized = { ...result };
-
-    if (sanitized.outputs && typeof sanitized.outputs === 'object') {
-      const cleanOutputs = {};
-      for (const [nodeName, nodeOutput] of Object.entries(sanitized.outputs)) {
-        if (Array.isArray(nodeOutput)) {
-          cleanOutputs[nodeName] = nodeOutput.map(item => {
-            if (!item || !item.json) return item;
-            const cleanJson = {};
-            for (const [key, value] of Object.entries(item.json)) {
-              // Strip binary data: Buffer, ArrayBuffer, large strings (>1MB)
-              if (Buffer.isBuffer(value) || value instanceof ArrayBuffer) {
-                cleanJson[key] = `[Binary data: ${value.byteLength || value.length} bytes]`;
-              } else if (typeof value === 'string' && value.length > 1_000_000) {
-                cleanJson[key] = `[Large string: ${value.length} chars]`;
-              } else {
-                cleanJson[key] = value;
-              }
-            }
-            // Also strip top-level binary property if present
-            const cleanItem = { json: cleanJson };
-            if (item.binary) {
-              cleanItem.binary = '[stripped]';
-            }
-            return cleanItem;
-          });
-        } else {
-          cleanOutputs[nodeName] = nodeOutput;
-        }
-      }
-      sanitized.outputs = cleanOutputs;
-    }
-
-    return sanitized;
-  } catch (e) {
-    console.error('[Queue] Failed to sanitize result:', e.message);
-    // Return a minimal safe result
-    return {
-      success: result.success,
-      errors: result.errors,
-      message: 'Result sanitized due to serialization issues'
-    };
-  }
-}
-
 /**
  * Re-fetch fresh tokens from the database and refresh if expired.
  * This is needed because scheduled/queued jobs store tokens at schedule-time
@@ -238,8 +187,21 @@ async function refreshJobTokens(tokens, initialData) {
 const worker = new Worker(
   'workflow-execution',
   async (job) => {
-    const { workflow, initialData, tokens, tokenMapping } = job.data;
-    const runner = new WorkflowRunner();
+    const { workflow, initialData, tokens, tokenMapping, executionId } = job.data;
+    const runner = new WorkflowRunner({
+      userId: initialData?.user_id,
+      workflowId: workflow?.id || initialData?.automation_id,
+      triggerType: job.opts.repeat ? 'schedule' : 'queue'
+    });
+    // Scheduled runs share their job data, so each gets a fresh id
+    runner.executionId = (!job.opts.repeat && executionId) || crypto.randomUUID();
+
+    // Relay progress through the job, so the web process can stream it (see queueEvents below)
+    forwardRunnerEvents(runner, (event) => {
+      job.updateProgress(event).catch(error => {
+        console.error(`[Queue] Failed to report progress for job ${job.id}:`, error.message);
+      });
+    });
 
     console.log(`[Queue] Processing workflow: ${workflow.name || 'unnamed'}`);
     // Token injection enabled (details hidden for security)
@@ -303,6 +265,15 @@ worker.on('failed', async (job, err) => {
   await createNotification(job, 'failed', null, err.message);
 });
 
+// Republish job progress (runner events) to this process's execution event hub,
+// wherever the job runs, for GET /api/executions/:id/stream
+const queueEvents = new QueueEvents('workflow-execution', { connection: redisConnection });
+queueEvents.on('progress', ({ data }) => {
+  if (data && typeof data === 'object') {
+    publishExecutionEvent(data);
+  }
+});
+
 /**
  * Add a workflow execution job to the queue
  * @param {Object} workflow - Workflow JSON
@@ -310,9 +281,10 @@ worker.on('failed', async (job, err) => {
  * @param {Object} tokens - Authentication tokens
  * @param {Object} tokenMapping - Optional custom token name mapping
  * @param {number} delay - Optional delay in milliseconds before execution (default: 0)
+ * @param {string} [executionId] - Id the run will get, to stream its progress (generated if omitted)
  * @returns {Promise<string>} Job ID
  */
-async function addWorkflowJob(workflow, initialData = {}, tokens = {}, tokenMapping = {}, delay = 0) {
+async function addWorkflowJob(workflow, initialData = {}, tokens = {}, tokenMapping = {}, delay = 0, executionId = crypto.randomUUID()) {
   // Validate delay
   if (typeof delay !== 'number' || delay < 0) {
     throw new Error('Delay must be a non-negative number (milliseconds)');
@@ -340,7 +312,8 @@ async function addWorkflowJob(workflow, initialData = {}, tokens = {}, tokenMapp
     workflow,
     initialData,
     tokens,
-    tokenMapping
+    tokenMapping,
+    executionId
   }, jobOptions);
 
   return job.id;
@@ -1,113 +1,103 @@
-const httpExecutor = require('./nodeExecutors/http');
-const codeExecutor = require('./nodeExecutors/code');
-const aiExecutor = require('./nodeExecutors/ai');
-const ifExecutor = require('./nodeExecutors/if');
-const mergeExecutor = require('./nodeExecutors/merge');
-const stickyNoteExecutor = require('./nodeExecutors/stickyNote');
-const webhookExecutor = require('./nodeExecutors/webhook');
-const setExecutor = require('./nodeExecutors/set');
-const outputParserStructuredExecutor = require('./nodeExecutors/outputParserStructured');
-const extractFromFileExecutor = require('./nodeExecutors/extractFromFile');
-const textSplitterExecutor = require('./nodeExecutors/textSplitter');
-const embeddingsExecutor = require('./nodeExecutors/embeddings');
-const embeddingsHuggingFaceExecutor = require('./nodeExecutors/embeddingsHuggingFace');
-const vectorStoreExecutor = require('./nodeExecutors/vectorStore');
-const vectorStoreWeaviateExecutor = require('./nodeExecutors/vectorStoreWeaviate');
-const vectorStoreRedisExecutor = require('./nodeExecutors/vectorStoreRedis');
-const vectorStoreSupabaseExecutor = require('./nodeExecutors/vectorStoreSupabase');
-const anthropicChatExecutor = require('./nodeExecutors/anthropicChat');
-const huggingFaceChatExecutor = require('./nodeExecutors/huggingFaceChat');
-const toolVectorStoreExecutor = require('./nodeExecutors/toolVectorStore');
-const memoryExecutor = require('./nodeExecutors/memory');
-const openAiChatExecutor = require('./nodeExecutors/openAiChat');
-const agentExecutor = require('./nodeExecutors/agent');
-const googleSheetsExecutor = require('./nodeExecutors/googleSheets');
-const slackExecutor = require('./nodeExecutors/slack');
-const manualTriggerExecutor = require('./nodeExecutors/manualTrigger');
-const scheduleTriggerExecutor = require('./nodeExecutors/scheduleTrigger');
-const limitExecutor = require('./nodeExecutors/limit');
-const waitExecutor = require('./nodeExecutors/wait');
-const emailSendExecutor = require('./nodeExecutors/emailSend');
-const splitInBatchesExecutor = require('./nodeExecutors/splitInBatches');
-const groqChatExecutor = require('./nodeExecutors/groqChat');
-const rssFeedReadExecutor = require('./nodeExecutors/rssFeedRead');
-const googleGeminiChatExecutor = require('./nodeExecutors/googleGeminiChat');
-const linkedInExecutor = require('./nodeExecutors/linkedIn');
-const respondToWebhookExecutor = require('./nodeExecutors/respondToWebhook');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { evaluateExpression } = require('./utils/expressions');
+const { toOutputPorts, countOutputItems } = require('./utils/nodeOutputs');
+const { getRetryPolicy, getRetryDelay } = require('./utils/retryPolicy');
+const { pairOutputItems } = require('./utils/pairedItems');
+const { deleteBinaryData } = require('./utils/binaryDataManager');
+const { createDryRun } = require('./utils/dryRun');
 const TokenInjector = require('./utils/tokenInjector');
+const WorkflowGraph = require('./utils/workflowGraph');
+const nodeRegistry = require('./nodeRegistry');
+// The loop's done/loop outputs drive the scheduler's batch handling
+const splitInBatchesExecutor = require('./nodeExecutors/splitInBatches');
+
+// Node types that touch execution-wide mutable state (batchStates, staticData)
+// or schedule nested nodes; the scheduler never runs them alongside other nodes
+const EXCLUSIVE_NODE_TYPES = new Set([
+  'n8n-nodes-base.splitInBatches',
+  'n8n-nodes-base.code',
+  'n8n-nodes-base.function'
+]);
 
-// Invoice System Manager modules
-const invoiceSystemManager = require('./invoice-system-manager');
-
-class WorkflowRunner {
-  constructor() {
-    this.nodeExecutors = {
-      'n8n-nodes-base.httpRequest': httpExecutor,
-      'n8n-nodes-base.code': codeExecutor,
-      'n8n-nodes-base.function': codeExecutor,
-      'n8n-nodes-base.functionItem': codeExecutor,
-      '@n8n/n8n-nodes-langchain.chainLlm': aiExecutor,
-      '@n8n/n8n-nodes-langchain.lmChatOpenRouter': aiExecutor,
-      'n8n-nodes-base.if': ifExecutor,
-      'n8n-nodes-base.merge': mergeExecutor,
-      'n8n-nodes-base.stickyNote': stickyNoteExecutor,
-      'n8n-nodes-base.webhook': webhookExecutor,
-      // LangChain nodes
-      '@n8n/n8n-nodes-langchain.textSplitterCharacterTextSplitter': textSplitterExecutor,
-      '@n8n/n8n-nodes-langchain.embeddingsCohere': embeddingsExecutor,
-      '@n8n/n8n-nodes-langchain.embeddingsOpenAi': embeddingsExecutor,
-      '@n8n/n8n-nodes-langchain.embeddingsHuggingFace': embeddingsHuggingFaceExecutor,
-      '@n8n/n8n-nodes-langchain.vectorStorePinecone': vectorStoreExecutor,
-      '@n8n/n8n-nodes-langchain.vectorStoreWeaviate': vectorStoreWeaviateExecutor,
-      '@n8n/n8n-nodes-langchain.vectorStoreRedis': vectorStoreRedisExecutor,
-      '@n8n/n8n-nodes-langchain.vectorStoreSupabase': vectorStoreSupabaseExecutor,
-      '@n8n/n8n-nodes-langchain.toolVectorStore': toolVectorStoreExecutor,
-      '@n8n/n8n-nodes-langchain.memoryBufferWindow': memoryExecutor,
-      '@n8n/n8n-nodes-langchain.lmChatOpenAi': openAiChatExecutor,
-      '@n8n/n8n-nodes-langchain.lmChatAnthropic': anthropicChatExecutor,
-      '@n8n/n8n-nodes-langchain.lmChatHf': huggingFaceChatExecutor,
-      '@n8n/n8n-nodes-langchain.lmChatGroq': groqChatExecutor,
-      '@n8n/n8n-nodes-langchain.agent': agentExecutor,
-      '@n8n/n8n-nodes-langchain.outputParserStructured': outputParserStructuredExecutor,
-      '@n8n/n8n-nodes-langchain.informationExtractor': invoiceSystemManager.informationExtractor,
-      // Data manipulation
-      'n8n-nodes-base.set': setExecutor,
-      'n8n-nodes-base.extractFromFile': extractFromFileExecutor,
-      // Google Sheets
-      'n8n-nodes-base.googleSheets': googleSheetsExecutor,
-      // Google Drive
-      'n8n-nodes-base.googleDrive': invoiceSystemManager.googleDrive,
-      'n8n-nodes-base.googleDriveTrigger': invoiceSystemManager.googleDriveTrigger,
-      // Gmail
-      'n8n-nodes-base.gmailTool': invoiceSystemManager.gmailTool,
-      // Slack
-      'n8n-nodes-base.slack': slackExecutor,
-      // Triggers
-      'n8n-nodes-base.manualTrigger': manualTriggerExecutor,
-      'n8n-nodes-base.scheduleTrigger': scheduleTriggerExecutor,
-      // Flow Control
-      'n8n-nodes-base.limit': limitExecutor,
-      'n8n-nodes-base.wait': waitExecutor,
-      'n8n-nodes-base.splitInBatches': splitInBatchesExecutor,
-      // Email
-      'n8n-nodes-base.emailSend': emailSendExecutor,
-      // RSS Feed
-      'n8n-nodes-base.rssFeedRead': rssFeedReadExecutor,
-      // Google Gemini (PaLM) LM
-      '@n8n/n8n-nodes-langchain.lmChatGoogleGemini': googleGeminiChatExecutor,
-      // LinkedIn
-      'n8n-nodes-base.linkedIn': linkedInExecutor,
-      // Form Trigger (passthrough — used as entry node in some workflows)
-      'n8n-nodes-base.formTrigger': manualTriggerExecutor,
-      // Respond to Webhook (passthrough — terminal node)
-      'n8n-nodes-base.respondToWebhook': respondToWebhookExecutor,
+const ERROR_TRIGGER_TYPE = 'n8n-nodes-base.errorTrigger';
+const EXECUTE_WORKFLOW_TRIGGER_TYPE = 'n8n-nodes-base.executeWorkflowTrigger';
+
+// Binary data scope -> sub-workflow runs started without waiting that still
+// read from or write to it; the scope's owner deletes it only once they're done
+const detachedRuns = new Map();
+
+/**
+ * Runs workflows. Progress is observable through events (payloads carry
+ * executionId and never item data):
+ * - executionStarted  { workflowId, workflowName, startedAt }
+ * - nodeStarted       { node, nodeType, runIndex, inputItemCount, startedAt }
+ * - nodeFinished      { node, nodeType, runIndex, ...run data (see recordNodeRun) }
+ * - nodeFailed        { ...nodeFinished, error, continued } - continued: the node's onError
+ *                     setting (or a structural test) let the execution go on
+ * - executionFinished { success, error, startedAt, stoppedAt, lastNodeExecuted }
+ */
+class WorkflowRunner extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxLoopIterations=1000] - Max batches per SplitInBatches loop
+   *        (a workflow's settings.maxLoopIterations takes precedence)
+   * @param {number} [options.concurrency=1] - Max independent nodes run at the same time
+   *        (a workflow's settings.concurrency takes precedence)
+   * @param {boolean} [options.structuralTest=false] - Continue past nodes that fail for lack
+   *        of API keys/tokens, to exercise a workflow's wiring without credentials
+   * @param {function(string): Promise<Object>} [options.loadWorkflow] - Resolve a workflow by id
+   *        (settings.errorWorkflow, Execute Workflow nodes); defaults to the loader set with
+   *        WorkflowRunner.setWorkflowLoader
+   * @param {boolean} [options.errorWorkflowRun=false] - Run started by another execution's failure:
+   *        only Error Trigger nodes fire and no further error workflow is launched
+   * @param {number} [options.subWorkflowDepth=0] - Nesting level of this run (0 = top-level execution)
+   * @param {number} [options.maxSubWorkflowDepth=10] - Max nesting of Execute Workflow calls
+   * @param {string} [options.executionMode='production'] - $execution.mode in expressions
+   * @param {Object} [options.variables] - $vars available to expressions and Code nodes
+   * @param {string} [options.binaryDataScope] - Store binary data under another execution's
+   *        scope (sub-workflows use their parent's); the owner of a scope deletes it when done,
+   *        after any sub-workflow runs started in it without waiting have finished
+   * @param {boolean} [options.keepBinaryData=false] - Keep this execution's binary data after it finishes
+   * @param {string} [options.workflowId] - Workflow/automation id recorded in execution history
+   *        (defaults to the workflow's own id)
+   * @param {string} [options.userId] - User the execution runs for, recorded in execution history
+   * @param {string} [options.triggerType='manual'] - What started the run (manual, api, queue,
+   *        schedule, poll, subworkflow, error), recorded in execution history
+   * @param {string} [options.parentExecutionId] - Execution that started this one (sub-workflows, error workflows)
+   * @param {Object|null} [options.executionStore] - Where finished executions are recorded; defaults to
+   *        the store set with WorkflowRunner.setExecutionStore (null disables recording)
+   * @param {boolean|Object} [options.dryRun=false] - Don't call outside services: integration calls
+   *        are recorded and answered with fixtures ({ fixtures } - see utils/dryRun.js); the
+   *        recorded calls come back as result.mockedCalls
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      maxLoopIterations: 1000,
+      concurrency: 1,
+      structuralTest: false,
+      errorWorkflowRun: false,
+      subWorkflowDepth: 0,
+      maxSubWorkflowDepth: 10,
+      executionMode: 'production',
+      triggerType: 'manual',
+      ...options
     };
 
+    // Node type -> executor, from the node registry (nodeRegistry.js)
+    this.nodeExecutors = nodeRegistry.getExecutors();
+
     this.executionContext = {
       nodes: {}, // Store outputs from all executed nodes
+      nodeOutputs: {}, // Per-port outputs (array of item arrays) for multi-output nodes
+      nodeInputs: {}, // Per-input-index items delivered to each node
+      inputSources: {}, // Upstream node/port/item of each input item (paired-item lineage)
+      attempts: {}, // Retry attempts per node (retryOnFail nodes only)
+      runData: {}, // Timing, item counts and error of every node run
       currentNode: null,
-      errors: []
+      errors: [],
+      nodeErrors: [] // Failures of nodes whose onError setting let the workflow continue
     };
   }
 
@@ -117,19 +107,63 @@ class WorkflowRunner {
    * @param {Object} initialData - Initial data (e.g., from webhook)
    * @param {Object} tokens - Authentication tokens to inject
    * @param {Object} tokenMapping - Optional custom token name mapping
-   * @returns {Promise<Object>} Execution result
+   * @param {Object} [runOptions]
+   * @param {Object<string, Array>} [runOptions.pinData] - Output items per node name (n8n's pinData):
+   *        pinned nodes are not executed, their items are used as their output. Defaults to
+   *        workflow.pinData in manual mode, as in n8n.
+   * @param {string} [runOptions.startNode] - Partial execution: run only this node, the nodes
+   *        downstream of it and their sub-nodes; the other nodes' outputs come from pinData or
+   *        previousOutputs
+   * @param {Object<string, Array>} [runOptions.previousOutputs] - Output items per node name from an
+   *        earlier execution (e.g. an execution history record's outputs), used with startNode
+   * @returns {Promise<Object>} Execution result; executedNodes, pinnedNodes and reusedNodes
+   *          (outputs taken from previousOutputs) tell where each node's output came from
    */
-  async execute(workflow, initialData = {}, tokens = {}, tokenMapping = {}) {
+  async execute(workflow, initialData = {}, tokens = {}, tokenMapping = {}, runOptions = {}) {
     // Initialize token injector with optional custom mapping
     const tokenInjector = new TokenInjector(tokens, tokenMapping);
 
     // Pre-process workflow to inject tokens into node parameters
     const processedWorkflow = tokenInjector.injectIntoWorkflow(workflow);
 
+    this.executionId = this.executionId || crypto.randomUUID();
+    const startedAt = new Date();
+    this.binaryDataScope = this.options.binaryDataScope || this.executionId;
+
+    // Raw tokens, handed down to sub-workflow runs
+    this.tokens = tokens;
+    this.tokenMapping = tokenMapping;
+
+    const pinData = runOptions.pinData ||
+      (this.options.executionMode === 'manual' ? workflow?.pinData : undefined) || {};
+    this.pinData = new Map(Object.entries(pinData).map(([nodeName, items]) => [nodeName, toItems(items)]));
+    this.pinnedNodes = new Set();
+    this.reusedNodes = new Set();
+    this.dryRun = createDryRun(this.options.dryRun);
+
     this.executionContext = {
+      executionId: this.executionId,
       nodes: {},
+      nodeOutputs: {},
+      nodeInputs: {},
+      inputSources: {},
+      attempts: {},
+      runData: {},
       currentNode: null,
       errors: [],
+      nodeErrors: [],
+      customData: {},
+      lastNodeExecuted: null,
+      runCounts: {},
+      // Execution-wide state executors extend (created here so per-node
+      // context views never shadow them)
+      batchStates: {},
+      memory: {},
+      executionMode: this.options.executionMode,
+      variables: this.options.variables || {},
+      subWorkflowDepth: this.options.subWorkflowDepth,
+      binaryDataScope: this.binaryDataScope,
+      dryRun: this.dryRun,
       workflow: processedWorkflow,
       tokens: {},
       // Preserve pre-set values from orchestration (for polling triggers)
@@ -145,14 +179,32 @@ class WorkflowRunner {
     // Store token injector for node executors to access
     this.executionContext.tokenInjector = tokenInjector;
 
+    this.emitEvent('executionStarted', {
+      workflowId: this.options.workflowId || workflow?.id,
+      workflowName: workflow?.name,
+      startedAt: startedAt.toISOString()
+    });
+
+    // Sub-workflow support for the Execute Workflow node
+    this.executionContext.loadWorkflow = (workflowId) => this.loadWorkflowById(workflowId);
+    this.executionContext.executeSubWorkflow = (subWorkflow, items, subWorkflowOptions) =>
+      this.executeSubWorkflow(subWorkflow, items, subWorkflowOptions);
+
+    let result;
+
     try {
       // Find entry nodes (nodes with no incoming connections)
-      const entryNodes = this.findEntryNodes(processedWorkflow);
+      const entryNodes = this.selectTriggeredEntryNodes(this.findEntryNodes(processedWorkflow));
 
       if (entryNodes.length === 0) {
         throw new Error('No entry nodes found in workflow');
       }
 
+      // Partial execution: only the start node and what follows it run
+      const partialNodes = runOptions.startNode
+        ? this.preparePartialExecution(processedWorkflow, runOptions.startNode, runOptions.previousOutputs)
+        : null;
+
       // Execute entry nodes with initial data
       // Format initialData as array of items (like node outputs)
       const formattedInitialData = Array.isArray(initialData)
@@ -160,233 +212,386 @@ class WorkflowRunner {
         : [{ json: initialData }];
 
       for (const entryNode of entryNodes) {
+        if (partialNodes && !partialNodes.has(entryNode.name || entryNode.id)) continue;
         await this.executeNode(entryNode, formattedInitialData);
       }
 
       // Continue execution following connections
-      await this.executeWorkflow(processedWorkflow);
+      await this.executeWorkflow(processedWorkflow, partialNodes);
 
-      return {
+      result = {
         success: this.executionContext.errors.length === 0,
+        executionId: this.executionId,
         outputs: this.executionContext.nodes,
-        errors: this.executionContext.errors
+        errors: this.executionContext.errors,
+        nodeErrors: this.executionContext.nodeErrors,
+        attempts: this.executionContext.attempts,
+        customData: this.executionContext.customData,
+        lastNodeExecuted: this.executionContext.lastNodeExecuted
       };
     } catch (error) {
-      return {
+      if (!this.executionContext.failedNode) {
+        this.executionContext.failedNode = this.executionContext.currentNode;
+      }
+      this.executionContext.failure = error;
+
+      result = {
         success: false,
+        executionId: this.executionId,
         error: error.message,
         outputs: this.executionContext.nodes,
-        errors: [...this.executionContext.errors, error.message]
+        errors: [...this.executionContext.errors, error.message],
+        nodeErrors: this.executionContext.nodeErrors,
+        attempts: this.executionContext.attempts,
+        customData: this.executionContext.customData,
+        lastNodeExecuted: this.executionContext.lastNodeExecuted
       };
     }
+
+    if (!result.success && !this.options.errorWorkflowRun) {
+      await this.launchErrorWorkflow(workflow, result, { initialData, tokens, tokenMapping });
+    }
+
+    result.startedAt = startedAt.toISOString();
+    result.stoppedAt = new Date().toISOString();
+    result.runData = this.executionContext.runData;
+    result.executedNodes = Object.keys(result.runData)
+      .filter(nodeName => result.runData[nodeName].some(run => !run.pinned));
+    result.pinnedNodes = [...this.pinnedNodes];
+    result.reusedNodes = [...this.reusedNodes];
+    if (this.dryRun) {
+      result.mockedCalls = this.dryRun.calls;
+    }
+    await this.recordExecution(workflow, result);
+
+    this.emitEvent('executionFinished', {
+      success: result.success,
+      error: result.success ? undefined : getFailureMessage(result),
+      startedAt: result.startedAt,
+      stoppedAt: result.stoppedAt,
+      lastNodeExecuted: result.lastNodeExecuted
+    });
+
+    // Garbage-collect stored files once nothing in this execution can read them;
+    // while detached sub-workflows still run, that happens after this run returns
+    if (!this.options.binaryDataScope && !this.options.keepBinaryData) {
+      if (detachedRuns.has(this.binaryDataScope)) {
+        deleteBinaryDataWhenDetachedRunsFinish(this.binaryDataScope).catch(error => {
+          console.error(`[Runner] Failed to clean up binary data of ${this.executionId}: ${error.message}`);
+        });
+      } else {
+        await deleteBinaryData(this.binaryDataScope);
+      }
+    }
+
+    return result;
   }
 
   /**
-   * Find entry nodes (nodes with no incoming connections)
+   * Save a finished execution to the execution store. Recording failures are
+   * logged, never thrown, so history problems can't fail a run.
+   * @param {Object} workflow - The workflow (as passed to execute)
+   * @param {Object} result - The execution result
    */
-  findEntryNodes(workflow) {
-    const { nodes, connections } = workflow;
-    const connectedNodeIds = new Set();
-    const connectedNodeNames = new Set();
-    const toolSourceNodes = new Set(); // Nodes that provide tools to agents (should not be entry nodes)
-
-    // Collect all nodes that have incoming connections (main or special)
-    if (connections) {
-      Object.entries(connections).forEach(([sourceNodeName, nodeConnections]) => {
-        // Check main connections
-        if (nodeConnections.main) {
-          nodeConnections.main.forEach(outputArray => {
-            outputArray.forEach(connection => {
-              connectedNodeIds.add(connection.node);
-              // Also check by node name
-              const targetNode = nodes.find(n => n.id === connection.node || n.name === connection.node);
-              if (targetNode) {
-                connectedNodeNames.add(targetNode.name);
-                connectedNodeNames.add(targetNode.id);
-              }
-            });
-          });
-        }
+  async recordExecution(workflow, result) {
+    const store = this.options.executionStore !== undefined
+      ? this.options.executionStore
+      : WorkflowRunner.executionStore;
+    if (!store) return;
 
-        // Check special LangChain connection types
-        const specialConnectionTypes = [
-          'ai_textSplitter', 'ai_embedding', 'ai_vectorStore',
-          'ai_tool', 'ai_memory', 'ai_languageModel', 'ai_document'
-        ];
-
-        for (const connectionType of specialConnectionTypes) {
-          if (nodeConnections[connectionType]) {
-            nodeConnections[connectionType].forEach(outputArray => {
-              outputArray.forEach(connection => {
-                connectedNodeIds.add(connection.node);
-                const targetNode = nodes.find(n => n.id === connection.node || n.name === connection.node);
-                if (targetNode) {
-                  connectedNodeNames.add(targetNode.name);
-                  connectedNodeNames.add(targetNode.id);
-                }
-
-                // Track source nodes of ai_tool connections - they should NOT be entry nodes
-                // These are tool providers that should only run when called by an agent
-                if (connectionType === 'ai_tool') {
-                  toolSourceNodes.add(sourceNodeName);
-                }
-              });
-            });
-          }
-        }
+    try {
+      await store.save({
+        workflow,
+        result,
+        workflowId: this.options.workflowId || workflow?.id,
+        userId: this.options.userId,
+        triggerType: this.options.triggerType,
+        mode: this.options.executionMode,
+        parentExecutionId: this.options.parentExecutionId,
+        binaryDataKept: Boolean(this.options.keepBinaryData)
       });
+    } catch (error) {
+      console.error(`[Runner] Failed to record execution ${this.executionId}: ${error.message}`);
     }
+  }
 
-    // Return nodes that are not connected (entry points)
-    // Filter out UI-only nodes like stickyNote and tool source nodes
-    return nodes.filter(node => {
-      // Skip UI-only nodes
-      if (node.type === 'n8n-nodes-base.stickyNote') {
-        return false;
-      }
+  /**
+   * Error Trigger nodes only fire in error workflow runs, and in those runs
+   * nothing else does. Likewise a sub-workflow run starts from its Execute
+   * Workflow Trigger when it has one. Entry nodes that do not fire get an
+   * empty output so their downstream nodes are skipped.
+   * @param {Array<Object>} entryNodes
+   * @returns {Array<Object>} Entry nodes to execute
+   */
+  selectTriggeredEntryNodes(entryNodes) {
+    let startType = null;
+    if (this.options.errorWorkflowRun) {
+      startType = ERROR_TRIGGER_TYPE;
+    } else if (this.options.subWorkflowDepth > 0) {
+      startType = EXECUTE_WORKFLOW_TRIGGER_TYPE;
+    }
 
-      // Skip nodes that are sources of ai_tool connections (tool providers)
-      if (toolSourceNodes.has(node.name) || toolSourceNodes.has(node.id)) {
-        return false;
+    const startNodes = entryNodes.filter(node => startType && node.type === startType);
+    const triggered = startNodes.length > 0
+      ? startNodes
+      : entryNodes.filter(node => node.type !== ERROR_TRIGGER_TYPE);
+
+    for (const node of entryNodes) {
+      if (!triggered.includes(node)) {
+        this.storeNodeOutput(node, [[]]);
       }
+    }
+
+    return triggered;
+  }
+
+  /**
+   * Run the workflow referenced by settings.errorWorkflow (an id, or an inline
+   * workflow object) after a failed execution. Failures of the error workflow
+   * itself are logged, never thrown.
+   * @param {Object} workflow - The failed workflow (as passed to execute)
+   * @param {Object} result - The failed execution's result
+   * @param {Object} context - initialData, tokens and tokenMapping of the failed execution
+   */
+  async launchErrorWorkflow(workflow, result, { initialData, tokens, tokenMapping }) {
+    const reference = workflow?.settings?.errorWorkflow;
+    if (!reference) return;
+
+    try {
+      const errorWorkflow = typeof reference === 'object'
+        ? reference
+        : await this.loadWorkflowById(String(reference));
+
+      const failedNode = this.executionContext.failedNode ||
+        workflow.nodes?.find(node => node.name === this.executionContext.errors[0]?.node);
+      const failure = this.executionContext.failure;
+      const message = failure?.message || this.executionContext.errors
+        .map(error => (typeof error === 'string' ? error : error.error))
+        .join(', ');
+
+      const errorData = {
+        execution: {
+          id: this.executionId,
+          error: { message, stack: failure?.stack },
+          lastNodeExecuted: this.executionContext.currentNode?.name,
+          failedNode: failedNode ? { name: failedNode.name, type: failedNode.type } : null
+        },
+        workflow: {
+          id: workflow.id,
+          name: workflow.name
+        },
+        trigger: initialData
+      };
+
+      console.log(`[Runner] 🚨 Launching error workflow '${errorWorkflow.name || reference}' for execution ${this.executionId}`);
+
+      const errorRunner = new WorkflowRunner({
+        ...this.options,
+        errorWorkflowRun: true,
+        binaryDataScope: undefined,
+        workflowId: typeof reference === 'object' ? undefined : String(reference),
+        triggerType: 'error',
+        parentExecutionId: this.executionId,
+        dryRun: this.dryRun
+      });
+      const errorResult = await errorRunner.execute(errorWorkflow, [{ json: errorData }], tokens, tokenMapping);
+
+      result.errorWorkflow = {
+        executionId: errorResult.executionId,
+        success: errorResult.success
+      };
+    } catch (error) {
+      console.error(`[Runner] Failed to run error workflow '${reference}': ${error.message}`);
+      result.errorWorkflow = { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Run a workflow as a sub-workflow of this execution, in a child runner that
+   * shares this execution's tokens and options
+   * @param {Object} workflow - Workflow JSON
+   * @param {Array<Object>} items - Items handed to the sub-workflow's trigger
+   * @param {Object} [subWorkflowOptions]
+   * @param {boolean} [subWorkflowOptions.detached=false] - The caller doesn't wait for the run;
+   *        this execution's binary data is then kept until it finishes
+   * @returns {Promise<Object>} The child execution result
+   */
+  async executeSubWorkflow(workflow, items, { detached = false } = {}) {
+    const depth = this.options.subWorkflowDepth + 1;
+    if (depth > this.options.maxSubWorkflowDepth) {
+      throw new Error(
+        `Sub-workflow nesting exceeded the maximum depth (${this.options.maxSubWorkflowDepth}) - ` +
+        `check for workflows that call each other recursively`
+      );
+    }
 
-      return !connectedNodeIds.has(node.name) &&
-        !connectedNodeIds.has(node.id) &&
-        !connectedNodeNames.has(node.name) &&
-        !connectedNodeNames.has(node.id);
+    console.log(`[Runner] ↪️ Starting sub-workflow '${workflow.name || workflow.id || 'inline'}' (depth ${depth})`);
+
+    const childRunner = new WorkflowRunner({
+      ...this.options,
+      errorWorkflowRun: false,
+      subWorkflowDepth: depth,
+      // The parent returns the child's items, so their binary data must outlive the child run
+      binaryDataScope: this.binaryDataScope,
+      workflowId: undefined,
+      triggerType: 'subworkflow',
+      parentExecutionId: this.executionId,
+      dryRun: this.dryRun
     });
+    const run = childRunner.execute(workflow, items, this.tokens, this.tokenMapping);
+
+    if (detached) {
+      trackDetachedRun(this.binaryDataScope, run);
+    }
+    return run;
   }
 
   /**
-   * Execute workflow following connections
+   * Resolve a workflow by id through the configured loader
+   */
+  async loadWorkflowById(workflowId) {
+    const loadWorkflow = this.options.loadWorkflow || WorkflowRunner.workflowLoader;
+    if (!loadWorkflow) {
+      throw new Error(`No workflow loader configured to resolve workflow '${workflowId}'`);
+    }
+
+    const workflow = await loadWorkflow(workflowId);
+    if (!workflow || !Array.isArray(workflow.nodes)) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+    return workflow;
+  }
+
+  /**
+   * Set the default loader used to resolve workflows referenced by id
+   * (e.g. settings.errorWorkflow) for every runner in this process
+   * @param {function(string): Promise<Object>} loadWorkflow
+   */
+  static setWorkflowLoader(loadWorkflow) {
+    WorkflowRunner.workflowLoader = loadWorkflow;
+  }
+
+  /**
+   * Set the default store every runner in this process records finished
+   * executions in (see executionStore.js)
+   * @param {Object|null} executionStore - Implements save({ workflow, result, ... })
+   */
+  static setExecutionStore(executionStore) {
+    WorkflowRunner.executionStore = executionStore;
+  }
+
+  /**
+   * Set up a run that starts at `startNode`: every node that will not run gets
+   * its pinned data, or else its output from the earlier execution, as output
    * @param {Object} workflow - Pre-processed workflow
+   * @param {string} startNode - Name or id of the node to start at
+   * @param {Object<string, Array>} [previousOutputs] - Output items per node name
+   * @returns {Set<string>} Keys of the nodes to run
+   * @throws {Error} When the start node is unknown or one of its inputs has no data
    */
-  async executeWorkflow(workflow) {
-    const { connections } = workflow;
-    if (!connections) return;
+  preparePartialExecution(workflow, startNode, previousOutputs = {}) {
+    const graph = this.getGraph(workflow);
+    const node = graph.getNode(startNode);
+    if (!node) {
+      throw new Error(`Start node '${startNode}' not found in workflow`);
+    }
 
-    const executedNodes = new Set(Object.keys(this.executionContext.nodes));
-    let hasChanges = true;
-    let iteration = 0;
-    const MAX_ITERATIONS = 1000; // Safety limit to prevent infinite loops
+    const startKey = node.name || node.id;
+    const runKeys = graph.findPartialExecutionNodes(startKey);
 
-    // Keep executing until no more nodes can be executed
-    while (hasChanges) {
-      hasChanges = false;
-      iteration += 1;
+    for (const upstreamNode of workflow.nodes) {
+      const key = upstreamNode.name || upstreamNode.id;
+      if (runKeys.has(key)) continue;
 
-      // Safety check: prevent infinite loops
-      if (iteration > MAX_ITERATIONS) {
-        const unexecutedNodes = workflow.nodes
-          .filter(n => !executedNodes.has(n.name) && !executedNodes.has(n.id))
-          .map(n => n.name || n.id);
+      if (this.pinData.has(key)) {
+        this.storeNodeOutput(upstreamNode, [this.pinData.get(key)]);
+        this.pinnedNodes.add(key);
+      } else if (Array.isArray(previousOutputs?.[key])) {
+        this.storeNodeOutput(upstreamNode, [toItems(previousOutputs[key])]);
+        this.reusedNodes.add(key);
+      }
+    }
+
+    for (const edge of graph.getIncoming(startKey)) {
+      if (graph.isLoopEdge(edge) || runKeys.has(edge.source)) continue;
+      if (!this.executionContext.nodes[edge.source]) {
         throw new Error(
-          `Workflow execution exceeded maximum iterations (${MAX_ITERATIONS}). ` +
-          `Possible circular dependency or unsatisfiable nodes: ${unexecutedNodes.join(', ')}`
+          `Can't start from '${startKey}': its input node '${edge.source}' has no pinned data ` +
+          `or output from a previous execution`
         );
       }
+    }
 
-      // First, process nodes that have outgoing connections (sources)
-      for (const [nodeName, nodeConnections] of Object.entries(connections)) {
-        // Skip if already executed
-        if (executedNodes.has(nodeName)) continue;
-
-        // Check if all input nodes have been executed
-        const canExecute = this.canExecuteNode(nodeName, workflow, executedNodes);
-
-        if (canExecute) {
-          const node = workflow.nodes.find(n => n.name === nodeName);
-          if (node) {
-            // Get input data from connected nodes
-            const inputData = this.getInputData(nodeName, workflow);
-
-            // Skip execution if node has no input data (e.g., trigger returned empty)
-            // Exception: trigger nodes and webhook nodes can execute with empty input
-            const isTriggerOrWebhook = node.type && (
-              node.type.includes('Trigger') ||
-              node.type.includes('webhook') ||
-              node.type === 'n8n-nodes-base.manualTrigger'
-            );
-
-            if (!isTriggerOrWebhook && inputData.length === 0) {
-              console.log(`[Runner] Skipping node '${node.name}' - no input data from upstream nodes`);
-              // Store empty output to prevent downstream nodes from executing
-              this.executionContext.nodes[nodeName] = [];
-              if (node.id && node.id !== nodeName) {
-                this.executionContext.nodes[node.id] = [];
-              }
-              executedNodes.add(nodeName); // Mark as executed to prevent infinite loop
-              hasChanges = true;
-              continue;
-            }
-
-            await this.executeNode(node, inputData);
-            executedNodes.add(nodeName);
-            hasChanges = true;
-          }
-        }
-      }
+    console.log(`[Runner] ⏩ Starting from '${startKey}' (${runKeys.size} node(s) to run, ` +
+      `${this.pinnedNodes.size} pinned, ${this.reusedNodes.size} from a previous execution)`);
+    return runKeys;
+  }
 
-      // Also check nodes that are targets but don't have outgoing connections (sinks)
-      // These nodes won't appear in the connections object as keys
-      for (const node of workflow.nodes) {
-        const nodeName = node.name || node.id;
-        // Skip if already executed or is a UI-only node
-        if (executedNodes.has(nodeName) ||
-          executedNodes.has(node.id) ||
-          node.type === 'n8n-nodes-base.stickyNote') {
-          continue;
-        }
+  /**
+   * Find entry nodes (nodes with no incoming connections)
+   */
+  findEntryNodes(workflow) {
+    return this.getGraph(workflow).findEntryNodes();
+  }
 
-        // Skip if this node has outgoing connections (already processed above)
-        if (connections[nodeName] || connections[node.id]) {
-          continue;
-        }
+  /**
+   * Get (and cache) the adjacency index for a workflow
+   * @param {Object} workflow - Pre-processed workflow
+   * @returns {WorkflowGraph}
+   */
+  getGraph(workflow) {
+    if (!this.graph || this.graph.workflow !== workflow) {
+      this.graph = new WorkflowGraph(workflow, {
+        getLoopOutputIndex: splitInBatchesExecutor.getLoopOutputIndex
+      });
+      this.inputBuffers = new Map();
+    }
+    return this.graph;
+  }
 
-        // Check if all input nodes have been executed
-        const canExecute = this.canExecuteNode(nodeName, workflow, executedNodes);
-
-        if (canExecute) {
-          // Get input data from connected nodes
-          const inputData = this.getInputData(nodeName, workflow);
-
-          // Skip execution if node has no input data (propagate empty from upstream)
-          // This prevents sink nodes from executing when upstream nodes returned no data
-          const isTriggerOrWebhook = node.type && (
-            node.type.includes('Trigger') ||
-            node.type.includes('webhook') ||
-            node.type === 'n8n-nodes-base.manualTrigger'
-          );
-
-          if (!isTriggerOrWebhook && inputData.length === 0) {
-            console.log(`[Runner] Skipping sink node '${node.name}' - no input data from upstream nodes`);
-            // Store empty output to prevent downstream nodes from executing
-            this.executionContext.nodes[nodeName] = [];
-            if (node.id && nodeName !== node.id) {
-              this.executionContext.nodes[node.id] = [];
-            }
-            executedNodes.add(nodeName);
-            if (node.id && nodeName !== node.id) {
-              executedNodes.add(node.id);
-            }
-            hasChanges = true;
-            continue;
-          }
+  /**
+   * Execute workflow following connections
+   * @param {Object} workflow - Pre-processed workflow
+   * @param {Set<string>|null} [onlyNodes] - Keys of the only nodes that may run (partial execution)
+   */
+  async executeWorkflow(workflow, onlyNodes = null) {
+    const { connections } = workflow;
+    if (!connections) return;
 
-          await this.executeNode(node, inputData);
-          executedNodes.add(nodeName);
-          if (node.id && nodeName !== node.id) {
-            executedNodes.add(node.id);
-          }
-          hasChanges = true;
-        }
+    const graph = this.getGraph(workflow);
+    const executedNodes = new Set(Object.keys(this.executionContext.nodes));
+
+    // Nodes that already ran (entry nodes) feed their downstream input buffers
+    for (const node of workflow.nodes) {
+      if (executedNodes.has(node.name) || executedNodes.has(node.id)) {
+        this.fillInputBuffers(node.name || node.id);
       }
     }
-    
+
+    // Nodes with outgoing connections first (sources), then the ones that are
+    // only targets (sinks) - this keeps the historical scheduling order
+    const orderedNodes = [];
+    for (const nodeName of Object.keys(connections)) {
+      const node = graph.getNode(nodeName);
+      if (node && !orderedNodes.includes(node)) orderedNodes.push(node);
+    }
+    for (const node of workflow.nodes) {
+      if (graph.getOutgoing(node.name || node.id).length === 0 && !orderedNodes.includes(node)) {
+        orderedNodes.push(node);
+      }
+    }
+
+    const candidates = onlyNodes
+      ? orderedNodes.filter(node => onlyNodes.has(node.name || node.id))
+      : orderedNodes;
+    await this.runReadyNodes(workflow, candidates, executedNodes);
+
     // Summary logging
     const allWorkflowNodeNames = workflow.nodes.map(n => n.name);
-    const successfullyExecuted = Array.from(executedNodes).filter(name => allWorkflowNodeNames.includes(name));
-    const unexecuted = allWorkflowNodeNames.filter(name => !executedNodes.has(name) && !executedNodes.has(workflow.nodes.find(n => n.name === name)?.id));
+    const successfullyExecuted = allWorkflowNodeNames.filter(name => executedNodes.has(name));
+    const unexecuted = workflow.nodes
+      .filter(n => !executedNodes.has(n.name) && !executedNodes.has(n.id))
+      .map(n => n.name);
     
     console.log(`\n[Runner] 🏁 Execution loop finished.`);
     console.log(`[Runner] Nodes executed: ${successfullyExecuted.length} / ${allWorkflowNodeNames.length}`);
@@ -398,132 +603,473 @@ class WorkflowRunner {
   }
 
   /**
-   * Check if a node can be executed (all dependencies are met)
+   * Topological scheduler: run candidate nodes from a ready-queue as soon as
+   * every upstream node (main and ai_* connections) has completed.
+   * Cycles are only followed through SplitInBatches loops (see executeLoop);
+   * nodes stuck behind any other cycle simply never become ready.
+   * @param {Object} workflow - Pre-processed workflow
+   * @param {Array<Object>} candidates - Nodes that may run, in scheduling order
+   * @param {Set<string>} executedNodes - Names/ids of nodes that already ran (mutated)
    */
-  canExecuteNode(nodeName, workflow, executedNodes) {
-    const { connections } = workflow;
-    const node = workflow.nodes.find(n => n.name === nodeName || n.id === nodeName);
-
-    // Find all nodes that connect to this node (via main or special connections)
-    for (const [sourceNodeName, nodeConnections] of Object.entries(connections)) {
-      // Check main connections
-      if (nodeConnections.main) {
-        for (const outputArray of nodeConnections.main) {
-          for (const connection of outputArray) {
-            if (connection.node === nodeName ||
-              (node && (connection.node === node.id || connection.node === node.name))) {
-              // This node depends on sourceNodeName via main connection
-              if (!executedNodes.has(sourceNodeName)) {
-                return false;
-              }
-            }
-          }
+  async runReadyNodes(workflow, candidates, executedNodes) {
+    const graph = this.getGraph(workflow);
+    const isExecuted = (node) => executedNodes.has(node.name) || (!!node.id && executedNodes.has(node.id));
+
+    // Remaining upstream dependencies per candidate (loop-back edges never block)
+    const pending = new Map();
+    const readyQueue = [];
+
+    for (const node of candidates) {
+      const key = node.name || node.id;
+      if (pending.has(key) || isExecuted(node) || node.type === 'n8n-nodes-base.stickyNote') continue;
+
+      const waitingOn = graph.getIncoming(key)
+        .filter(edge => !graph.isLoopEdge(edge) && !executedNodes.has(edge.source))
+        .length;
+
+      pending.set(key, waitingOn);
+      if (waitingOn === 0) readyQueue.push(node);
+    }
+
+    const concurrency = this.getConcurrency(workflow);
+
+    while (readyQueue.length > 0) {
+      const wave = this.takeReadyWave(readyQueue, isExecuted, concurrency);
+
+      for (const node of wave) {
+        const nodeName = node.name || node.id;
+        executedNodes.add(nodeName);
+        if (node.id && nodeName !== node.id) {
+          executedNodes.add(node.id);
         }
       }
 
-      // Check special LangChain connection types
-      const specialConnectionTypes = [
-        'ai_textSplitter', 'ai_embedding', 'ai_vectorStore',
-        'ai_tool', 'ai_memory', 'ai_languageModel', 'ai_document'
-      ];
-
-      for (const connectionType of specialConnectionTypes) {
-        if (nodeConnections[connectionType]) {
-          for (const outputArray of nodeConnections[connectionType]) {
-            for (const connection of outputArray) {
-              if (connection.node === nodeName ||
-                (node && (connection.node === node.id || connection.node === node.name))) {
-                // This node depends on sourceNodeName via special connection
-                if (!executedNodes.has(sourceNodeName)) {
-                  return false;
-                }
-              }
-            }
+      // Nodes in a wave were all ready at once, so none depends on another
+      const results = await Promise.allSettled(
+        wave.map(node => this.runScheduledNode(node, workflow))
+      );
+
+      // Commit outputs in scheduling order so executionContext.nodes (and the
+      // order downstream nodes become ready) does not depend on which node finished first
+      const failed = results.find(result => result.status === 'rejected');
+      wave.forEach((node, index) => {
+        if (results[index].status === 'fulfilled') {
+          this.storeNodeOutput(node, results[index].value.ports);
+          if (!results[index].value.skipped) {
+            this.executionContext.lastNodeExecuted = node.name || node.id;
+          }
+        }
+      });
+      if (failed) throw failed.reason;
+
+      for (const [index, node] of wave.entries()) {
+        const nodeName = node.name || node.id;
+
+        if (node.type === 'n8n-nodes-base.splitInBatches' && !results[index].value.skipped) {
+          await this.executeLoop(node, workflow, executedNodes);
+        }
+
+        this.fillInputBuffers(nodeName);
+
+        // Release downstream nodes whose last dependency this was
+        for (const edge of graph.getOutgoing(nodeName)) {
+          if (graph.isLoopEdge(edge) || !pending.has(edge.target)) continue;
+
+          const remaining = pending.get(edge.target) - 1;
+          pending.set(edge.target, remaining);
+          if (remaining === 0) {
+            readyQueue.push(graph.getNode(edge.target));
           }
         }
       }
     }
+  }
+
+  /**
+   * Take the next batch of ready nodes to run side by side (at most `concurrency`).
+   * Nodes that touch execution-wide state always run in a wave of their own.
+   * @param {Array<Object>} readyQueue - Ready nodes in scheduling order (mutated)
+   * @param {function(Object): boolean} isExecuted - Whether a node already ran
+   * @param {number} concurrency - Max nodes per wave
+   * @returns {Array<Object>}
+   */
+  takeReadyWave(readyQueue, isExecuted, concurrency) {
+    const wave = [];
 
-    return true;
+    while (readyQueue.length > 0 && wave.length < concurrency) {
+      const node = readyQueue[0];
+
+      // A loop may have run this node already while it was waiting
+      if (isExecuted(node)) {
+        readyQueue.shift();
+        continue;
+      }
+
+      const exclusive = EXCLUSIVE_NODE_TYPES.has(node.type);
+      if (exclusive && wave.length > 0) break;
+
+      wave.push(readyQueue.shift());
+      if (exclusive) break;
+    }
+
+    return wave;
   }
 
   /**
-   * Get input data for a node from its connected nodes
+   * Run one scheduled node without storing its output (the scheduler commits
+   * outputs in order once the whole wave is done)
+   * @returns {Promise<{ports: Array<Array>, skipped: boolean}>}
    */
-  getInputData(nodeName, workflow) {
-    const { connections } = workflow;
+  async runScheduledNode(node, workflow) {
+    const nodeName = node.name || node.id;
+
+    // Get input data from connected nodes
+    const inputData = this.getInputData(nodeName, workflow);
+
+    // Skip execution if node has no input data (e.g., trigger returned empty)
+    // Exception: trigger nodes and webhook nodes can execute with empty input
+    const isTriggerOrWebhook = node.type && (
+      node.type.includes('Trigger') ||
+      node.type.includes('webhook') ||
+      node.type === 'n8n-nodes-base.manualTrigger'
+    );
+
+    if (!isTriggerOrWebhook && inputData.length === 0) {
+      console.log(`[Runner] Skipping node '${node.name}' - no input data from upstream nodes`);
+      // Store empty output to prevent downstream nodes from executing
+      return { ports: [[]], skipped: true };
+    }
+
+    this.executionContext.nodeInputs[nodeName] = this.getNodeInputs(nodeName);
+    this.executionContext.inputSources[nodeName] = this.getInputSources(nodeName, workflow);
+    const ports = await this.runNode(node, inputData, {
+      prevNode: this.getPrevNode(nodeName, workflow)
+    });
+    return { ports, skipped: false };
+  }
+
+  /**
+   * Drive a SplitInBatches loop: run the loop body for the current batch, feed
+   * the body's output back into the loop node, and repeat until the loop node
+   * stops emitting on its loop output (v3 then emits everything on "done").
+   * @param {Object} loopNode - SplitInBatches node that has just executed
+   * @param {Object} workflow - Pre-processed workflow
+   * @param {Set<string>} executedNodes - Names/ids of nodes that already ran (mutated)
+   */
+  async executeLoop(loopNode, workflow, executedNodes) {
+    const graph = this.getGraph(workflow);
+    const loopOutputIndex = splitInBatchesExecutor.getLoopOutputIndex(loopNode);
+    const body = graph.findLoopBody(loopNode);
+    const hasLoopEdges = graph.getIncoming(loopNode.name).some(edge => graph.isLoopEdge(edge));
+    const maxIterations = this.getMaxLoopIterations(workflow);
+    let iteration = 0;
+
+    while (this.getNodeOutput(loopNode.name, loopOutputIndex).length > 0) {
+      iteration += 1;
+
+      if (iteration > maxIterations) {
+        throw new Error(
+          `Loop '${loopNode.name}' exceeded maximum iterations (${maxIterations}). ` +
+          `Raise settings.maxLoopIterations if the workflow really needs more batches.`
+        );
+      }
+
+      // Forget the previous batch so every body node runs again
+      for (const node of body) {
+        executedNodes.delete(node.name);
+        if (node.id) executedNodes.delete(node.id);
+      }
+
+      // Hand the new batch to the body
+      this.fillInputBuffers(loopNode.name);
+      await this.runReadyNodes(workflow, body, executedNodes);
+
+      // Loop output wired to nodes that never come back - nothing to iterate
+      if (!hasLoopEdges) break;
+
+      const loopInput = this.getInputData(loopNode.name, workflow, { loopEdges: 'only' });
+
+      // Body dropped every item (e.g. an If routed them out of the loop) - stop like n8n does
+      if (loopInput.length === 0) {
+        console.log(`[Runner] Loop '${loopNode.name}' received no items back from its body - stopping`);
+        break;
+      }
+
+      this.executionContext.inputSources[loopNode.name] = this.getInputSources(loopNode.name, workflow, { loopEdges: 'only' });
+      await this.executeNode(loopNode, loopInput, {
+        prevNode: this.getPrevNode(loopNode.name, workflow, { loopEdges: 'only' })
+      });
+    }
+
+    console.log(`[Runner] 🔁 Loop '${loopNode.name}' completed after ${iteration} iteration(s)`);
+  }
+
+  /**
+   * Max nodes run side by side: workflow settings override the runner option
+   */
+  getConcurrency(workflow) {
+    const fromSettings = Number(workflow.settings?.concurrency);
+    if (Number.isInteger(fromSettings) && fromSettings > 0) {
+      return fromSettings;
+    }
+    return Math.max(1, Number(this.options.concurrency) || 1);
+  }
+
+  /**
+   * Per-loop iteration cap: workflow settings override the runner option
+   */
+  getMaxLoopIterations(workflow) {
+    const fromSettings = Number(workflow.settings?.maxLoopIterations);
+    if (Number.isInteger(fromSettings) && fromSettings > 0) {
+      return fromSettings;
+    }
+    return this.options.maxLoopIterations;
+  }
+
+  /**
+   * Copy a completed node's output into the input buffer of every outgoing edge.
+   * main edges carry the items of the port they hang off; ai_* edges carry the
+   * node's regular output, as sub-node connections always have.
+   * @param {string} nodeName - Completed node name or id
+   */
+  fillInputBuffers(nodeName) {
+    for (const edge of this.graph.getOutgoing(nodeName)) {
+      const items = edge.type === 'main'
+        ? this.getNodeOutput(edge.source, edge.sourceOutput)
+        : (this.executionContext.nodes[edge.source] || []);
+      this.inputBuffers.set(edge, items);
+    }
+  }
+
+  /**
+   * Get input data for a node from its per-edge input buffers
+   * @param {string} nodeName - Target node name or id
+   * @param {Object} workflow - Pre-processed workflow
+   * @param {Object} [options]
+   * @param {string} [options.loopEdges='exclude'] - 'exclude' ignores loop-back edges,
+   *        'only' collects just the items fed back by a loop body
+   * @returns {Array} Items from all incoming edges, in connection order
+   */
+  getInputData(nodeName, workflow, { loopEdges = 'exclude' } = {}) {
+    const graph = this.getGraph(workflow);
     const inputData = [];
-    const node = workflow.nodes.find(n => n.name === nodeName || n.id === nodeName);
-
-    // Find all nodes that connect to this node
-    for (const [sourceNodeName, nodeConnections] of Object.entries(connections)) {
-      // Check main connections
-      if (nodeConnections.main) {
-        // main is an array where each element represents an output branch
-        // For If nodes: [0] = true branch, [1] = false branch
-        for (let outputIndex = 0; outputIndex < nodeConnections.main.length; outputIndex++) {
-          const outputArray = nodeConnections.main[outputIndex];
-          for (const connection of outputArray) {
-            // Match by name or id
-            const matchesNode = connection.node === nodeName ||
-              (node && (connection.node === node.id || connection.node === node.name));
-
-            if (matchesNode) {
-              const sourceOutput = this.executionContext.nodes[sourceNodeName];
-              if (sourceOutput) {
-                // For nodes with multiple outputs (like If), check if this connection
-                // is for the specific output index
-                // If node: outputIndex 0 = true (has data), outputIndex 1 = false (empty)
-                // Only add data if the output has data (non-empty array)
-                if (sourceOutput.length > 0) {
-                  inputData.push(...sourceOutput);
-                }
-              }
-            }
-          }
-        }
+
+    for (const edge of graph.getIncoming(nodeName)) {
+      if (graph.isLoopEdge(edge) !== (loopEdges === 'only')) continue;
+
+      const items = this.inputBuffers.get(edge);
+      if (items && items.length > 0) {
+        inputData.push(...items);
       }
+    }
 
-      // Check special LangChain connection types
-      // These are used for passing data between LangChain nodes
-      const specialConnectionTypes = [
-        'ai_textSplitter', 'ai_embedding', 'ai_vectorStore',
-        'ai_tool', 'ai_memory', 'ai_languageModel', 'ai_document'
-      ];
-
-      for (const connectionType of specialConnectionTypes) {
-        if (nodeConnections[connectionType]) {
-          for (const outputArray of nodeConnections[connectionType]) {
-            for (const connection of outputArray) {
-              const matchesNode = connection.node === nodeName ||
-                (node && (connection.node === node.id || connection.node === node.name));
-
-              if (matchesNode) {
-                const sourceOutput = this.executionContext.nodes[sourceNodeName];
-                if (sourceOutput && sourceOutput.length > 0) {
-                  // For special connections, we still pass the data through
-                  // The executor will handle the connection type appropriately
-                  inputData.push(...sourceOutput);
-                }
-              }
-            }
-          }
+    return inputData;
+  }
+
+  /**
+   * Where each item returned by getInputData came from, for paired-item lineage
+   * @param {string} nodeName - Target node name or id
+   * @param {Object} workflow - Pre-processed workflow
+   * @param {Object} [options] - See getInputData
+   * @returns {Array<{node: string, output: number, item: number, input: number}>}
+   *          One entry per input item, in getInputData order
+   */
+  getInputSources(nodeName, workflow, { loopEdges = 'exclude' } = {}) {
+    const graph = this.getGraph(workflow);
+    const sources = [];
+
+    for (const edge of graph.getIncoming(nodeName)) {
+      if (graph.isLoopEdge(edge) !== (loopEdges === 'only')) continue;
+
+      const items = this.inputBuffers.get(edge) || [];
+      items.forEach((item, index) => {
+        sources.push({ node: edge.source, output: edge.sourceOutput, item: index, input: edge.targetInput });
+      });
+    }
+
+    return sources;
+  }
+
+  /**
+   * Get a node's main input items grouped by input index (connection.index),
+   * for nodes such as Merge that treat their inputs differently
+   * @param {string} nodeName - Target node name or id
+   * @returns {Array<Array>} One item array per input index
+   */
+  getNodeInputs(nodeName) {
+    const inputs = [];
+
+    for (const edge of this.graph.getIncoming(nodeName)) {
+      if (edge.type !== 'main' || this.graph.isLoopEdge(edge)) continue;
+
+      const items = this.inputBuffers.get(edge);
+      if (!items) continue;
+
+      inputs[edge.targetInput] = [...(inputs[edge.targetInput] || []), ...items];
+    }
+
+    return Array.from(inputs, items => items || []);
+  }
+
+  /**
+   * Get the items a node emitted on a given output port
+   * @param {string} nodeName - Source node name or id
+   * @param {number} outputIndex - Output port index (0 for single-output nodes)
+   * @returns {Array} Items on that port (empty if the node has not run or the port is unused)
+   */
+  getNodeOutput(nodeName, outputIndex = 0) {
+    const ports = this.executionContext.nodeOutputs[nodeName];
+    if (ports) {
+      return ports[outputIndex] || [];
+    }
+    // Outputs set from outside the runner (e.g. pre-seeded contexts) only carry port 0
+    return outputIndex === 0 ? (this.executionContext.nodes[nodeName] || []) : [];
+  }
+
+  /**
+   * Store a node's per-port output in the execution context (by both name and id).
+   * `nodes` keeps the output 0 items so expressions like $('Node') and
+   * executors reading executionContext.nodes keep working unchanged.
+   * @param {Object} node - Workflow node
+   * @param {Array<Array>} ports - Items per output port
+   */
+  storeNodeOutput(node, ports) {
+    const keys = [node.name || node.id];
+    if (node.name && node.id && node.name !== node.id) {
+      keys.push(node.id);
+    }
+
+    for (const key of keys) {
+      this.executionContext.nodeOutputs[key] = ports;
+      this.executionContext.nodes[key] = ports[0];
+    }
+  }
+
+  /**
+   * Call a node's executor, retrying per the node's retryOnFail/maxTries/waitBetweenTries.
+   * Every attempt of a retrying node is recorded in executionContext.attempts[nodeName].
+   * @returns {Promise<*>} Raw executor output of the first successful attempt
+   */
+  async executeWithRetry(node, executor, inputData, nodeContext = this.executionContext) {
+    const policy = getRetryPolicy(node, this.executionContext.workflow?.settings);
+
+    if (!policy.enabled) {
+      return executor.execute(node, inputData, nodeContext);
+    }
+
+    const nodeName = node.name || node.id;
+    const attempts = this.executionContext.attempts[nodeName] || [];
+    this.executionContext.attempts[nodeName] = attempts;
+
+    for (let attempt = 1; ; attempt++) {
+      const startedAt = Date.now();
+
+      try {
+        const output = await executor.execute(node, inputData, nodeContext);
+        attempts.push({ attempt, success: true, durationMs: Date.now() - startedAt });
+        return output;
+      } catch (error) {
+        attempts.push({ attempt, success: false, error: error.message, durationMs: Date.now() - startedAt });
+
+        if (attempt >= policy.maxTries) {
+          throw error;
         }
+
+        const delay = getRetryDelay(policy, attempt);
+        console.warn(`[Runner] 🔄 Node '${node.name}' failed (attempt ${attempt}/${policy.maxTries}): ${error.message} - retrying in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * A node's view of the execution context: reads and nested writes go to the
+   * shared context, while currentNode, runIndex and prevNode belong to this run
+   * of the node (so they stay correct when nodes run concurrently)
+   * @param {Object} node - Workflow node
+   * @param {Object} [runInfo] - See runNode
+   * @returns {Object}
+   */
+  createNodeContext(node, { prevNode = null } = {}) {
+    const nodeName = node.name || node.id;
+    const runIndex = this.executionContext.runCounts[nodeName] || 0;
+    this.executionContext.runCounts[nodeName] = runIndex + 1;
+
+    return Object.create(this.executionContext, {
+      currentNode: { value: node, enumerable: true },
+      runIndex: { value: runIndex, enumerable: true },
+      prevNode: { value: prevNode, enumerable: true }
+    });
+  }
+
+  /**
+   * The node whose output reached `nodeName` (first incoming main edge carrying items)
+   * @returns {{name: string, outputIndex: number, runIndex: number}|null}
+   */
+  getPrevNode(nodeName, workflow, { loopEdges = 'exclude' } = {}) {
+    const graph = this.getGraph(workflow);
+
+    for (const edge of graph.getIncoming(nodeName)) {
+      if (edge.type !== 'main' || graph.isLoopEdge(edge) !== (loopEdges === 'only')) continue;
+
+      const items = this.inputBuffers.get(edge);
+      if (items && items.length > 0) {
+        return {
+          name: edge.source,
+          outputIndex: edge.sourceOutput,
+          runIndex: Math.max((this.executionContext.runCounts[edge.source] || 1) - 1, 0)
+        };
       }
     }
 
-    return inputData.length > 0 ? inputData : [];
+    return null;
   }
 
   /**
-   * Execute a single node
+   * Execute a single node and store its output
    */
-  async executeNode(node, inputData = []) {
+  async executeNode(node, inputData = [], runInfo = {}) {
+    const ports = await this.runNode(node, inputData, runInfo);
+    this.storeNodeOutput(node, ports);
+    this.executionContext.lastNodeExecuted = node.name || node.id;
+    return ports;
+  }
+
+  /**
+   * Run a node's executor and normalize its output to ports, without storing it.
+   * When nodes run concurrently, executionContext.currentNode is the last one started
+   * (executors get their own view, see createNodeContext).
+   * @param {Object} node - Workflow node
+   * @param {Array} inputData - Input items
+   * @param {Object} [runInfo]
+   * @param {Object} [runInfo.prevNode] - { name, outputIndex, runIndex } of the feeding node
+   * @returns {Promise<Array<Array>>} Items per output port
+   */
+  async runNode(node, inputData = [], runInfo = {}) {
     this.executionContext.currentNode = node;
+    const nodeContext = this.createNodeContext(node, runInfo);
+    const startedAt = Date.now();
+    this.emitEvent('nodeStarted', {
+      node: node.name || node.id,
+      nodeType: node.type,
+      runIndex: nodeContext.runIndex,
+      inputItemCount: inputData.length,
+      startedAt: new Date(startedAt).toISOString()
+    });
     console.log(`\n[Runner] ▶️ Executing node: '${node.name}' (${node.type})`);
     console.log(`[Runner] Input data items: ${inputData.length}`);
 
     try {
+      // Pinned nodes are not executed: their pinned items are the output
+      const pinnedItems = this.pinData?.get(node.name || node.id);
+      if (pinnedItems) {
+        const ports = pairOutputItems([pinnedItems], inputData);
+        this.pinnedNodes.add(node.name || node.id);
+        console.log(`[Runner] 📌 Node '${node.name}' uses pinned data. Output items: ${pinnedItems.length}`);
+        this.recordNodeRun(node, inputData, startedAt, ports, { runIndex: nodeContext.runIndex, pinned: true });
+        return ports;
+      }
+
       // Get executor for this node type
       const executor = this.nodeExecutors[node.type];
 
@@ -531,53 +1077,210 @@ class WorkflowRunner {
         throw new Error(`No executor found for node type: ${node.type}`);
       }
 
-      // Execute the node
-      const output = await executor.execute(node, inputData, this.executionContext);
+      // Execute the node (retrying when the node has retryOnFail set)
+      const output = await this.executeWithRetry(node, executor, inputData, nodeContext);
 
-      // Store output in execution context (by both name and id for flexibility)
-      const nodeKey = node.name || node.id;
-      this.executionContext.nodes[nodeKey] = output || [];
-      if (node.name && node.id && node.name !== node.id) {
-        this.executionContext.nodes[node.id] = output || [];
-      }
+      // Executors return either a flat item array (output 0) or multiOutput(...) for several ports;
+      // items get a pairedItem pointing at their input item where the executor left it out
+      const ports = pairOutputItems(toOutputPorts(output), inputData);
+
+      const outputCount = countOutputItems(ports);
 
       // If this is a trigger node and it returned empty results, log it
-      if (node.type && node.type.includes('Trigger') && (!output || output.length === 0)) {
+      if (node.type && node.type.includes('Trigger') && outputCount === 0) {
         console.log(`[Runner] Trigger node '${node.name}' returned no results - workflow will stop here`);
+      } else if (ports.length > 1) {
+        console.log(`[Runner] ✅ Node '${node.name}' completed successfully. Output items per port: ${ports.map(p => p.length).join(' / ')}`);
       } else {
-        console.log(`[Runner] ✅ Node '${node.name}' completed successfully. Output items: ${output ? output.length : 0}`);
+        console.log(`[Runner] ✅ Node '${node.name}' completed successfully. Output items: ${outputCount}`);
       }
 
-      return output;
+      this.recordNodeRun(node, inputData, startedAt, ports, { runIndex: nodeContext.runIndex });
+      return ports;
     } catch (error) {
-      // Handle errors based on node's error handling settings
-      const onError = node.onError || 'stop';
-
-      // Check if this is an API key error - for structural testing, continue execution
-      const isApiKeyError = error.message.includes('API_KEY') ||
-        error.message.includes('API key') ||
-        error.message.includes('not provided') ||
-        error.message.includes('access token');
-
-      if (onError === 'continueErrorOutput' || isApiKeyError) {
-        // Continue execution but store error
-        console.error(`[Runner] ⚠️ Node '${node.name}' encountered error but is configured to continue: ${error.message}`);
-        this.executionContext.errors.push({
-          node: node.name,
-          error: error.message
-        });
-        this.executionContext.nodes[node.name] = [{
-          json: { error: error.message }
-        }];
-        return [{ json: { error: error.message } }];
-      } else {
-        // Stop execution
-        console.error(`[Runner] ❌ Node '${node.name}' failed with FATAL error: ${error.message}`);
-        throw error;
+      let ports = null;
+      try {
+        ports = pairOutputItems(this.handleNodeError(node, inputData, error), inputData);
+        return ports;
+      } finally {
+        this.recordNodeRun(node, inputData, startedAt, ports, { error, runIndex: nodeContext.runIndex });
+      }
+    }
+  }
+
+  /**
+   * Append a run to executionContext.runData[nodeName] and emit nodeFinished/nodeFailed
+   * @param {Object} node - Workflow node
+   * @param {Array} inputData - Items the node received
+   * @param {number} startedAt - Start timestamp (ms)
+   * @param {Array<Array>|null} ports - Items per output port (null when the run failed the execution)
+   * @param {Object} [details]
+   * @param {Error} [details.error] - Failure, including ones the node's onError setting continued past
+   * @param {number} [details.runIndex] - Run of the node this was
+   * @param {boolean} [details.pinned] - The output is the node's pinned data
+   */
+  recordNodeRun(node, inputData, startedAt, ports, { error, runIndex, pinned = false } = {}) {
+    const nodeName = node.name || node.id;
+    const runs = this.executionContext.runData[nodeName] || [];
+    this.executionContext.runData[nodeName] = runs;
+
+    const run = {
+      startedAt: new Date(startedAt).toISOString(),
+      executionTime: Date.now() - startedAt,
+      inputItemCount: inputData.length,
+      outputItemCounts: ports ? ports.map(items => items.length) : [],
+      status: error ? 'error' : 'success',
+      ...(error ? { error: error.message } : {}),
+      ...(pinned ? { pinned } : {})
+    };
+    runs.push(run);
+
+    const event = { node: nodeName, nodeType: node.type, runIndex, ...run };
+    if (error) {
+      this.emitEvent('nodeFailed', { ...event, continued: ports !== null });
+    } else {
+      this.emitEvent('nodeFinished', event);
+    }
+  }
+
+  /**
+   * Emit a progress event tagged with this execution's id. Listener failures
+   * are logged, never thrown into the run.
+   * @param {string} type - Event name (see the class description)
+   * @param {Object} data - Event payload
+   */
+  emitEvent(type, data) {
+    try {
+      this.emit(type, { executionId: this.executionId, ...data });
+    } catch (error) {
+      console.error(`[Runner] '${type}' listener failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply the node's onError setting to a failure (after any retries):
+   * - stop (default): fail the execution
+   * - continueRegularOutput: pass the input items through on output 0
+   * - continueErrorOutput: send the input items, tagged with the error, to the
+   *   error output (the port after the node's regular outputs)
+   * Structural test runs also continue past missing credentials so a workflow's
+   * wiring can be exercised without real API keys.
+   * @returns {Array<Array>} Ports to store for the node
+   */
+  handleNodeError(node, inputData, error) {
+    const onError = node.onError || (node.continueOnFail === true ? 'continueRegularOutput' : 'stop');
+    const failedItems = inputData.length > 0 ? inputData : [{ json: {} }];
+
+    if (onError === 'continueRegularOutput' || onError === 'continueErrorOutput') {
+      console.error(`[Runner] ⚠️ Node '${node.name}' encountered error but is configured to continue (${onError}): ${error.message}`);
+      this.executionContext.nodeErrors.push({
+        node: node.name,
+        error: error.message,
+        onError
+      });
+
+      if (onError === 'continueRegularOutput') {
+        return [inputData];
       }
+
+      const errorOutputIndex = this.getRegularOutputCount(node);
+      const ports = Array.from({ length: errorOutputIndex + 1 }, () => []);
+      ports[errorOutputIndex] = failedItems.map(item => ({
+        ...item,
+        json: { ...(item.json || {}), error: error.message }
+      }));
+      return ports;
+    }
+
+    if (this.options.structuralTest && isMissingCredentialError(error)) {
+      console.error(`[Runner] ⚠️ Node '${node.name}' is missing credentials - continuing (structural test): ${error.message}`);
+      this.executionContext.errors.push({
+        node: node.name,
+        error: error.message
+      });
+      return [[{ json: { error: error.message } }]];
     }
+
+    // Stop execution
+    console.error(`[Runner] ❌ Node '${node.name}' failed with FATAL error: ${error.message}`);
+    this.executionContext.failedNode = this.executionContext.failedNode || node;
+    throw error;
+  }
+
+  /**
+   * Number of regular (non-error) outputs a node has
+   */
+  getRegularOutputCount(node) {
+    const executor = this.nodeExecutors[node.type];
+    return executor?.getOutputCount ? executor.getOutputCount(node) : 1;
   }
 }
 
+/**
+ * Errors thrown by executors when an API key / token was not supplied
+ */
+function isMissingCredentialError(error) {
+  const message = error?.message || '';
+  return message.includes('API_KEY') ||
+    message.includes('API key') ||
+    message.includes('not provided') ||
+    message.includes('access token');
+}
+
+/**
+ * Pinned data / previous outputs as items: entries without a json key
+ * (plain objects, as older n8n pinData has them) become { json: entry }
+ */
+function toItems(value) {
+  const entries = Array.isArray(value) ? value : [value];
+  return entries.map(entry => (entry && typeof entry === 'object' && entry.json ? entry : { json: entry }));
+}
+
+/**
+ * One-line description of why an execution failed
+ */
+function getFailureMessage(result) {
+  return result.error || result.errors
+    .map(error => (typeof error === 'string' ? error : error.error))
+    .join(', ');
+}
+
+/**
+ * Keep a binary data scope alive until a detached sub-workflow run settles
+ * @private
+ */
+function trackDetachedRun(scope, run) {
+  if (!detachedRuns.has(scope)) {
+    detachedRuns.set(scope, new Set());
+  }
+  const runs = detachedRuns.get(scope);
+  runs.add(run);
+
+  const untrack = () => {
+    runs.delete(run);
+  };
+  run.then(untrack, untrack);
+}
+
+/**
+ * Delete a scope's binary data once its detached runs - including any they start
+ * in turn - have settled
+ * @private
+ */
+async function deleteBinaryDataWhenDetachedRunsFinish(scope) {
+  let runs;
+  while ((runs = detachedRuns.get(scope)) && runs.size > 0) {
+    await Promise.allSettled([...runs]);
+  }
+  detachedRuns.delete(scope);
+  await deleteBinaryData(scope);
+}
+
+// Process-wide workflow loader, see WorkflowRunner.setWorkflowLoader
+WorkflowRunner.workflowLoader = null;
+
+// Process-wide execution history, see WorkflowRunner.setExecutionStore
+WorkflowRunner.executionStore = null;
+
 module.exports = WorkflowRunner;
 
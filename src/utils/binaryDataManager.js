@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Binary data manager
+ * File contents live in a storage backend (local disk by default) and items only
+ * carry a reference, so large downloads never travel through node outputs,
+ * queue payloads or API responses as base64 strings or Buffers:
+ *
+ *   item.binary.data = { id: 'filesystem:<scope>/<fileId>', mimeType, fileName, fileExtension, fileSize }
+ *
+ * Files are grouped by scope (the execution id; sub-workflows share their parent's)
+ * and the runner deletes a scope when its execution finishes.
+ * Legacy inline entries ({ data: base64 }) are still readable everywhere.
+ *
+ * Configuration: BINARY_DATA_PATH - directory for the filesystem backend
+ * (default: <os tmpdir>/automation-runner-binary)
+ */
+
+const DEFAULT_SCOPE = 'unscoped';
+const SAFE_SEGMENT = /^[\w-]{1,128}$/;
+
+/**
+ * Default backend: one directory per scope, one file per binary entry
+ */
+class FilesystemBinaryStore {
+  /**
+   * @param {string} [basePath] - Storage directory
+   */
+  constructor(basePath = process.env.BINARY_DATA_PATH || path.join(os.tmpdir(), 'automation-runner-binary')) {
+    this.name = 'filesystem';
+    this.basePath = basePath;
+  }
+
+  /**
+   * @param {string} scope
+   * @param {string} fileId
+   * @param {Readable} stream - File contents
+   * @returns {Promise<number>} Bytes written
+   */
+  async write(scope, fileId, stream) {
+    const filePath = this.getPath(scope, fileId);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(stream, fs.createWriteStream(filePath));
+    const stats = await fs.promises.stat(filePath);
+    return stats.size;
+  }
+
+  /**
+   * @returns {Readable}
+   */
+  createReadStream(scope, fileId) {
+    return fs.createReadStream(this.getPath(scope, fileId));
+  }
+
+  async deleteScope(scope) {
+    await fs.promises.rm(path.join(this.basePath, scope), { recursive: true, force: true });
+  }
+
+  /**
+   * Remove scopes not modified for maxAgeMs (left behind by crashed executions)
+   * @returns {Promise<number>} Scopes removed
+   */
+  async prune(maxAgeMs) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.basePath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const scopePath = path.join(this.basePath, entry.name);
+      const stats = await fs.promises.stat(scopePath);
+      if (Date.now() - stats.mtimeMs > maxAgeMs) {
+        await fs.promises.rm(scopePath, { recursive: true, force: true });
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @private
+   */
+  getPath(scope, fileId) {
+    return path.join(this.basePath, scope, fileId);
+  }
+}
+
+let backend = new FilesystemBinaryStore();
+
+/**
+ * Replace the storage backend (e.g. an object store). A backend implements
+ * name, write(scope, fileId, stream), createReadStream(scope, fileId),
+ * deleteScope(scope) and prune(maxAgeMs), like FilesystemBinaryStore.
+ * @param {Object} store
+ */
+function setBinaryDataBackend(store) {
+  backend = store;
+}
+
+/**
+ * Store file contents and return the reference to put in item.binary
+ * @param {string} scope - Execution scope (executionContext.binaryDataScope)
+ * @param {Buffer|Uint8Array|ArrayBuffer|string|Readable} source - Contents (strings are base64)
+ * @param {Object} [metadata]
+ * @param {string} [metadata.mimeType]
+ * @param {string} [metadata.fileName]
+ * @returns {Promise<Object>} { id, mimeType, fileName, fileExtension, fileSize }
+ */
+async function storeBinaryData(scope, source, { mimeType, fileName } = {}) {
+  const safeScope = toSafeSegment(scope || DEFAULT_SCOPE);
+  const fileId = crypto.randomUUID();
+  const fileSize = await backend.write(safeScope, fileId, toStream(source));
+
+  return {
+    id: `${backend.name}:${safeScope}/${fileId}`,
+    mimeType: mimeType || 'application/octet-stream',
+    fileName,
+    fileExtension: getFileExtension(fileName),
+    fileSize
+  };
+}
+
+/**
+ * @param {*} entry - An item.binary entry
+ * @returns {boolean} Whether the entry points at stored data (rather than inline data)
+ */
+function isBinaryReference(entry) {
+  return !!entry && typeof entry === 'object' && typeof entry.id === 'string' && entry.data === undefined;
+}
+
+/**
+ * Stream an item.binary entry's contents
+ * @param {Object|Buffer|string} entry - Reference, inline { data: base64 } entry, Buffer or base64 string
+ * @returns {Readable}
+ */
+function getBinaryStream(entry) {
+  if (isBinaryReference(entry)) {
+    const { scope, fileId } = parseId(entry.id);
+    return backend.createReadStream(scope, fileId);
+  }
+  return Readable.from([toBuffer(entry)]);
+}
+
+/**
+ * Read an item.binary entry's contents into memory
+ * @param {Object|Buffer|string} entry - See getBinaryStream
+ * @returns {Promise<Buffer>}
+ */
+async function getBinaryBuffer(entry) {
+  if (!isBinaryReference(entry)) {
+    return toBuffer(entry);
+  }
+
+  const chunks = [];
+  for await (const chunk of getBinaryStream(entry)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Delete everything stored for an execution
+ * @param {string} scope
+ */
+async function deleteBinaryData(scope) {
+  if (!scope) return;
+  try {
+    await backend.deleteScope(toSafeSegment(scope));
+  } catch (error) {
+    console.error(`[BinaryData] Failed to delete binary data for ${scope}: ${error.message}`);
+  }
+}
+
+/**
+ * Delete scopes older than maxAgeMs, e.g. on startup after a crash
+ * @param {number} [maxAgeMs=86400000]
+ * @returns {Promise<number>} Scopes removed
+ */
+async function pruneBinaryData(maxAgeMs = 24 * 60 * 60 * 1000) {
+  try {
+    return await backend.prune(maxAgeMs);
+  } catch (error) {
+    console.error(`[BinaryData] Failed to prune stale binary data: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * @private
+ */
+function parseId(id) {
+  const match = /^([\w-]+):([\w-]+)\/([\w-]+)$/.exec(id);
+  if (!match || match[1] !== backend.name) {
+    throw new Error(`Unknown binary data reference '${id}'`);
+  }
+  return { scope: match[2], fileId: match[3] };
+}
+
+/**
+ * @private
+ */
+function toSafeSegment(value) {
+  const segment = String(value);
+  return SAFE_SEGMENT.test(segment) ? segment : crypto.createHash('sha256').update(segment).digest('hex').slice(0, 32);
+}
+
+/**
+ * @private
+ */
+function toStream(source) {
+  if (source && typeof source.pipe === 'function') return source;
+  return Readable.from([toBuffer(source)]);
+}
+
+/**
+ * @private
+ */
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof Uint8Array || value instanceof ArrayBuffer) return Buffer.from(value);
+  if (typeof value === 'string') return Buffer.from(value, 'base64');
+  if (value && typeof value === 'object' && value.data !== undefined) return toBuffer(value.data);
+  throw new Error('Binary data must be a Buffer, a base64 string or a stored reference');
+}
+
+/**
+ * @private
+ */
+function getFileExtension(fileName) {
+  return fileName && fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : undefined;
+}
+
+module.exports = {
+  storeBinaryData,
+  getBinaryStream,
+  getBinaryBuffer,
+  isBinaryReference,
+  deleteBinaryData,
+  pruneBinaryData,
+  setBinaryDataBackend,
+  FilesystemBinaryStore
+};
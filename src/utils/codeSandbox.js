@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const v8 = require('v8');
+const { fork } = require('child_process');
+const { getBinaryBuffer } = require('./binaryDataManager');
+
+/**
+ * Code node sandbox
+ * Runs user JavaScript in a child process of its own. The vm context inside it
+ * is not a security boundary (code can always reach the child's `process`), so
+ * the child process itself is what's locked down:
+ * - env: it starts with only the allow-listed environment variables, never the server's secrets
+ * - privileges: it runs under Node's permission model (Node.js 20+) - it can read the server's
+ *   source and node_modules (to load the worker and allow-listed modules) and
+ *   nothing else: no other files (.env, /proc/self/environ), no file writes,
+ *   no child processes, no worker threads, no native addons
+ * - user: with CODE_NODE_UID / CODE_NODE_GID it also drops to an unprivileged user
+ * - memory: the child's heap is capped; exceeding it kills only the child
+ * - CPU: the child is killed once the time limit passes, even in a busy loop
+ * - data crosses the boundary as serialized plain data, in both directions;
+ *   no host function or object is reachable from the child
+ * - HTTP: with options.requestHttp (dry runs), require('axios') in the child
+ *   returns a stand-in that asks the host to make the request instead; with
+ *   options.blockNetwork every other way out (sockets, DNS, fetch) throws
+ *
+ * Per-deployment configuration (environment variables):
+ * - CODE_NODE_TIMEOUT_MS       - wall-clock limit per run (default 10000)
+ * - CODE_NODE_MEMORY_MB        - heap limit per run (default 128)
+ * - CODE_NODE_ALLOWED_MODULES  - comma-separated require() allow-list (default "axios")
+ * - CODE_NODE_ALLOWED_ENV      - comma-separated env vars exposed as $env (default none)
+ * - CODE_NODE_UID, CODE_NODE_GID - user/group the child runs as (default: the server's);
+ *   it must be able to read the server's src and node_modules directories
+ */
+
+const WORKER_PATH = path.join(__dirname, 'codeSandboxWorker.js');
+
+// What the child may read: this source tree and the node_modules directories
+// require() resolves from - never the project root, which holds .env
+const READABLE_PATHS = [
+  path.resolve(__dirname, '..'),
+  ...module.paths.filter(directory => fs.existsSync(directory))
+];
+
+// Node 20 only knows the permission model by its experimental flag, older
+// versions don't have it at all (undefined)
+const PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MEMORY_MB = 128;
+const DEFAULT_ALLOWED_MODULES = ['axios'];
+
+/**
+ * Sandbox limits: explicit options override the deployment's environment
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.memoryMb]
+ * @param {Array<string>} [options.allowedModules]
+ * @param {Array<string>} [options.allowedEnv]
+ * @param {number} [options.uid]
+ * @param {number} [options.gid]
+ * @returns {{timeoutMs: number, memoryMb: number, allowedModules: Array<string>, allowedEnv: Array<string>, uid?: number, gid?: number}}
+ */
+function getSandboxConfig(options = {}) {
+  return {
+    timeoutMs: toPositiveNumber(options.timeoutMs ?? process.env.CODE_NODE_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    memoryMb: toPositiveNumber(options.memoryMb ?? process.env.CODE_NODE_MEMORY_MB, DEFAULT_MEMORY_MB),
+    allowedModules: options.allowedModules ?? parseList(process.env.CODE_NODE_ALLOWED_MODULES, DEFAULT_ALLOWED_MODULES),
+    allowedEnv: options.allowedEnv ?? parseList(process.env.CODE_NODE_ALLOWED_ENV, []),
+    uid: toId(options.uid ?? process.env.CODE_NODE_UID),
+    gid: toId(options.gid ?? process.env.CODE_NODE_GID)
+  };
+}
+
+/**
+ * Run code in a fresh sandbox process
+ * @param {string} code - Script whose completion value is the result (may be a Promise)
+ * @param {Object} payload - Plain data the child builds the Code node globals from
+ * @param {Object} [options] - See getSandboxConfig
+ * @param {function(Object): Promise<Object>} [options.requestHttp] - Answers the code's axios
+ *        requests (axios config -> { status, statusText, headers, data }) in place of axios
+ * @param {boolean} [options.blockNetwork=false] - Make the child's own network access fail
+ * @returns {Promise<{result: *, staticData: Object, customData: Object}>}
+ */
+function runInSandbox(code, payload, options = {}) {
+  const config = getSandboxConfig(options);
+
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = startChild(config);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      callback(value);
+    };
+
+    const timer = setTimeout(() => {
+      settle(reject, new Error(`Code execution timed out after ${config.timeoutMs}ms`));
+    }, config.timeoutMs);
+
+    const reply = (message) => {
+      if (!settled && child.connected) child.send(message);
+    };
+
+    child.on('message', (message) => {
+      if (message?.type === 'log') {
+        (message.level === 'error' ? console.error : console.log)('[Code Node]', String(message.text));
+      } else if (message?.type === 'readBinary') {
+        // this.helpers.getBinaryDataBuffer() - read through this process's binary data
+        // backend, and only the input items' own entries: the child names an item, not a file
+        const entry = payload.inputData?.[message.itemIndex]?.binary?.[message.propertyName];
+        const read = entry
+          ? getBinaryBuffer(entry)
+          : Promise.reject(new Error(`Item ${message.itemIndex} has no binary property '${message.propertyName}'`));
+        read.then(
+          data => reply({ type: 'binary', requestId: message.requestId, data }),
+          error => reply({ type: 'binary', requestId: message.requestId, error: error.message })
+        );
+      } else if (message?.type === 'http' && options.requestHttp) {
+        Promise.resolve()
+          .then(() => options.requestHttp(message.config))
+          .then(
+            ({ status, statusText, headers, data }) => reply(toCloneable({
+              type: 'httpResponse', requestId: message.requestId, response: { status, statusText, headers, data }
+            })),
+            error => reply({ type: 'httpResponse', requestId: message.requestId, error: error.message })
+          );
+      } else if (message?.type === 'result') {
+        settle(resolve, message);
+      } else if (message?.type === 'error') {
+        const error = new Error(message.message);
+        if (message.stack) error.stack = message.stack;
+        settle(reject, error);
+      }
+    });
+
+    child.on('error', (error) => settle(reject, error));
+
+    child.on('exit', (exitCode, signal) => {
+      // V8 aborts the process when the heap limit is reached
+      settle(reject, signal === 'SIGABRT' || exitCode === 134
+        ? new Error(`Code exceeded the sandbox memory limit (${config.memoryMb} MB)`)
+        : new Error(`Code sandbox exited before returning a result (${signal ? `signal ${signal}` : `exit code ${exitCode}`})`));
+    });
+
+    child.send(toCloneable({
+      type: 'run',
+      code,
+      payload,
+      allowedModules: config.allowedModules,
+      timeoutMs: config.timeoutMs,
+      routeHttp: typeof options.requestHttp === 'function',
+      blockNetwork: Boolean(options.blockNetwork)
+    }));
+  });
+}
+
+/**
+ * Fork the sandbox process: allow-listed env only, permission model on, heap capped
+ * @private
+ */
+function startChild(config) {
+  if (!PERMISSION_FLAG) {
+    throw new Error(
+      `The Code node sandbox needs Node.js 20 or later for its permission model (this is Node.js ${process.versions.node})`
+    );
+  }
+
+  const execArgv = [
+    PERMISSION_FLAG,
+    ...READABLE_PATHS.map(directory => `--allow-fs-read=${directory}`),
+    `--max-old-space-size=${config.memoryMb}`,
+    '--no-warnings'
+  ];
+
+  return fork(WORKER_PATH, [], {
+    env: pickEnv(config.allowedEnv),
+    execArgv,
+    serialization: 'advanced',
+    stdio: ['ignore', 'ignore', 'ignore', 'ipc'],
+    ...(config.uid !== undefined && { uid: config.uid }),
+    ...(config.gid !== undefined && { gid: config.gid })
+  });
+}
+
+/**
+ * Data the IPC channel can't serialize (functions, class instances holding
+ * sockets...) is sent as its JSON form
+ * @private
+ */
+function toCloneable(message) {
+  try {
+    v8.serialize(message);
+    return message;
+  } catch (error) {
+    return JSON.parse(JSON.stringify(message));
+  }
+}
+
+/**
+ * @private
+ */
+function pickEnv(names) {
+  const env = {};
+  for (const name of names) {
+    if (process.env[name] !== undefined) {
+      env[name] = process.env[name];
+    }
+  }
+  return env;
+}
+
+/**
+ * @private
+ */
+function parseList(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function toPositiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * @private
+ */
+function toId(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : undefined;
+}
+
+module.exports = {
+  runInSandbox,
+  getSandboxConfig
+};
@@ -0,0 +1,279 @@
+const util = require('util');
+const vm = require('vm');
+const { createMetadataGlobals } = require('./workflowMetadata');
+const { extend } = require('./extensions');
+const { getPairedItem } = require('./pairedItems');
+
+/**
+ * Code node sandbox process (forked by codeSandbox.js)
+ * Waits for one 'run' message, rebuilds the Code node globals from its plain
+ * data, runs the code in a vm context and sends back the result plus any
+ * $getWorkflowStaticData and $execution.customData changes. The process is
+ * started without privileges (see codeSandbox.js): its env only holds the
+ * allow-listed variables and it can't read other files, write, or spawn.
+ *
+ * In runOnceForEachItem mode the script runs once per input item with $json,
+ * $binary, $input.item, $itemIndex and $('Node').item set for that item, and
+ * the result is the array of per-item return values.
+ *
+ * require('axios') returns a stand-in that has the host make the request when
+ * the host asks for it (routeHttp - dry runs, where the request is recorded
+ * and answered with a fixture). With blockNetwork (dry runs too) nothing else
+ * in the process can reach the network: sockets, DNS and fetch throw, also for
+ * code that gets past the vm context to this process's modules.
+ *
+ * run message: { type: 'run', code, payload, allowedModules, timeoutMs, routeHttp, blockNetwork }
+ * payload: { inputData, mode, context } where context carries the parts of the
+ * execution context the globals read (nodes, nodeOutputs, inputSources,
+ * currentNode, prevNode, runIndex, executionId, executionMode, workflow,
+ * variables, customData, staticData)
+ */
+
+// Binary contents are read by the host, which owns the binary data backend, and
+// in dry runs it answers the code's HTTP requests too
+const pendingRequests = new Map();
+let nextRequest = 0;
+
+process.on('message', (message) => {
+  if (message?.type === 'run') {
+    run(message);
+    return;
+  }
+  if (message?.type !== 'binary' && message?.type !== 'httpResponse') return;
+  const pending = pendingRequests.get(message.requestId);
+  if (!pending) return;
+  pendingRequests.delete(message.requestId);
+  if (message.error) {
+    pending.reject(new Error(message.error));
+  } else {
+    pending.resolve(message.type === 'binary' ? Buffer.from(message.data) : message.response);
+  }
+});
+
+const requestHost = (message) => new Promise((resolve, reject) => {
+  const requestId = nextRequest++;
+  pendingRequests.set(requestId, { resolve, reject });
+  try {
+    process.send({ ...message, requestId });
+  } catch (error) {
+    // Functions in an axios config (transformRequest...) can't be sent
+    process.send(JSON.parse(JSON.stringify({ ...message, requestId })));
+  }
+});
+
+const readBinary = (itemIndex, propertyName) => requestHost({ type: 'readBinary', itemIndex, propertyName });
+
+const log = (level) => (...args) => {
+  process.send({ type: 'log', level, text: util.format(...args) });
+};
+
+/**
+ * Code node globals for one run
+ * @private
+ */
+function createSandbox({ payload, allowedModules, routeHttp }) {
+  const context = payload.context || {};
+
+  // Input items point at their own position, so items the script passes through
+  // or copies ({ ...item, json }) keep the right lineage
+  const inputData = (payload.inputData || []).map((item, index) => (
+    item && typeof item === 'object' ? { ...item, pairedItem: { item: index } } : item
+  ));
+  context.staticData = context.staticData || {};
+  context.customData = context.customData || {};
+
+  const sandbox = {
+    // $() - function to get previous node output by name
+    $: (nodeName) => {
+      const nodeOutput = context.nodes?.[nodeName];
+      if (nodeOutput && nodeOutput.length > 0) {
+        return {
+          // Ancestor of the current item (the first one in runOnceForAllItems mode)
+          get item() {
+            return getPairedItem(context, nodeName, sandbox.$itemIndex);
+          },
+          itemMatching: (index) => getPairedItem(context, nodeName, index),
+          first: () => nodeOutput[0],
+          last: () => nodeOutput[nodeOutput.length - 1],
+          all: () => nodeOutput
+        };
+      }
+      return null;
+    },
+    // $getWorkflowStaticData - mimic n8n state persistence helper
+    $getWorkflowStaticData: () => context.staticData,
+    // $now, $today, $execution, $workflow, $prevNode, $runIndex, $itemIndex, $vars, DateTime
+    ...createMetadataGlobals(context),
+    // Target of rewritten extension calls, e.g. 'a@b.com'.extractDomain()
+    __extend: extend,
+    // this.helpers - binary data helpers, as in n8n
+    helpers: {
+      prepareBinaryData,
+      getBinaryDataBuffer: async (itemIndex, propertyName = 'data') => {
+        const binary = inputData[itemIndex]?.binary?.[propertyName];
+        if (!binary) {
+          throw new Error(`Item ${itemIndex} has no binary property '${propertyName}'`);
+        }
+        return readBinary(itemIndex, propertyName);
+      }
+    },
+    Buffer,
+    console: {
+      log: log('log'),
+      info: log('log'),
+      warn: log('error'),
+      error: log('error')
+    },
+    require: (mod) => {
+      if (!allowedModules.includes(mod)) {
+        throw new Error(`Module '${mod}' is not available in code nodes`);
+      }
+      return mod === 'axios' && routeHttp ? createHostAxios() : require(mod);
+    },
+    $env: { ...process.env },
+    setTimeout,
+    clearTimeout
+  };
+
+  // Point the item globals at one input item
+  const setCurrentItem = (itemIndex) => {
+    const item = inputData[itemIndex];
+    sandbox.$input = {
+      first: () => inputData.length > 0 ? inputData[0] : null,
+      last: () => inputData.length > 0 ? inputData[inputData.length - 1] : null,
+      all: () => inputData,
+      item: item || null
+    };
+    sandbox.$json = item ? (item.json || item) : {};
+    sandbox.$binary = item?.binary || {};
+    sandbox.$itemIndex = itemIndex;
+  };
+
+  return { sandbox, context, inputData, setCurrentItem };
+}
+
+/**
+ * axios stand-in whose requests the host makes (or records): same call shapes,
+ * resolves to { status, statusText, headers, data, config }
+ * @private
+ */
+function createHostAxios(defaults = {}) {
+  const request = (config) => {
+    const merged = { ...defaults, ...config, headers: { ...defaults.headers, ...config.headers } };
+    if (merged.baseURL && !/^[a-z][a-z\d+.-]*:\/\//i.test(merged.url || '')) {
+      merged.url = `${merged.baseURL.replace(/\/+$/, '')}/${(merged.url || '').replace(/^\/+/, '')}`;
+    }
+    delete merged.baseURL;
+    return requestHost({ type: 'http', config: merged }).then(response => ({ ...response, config: merged }));
+  };
+
+  const axios = (urlOrConfig, config = {}) => request(
+    typeof urlOrConfig === 'string' ? { ...config, url: urlOrConfig } : urlOrConfig
+  );
+  axios.request = (config) => request(config);
+  for (const method of ['get', 'delete', 'head', 'options']) {
+    axios[method] = (url, config = {}) => request({ ...config, method, url });
+  }
+  for (const method of ['post', 'put', 'patch']) {
+    axios[method] = (url, data, config = {}) => request({ ...config, method, url, data });
+  }
+  axios.create = (instanceDefaults = {}) => createHostAxios({ ...defaults, ...instanceDefaults });
+  return axios;
+}
+
+/**
+ * Make every outgoing connection of this process fail: TCP/TLS sockets (which
+ * http, https, http2 and undici use), UDP, DNS and the fetch-style globals
+ * @private
+ */
+function disableNetwork() {
+  const blocked = () => {
+    throw new Error('Network access is disabled in dry runs; requests made with require(\'axios\') are recorded instead');
+  };
+  const block = (target, name) => {
+    Object.defineProperty(target, name, { value: blocked, writable: false, configurable: false });
+  };
+
+  block(require('net').Socket.prototype, 'connect');
+  for (const name of ['bind', 'connect', 'send']) {
+    block(require('dgram').Socket.prototype, name);
+  }
+
+  const dns = require('dns');
+  for (const target of [dns, dns.promises, dns.Resolver.prototype, dns.promises.Resolver.prototype]) {
+    for (const name of Object.getOwnPropertyNames(target)) {
+      const descriptor = Object.getOwnPropertyDescriptor(target, name);
+      if (name !== 'constructor' && typeof descriptor.value === 'function' && !/^[A-Z]/.test(name)) {
+        block(target, name);
+      }
+    }
+  }
+
+  for (const name of ['fetch', 'WebSocket', 'EventSource']) {
+    if (name in globalThis) block(globalThis, name);
+  }
+}
+
+/**
+ * n8n's helpers.prepareBinaryData: wrap a Buffer/string as an item's binary entry
+ * @private
+ */
+async function prepareBinaryData(data, fileName, mimeType) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  const fileExtension = fileName && fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : undefined;
+
+  return {
+    data: buffer.toString('base64'),
+    mimeType: mimeType || 'application/octet-stream',
+    fileName,
+    fileExtension,
+    fileSize: buffer.length
+  };
+}
+
+/**
+ * @private
+ */
+async function run({ code, payload, allowedModules, timeoutMs, routeHttp, blockNetwork }) {
+  try {
+    if (blockNetwork) disableNetwork();
+    const { sandbox, context, inputData, setCurrentItem } = createSandbox({ payload, allowedModules, routeHttp });
+    const perItem = payload.mode === 'runOnceForEachItem';
+    const script = new vm.Script(code, { filename: 'code-node.js' });
+    const vmContext = vm.createContext(sandbox);
+    // The sync part is bounded here; the host kills the process for async overruns
+    const runScript = () => script.runInContext(vmContext, { timeout: timeoutMs });
+
+    let result;
+    if (perItem) {
+      result = [];
+      for (let itemIndex = 0; itemIndex < inputData.length; itemIndex++) {
+        setCurrentItem(itemIndex);
+        result.push(await runScript());
+      }
+    } else {
+      setCurrentItem(0);
+      result = await runScript();
+    }
+
+    send({ type: 'result', result, staticData: context.staticData, customData: context.customData });
+  } catch (error) {
+    send({ type: 'error', message: error?.message || String(error), stack: error?.stack });
+  }
+}
+
+/**
+ * @private
+ */
+function send(message) {
+  try {
+    process.send(message);
+  } catch (error) {
+    // Serialization errors are thrown synchronously
+    process.send({
+      type: 'error',
+      message: `Code node returned data that can't leave the sandbox (${error.message}). Return plain objects, arrays, strings, numbers and booleans.`
+    });
+  }
+}
+
@@ -27,13 +27,10 @@ function resolveCredentials(workflow, developerKeys = {}) {
     
     // Process each credential type (e.g., openRouterApi, googleOAuth, etc.)
     for (const [credType, credConfig] of Object.entries(node.credentials)) {
-      const credId = credConfig.id;
-      
       // Check if it's a placeholder pattern: {{PLACEHOLDER_NAME}}
-      const placeholderMatch = credId?.match(/^\{\{([A-Z_0-9]+)\}\}$/);
+      const placeholderName = getCredentialPlaceholder(credConfig);
       
-      if (placeholderMatch) {
-        const placeholderName = placeholderMatch[1];
+      if (placeholderName) {
         const apiKey = developerKeys[placeholderName];
         
         if (apiKey) {
@@ -77,6 +74,16 @@ function resolveCredentials(workflow, developerKeys = {}) {
   };
 }
 
+/**
+ * Placeholder name of a node credential whose id is {{PLACEHOLDER_NAME}}
+ * @param {Object} credConfig - e.g. node.credentials.openRouterApi
+ * @returns {string|null} PLACEHOLDER_NAME, or null when the id is not a placeholder
+ */
+function getCredentialPlaceholder(credConfig) {
+  const match = credConfig?.id?.match?.(/^\{\{([A-Z_0-9]+)\}\}$/);
+  return match ? match[1] : null;
+}
+
 /**
  * Maps credential types to token names used by executors
  */
@@ -109,5 +116,6 @@ function getTokenNameForCredentialType(credType, placeholderName) {
 }
 
 module.exports = {
-  resolveCredentials
+  resolveCredentials,
+  getCredentialPlaceholder
 };
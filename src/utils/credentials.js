@@ -0,0 +1,135 @@
+/**
+ * Credentials executors use
+ * Executors name the credential they need (see the node registry's declarations)
+ * and read it with getCredential, which looks in the same places every executor
+ * used to check by hand, first match wins:
+ * - the execution's tokens (tokens sent with the run, mapped by TokenInjector)
+ * - the token injector
+ * - the process environment
+ */
+
+const CREDENTIALS = {
+  googleAccessToken: {
+    displayName: 'Google OAuth access token',
+    env: ['GOOGLE_ACCESS_TOKEN']
+  },
+  linkedInAccessToken: {
+    displayName: 'LinkedIn access token',
+    aliases: ['linkedinAccessToken'],
+    env: ['LINKEDIN_ACCESS_TOKEN']
+  },
+  linkedInPersonId: {
+    displayName: 'LinkedIn person id',
+    env: []
+  },
+  slackAccessToken: {
+    displayName: 'Slack access token',
+    env: ['SLACK_ACCESS_TOKEN', 'SLACK_BOT_TOKEN']
+  },
+  openAiApiKey: {
+    displayName: 'OpenAI API key',
+    env: ['OPENAI_API_KEY']
+  },
+  openRouterApiKey: {
+    displayName: 'OpenRouter API key',
+    env: ['OPENROUTER_API_KEY']
+  },
+  anthropicApiKey: {
+    displayName: 'Anthropic API key',
+    env: ['ANTHROPIC_API_KEY']
+  },
+  groqApiKey: {
+    displayName: 'Groq API key',
+    env: ['GROQ_API_KEY']
+  },
+  googlePalmApiKey: {
+    displayName: 'Google Gemini (PaLM) API key',
+    env: ['GOOGLE_PALM_API_KEY']
+  },
+  huggingFaceApiKey: {
+    displayName: 'Hugging Face API key',
+    env: ['HUGGINGFACE_API_KEY']
+  },
+  cohereApiKey: {
+    displayName: 'Cohere API key',
+    env: ['COHERE_API_KEY']
+  },
+  pineconeApiKey: {
+    displayName: 'Pinecone API key',
+    env: ['PINECONE_API_KEY']
+  },
+  pineconeEnvironment: {
+    displayName: 'Pinecone environment',
+    env: ['PINECONE_ENVIRONMENT']
+  },
+  weaviateUrl: {
+    displayName: 'Weaviate URL',
+    env: ['WEAVIATE_URL']
+  },
+  weaviateApiKey: {
+    displayName: 'Weaviate API key',
+    env: ['WEAVIATE_API_KEY']
+  },
+  redisHost: {
+    displayName: 'Redis host',
+    env: ['REDIS_HOST']
+  },
+  redisPort: {
+    displayName: 'Redis port',
+    env: ['REDIS_PORT']
+  },
+  redisPassword: {
+    displayName: 'Redis password',
+    env: ['REDIS_PASSWORD']
+  },
+  supabaseUrl: {
+    displayName: 'Supabase URL',
+    env: ['SUPABASE_URL']
+  },
+  supabaseKey: {
+    displayName: 'Supabase key',
+    env: ['SUPABASE_KEY', 'SUPABASE_SERVICE_ROLE_KEY']
+  }
+};
+
+/**
+ * Value of a credential for a node's execution
+ * @param {Object} executionContext - The node's execution context ({ tokens, tokenInjector })
+ * @param {string} name - Credential name, e.g. 'googleAccessToken'
+ * @returns {string|null} null when it isn't set anywhere
+ */
+function getCredential(executionContext, name) {
+  const keys = [name, ...(CREDENTIALS[name]?.aliases || [])];
+
+  for (const key of keys) {
+    const value = executionContext?.tokens?.[key] || executionContext?.tokenInjector?.getToken(key);
+    if (value) return value;
+  }
+
+  for (const variable of CREDENTIALS[name]?.env || []) {
+    if (process.env[variable]) return process.env[variable];
+  }
+
+  return null;
+}
+
+/**
+ * Catalog entry of a credential, for listings
+ * @param {string} name
+ * @returns {{name: string, displayName: string, aliases: Array<string>, env: Array<string>}}
+ */
+function describeCredential(name) {
+  const credential = CREDENTIALS[name] || {};
+  return {
+    name,
+    displayName: credential.displayName || name,
+    aliases: credential.aliases || [],
+    env: credential.env || []
+  };
+}
+
+module.exports = {
+  CREDENTIALS,
+  getCredential,
+  describeCredential
+};
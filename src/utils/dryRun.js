@@ -0,0 +1,177 @@
+const axios = require('axios');
+
+/**
+ * Dry-run mode for integrations
+ * Every executor that talks to an outside service (Gmail, LinkedIn, Sheets,
+ * Slack, HTTP, AI providers, vector stores...) makes its calls through
+ * callIntegration / requestHttp. In a normal run those just perform the call.
+ * In a dry run (WorkflowRunner option dryRun) nothing leaves the process:
+ * the call is recorded with the request it would have made and a fixture
+ * is returned in place of the service's response.
+ *
+ * Fixtures are looked up in this order, first match wins:
+ * - '<node name>:<operation>', e.g. 'Post to LinkedIn:ugcPosts.create'
+ * - '<node name>'
+ * - '<service>.<operation>', e.g. 'gmail.users.messages.send'
+ * - '<service>', e.g. 'linkedin'
+ * - the call site's default response (a minimal successful one)
+ * A fixture is the response body (axios' response.data, googleapis' data, the
+ * SDK's return value) or a function (request, call) returning it; a function
+ * that throws makes the call fail, for testing error handling.
+ *
+ * Recorded calls keep credentials out: auth headers and key-like query
+ * parameters are redacted, Buffers become a size note.
+ */
+
+const REDACTED = '[redacted]';
+const SECRET_HEADERS = new Set([
+  'authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'api-key', 'apikey', 'xi-api-key'
+]);
+const SECRET_QUERY_PARAMS = new Set(['key', 'api_key', 'apikey', 'access_token', 'token']);
+
+/**
+ * Dry-run state of an execution, from the runner's dryRun option
+ * @param {boolean|Object} option - true, { fixtures }, or the state of a parent execution
+ *        (sub-workflows and error workflows record into their parent's call list)
+ * @returns {{fixtures: Object, calls: Array<Object>}|null} null when not a dry run
+ */
+function createDryRun(option) {
+  if (!option) return null;
+  if (Array.isArray(option.calls)) return option;
+  return {
+    fixtures: (typeof option === 'object' && option.fixtures) || {},
+    calls: []
+  };
+}
+
+/**
+ * Make a call to an outside service, or record it and return its fixture in a dry run
+ * @param {Object} executionContext - The node's execution context
+ * @param {Object} call
+ * @param {Object} call.node - Node making the call
+ * @param {string} call.service - e.g. 'gmail', 'linkedin', 'http'
+ * @param {string} call.operation - e.g. 'users.messages.send'
+ * @param {*} call.request - What would be sent (URL, headers, body / API parameters)
+ * @param {*} [call.mockResponse] - Response body used when no fixture matches
+ * @param {function(*): *} [call.respond] - Wraps the fixture the way the real call returns it
+ * @param {function(): Promise<*>} perform - Makes the real call
+ * @returns {Promise<*>}
+ */
+async function callIntegration(executionContext, call, perform) {
+  const dryRun = executionContext?.dryRun;
+  if (!dryRun) return perform();
+
+  const { node, service, operation, request } = call;
+  const record = {
+    executionId: executionContext.executionId,
+    node: node?.name || node?.id,
+    nodeType: node?.type,
+    service,
+    operation,
+    request: toRecordable(request),
+    timestamp: new Date().toISOString()
+  };
+  dryRun.calls.push(record);
+
+  console.log(`[DryRun] ${record.node}: ${service}.${operation} (not sent)`);
+
+  try {
+    let body = findFixture(dryRun.fixtures, record.node, service, operation, call.mockResponse);
+    if (typeof body === 'function') {
+      body = await body(request, { node: record.node, service, operation });
+    }
+    record.response = toRecordable(body);
+    return call.respond ? call.respond(body) : body;
+  } catch (error) {
+    record.error = error.message;
+    throw error;
+  }
+}
+
+/**
+ * axios(config) through callIntegration; a dry run resolves to an axios-like
+ * 200 response around the fixture
+ * @param {Object} executionContext
+ * @param {Object} call - { node, service, operation, mockResponse }
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} axios response
+ */
+function requestHttp(executionContext, call, config) {
+  return callIntegration(executionContext, {
+    ...call,
+    request: {
+      method: (config.method || 'get').toUpperCase(),
+      url: config.url,
+      params: config.params,
+      headers: config.headers,
+      data: config.data
+    },
+    respond: data => {
+      // Streamed uploads are never read
+      if (config.data && typeof config.data.destroy === 'function') config.data.destroy();
+      return { status: 200, statusText: 'OK', headers: {}, config, data };
+    }
+  }, () => axios(config));
+}
+
+/**
+ * @private
+ */
+function findFixture(fixtures, nodeName, service, operation, fallback) {
+  const keys = [`${nodeName}:${operation}`, nodeName, `${service}.${operation}`, service];
+  for (const key of keys) {
+    if (Object.prototype.hasOwnProperty.call(fixtures, key)) return fixtures[key];
+  }
+  return fallback;
+}
+
+/**
+ * JSON-safe copy of a request/response with secrets redacted
+ * @private
+ */
+function toRecordable(value, key) {
+  if (value === undefined || value === null) return value;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return `[Binary data: ${value.length} bytes]`;
+  }
+  if (typeof value.pipe === 'function') return '[Stream]';
+  if (value instanceof URLSearchParams) return value.toString();
+  if (typeof value === 'string') {
+    return key === 'url' ? redactUrl(value) : value;
+  }
+  if (typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+  if (Array.isArray(value)) return value.map(entry => toRecordable(entry));
+
+  const copy = {};
+  for (const [entryKey, entry] of Object.entries(value)) {
+    if (key === 'headers' && SECRET_HEADERS.has(entryKey.toLowerCase())) {
+      copy[entryKey] = REDACTED;
+    } else if (key === 'params' && SECRET_QUERY_PARAMS.has(entryKey.toLowerCase())) {
+      copy[entryKey] = REDACTED;
+    } else {
+      copy[entryKey] = toRecordable(entry, entryKey);
+    }
+  }
+  return copy;
+}
+
+/**
+ * @private
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const secrets = [...parsed.searchParams.keys()].filter(name => SECRET_QUERY_PARAMS.has(name.toLowerCase()));
+    if (secrets.length === 0) return url;
+    for (const name of secrets) parsed.searchParams.set(name, REDACTED);
+    return parsed.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+module.exports = {
+  createDryRun,
+  callIntegration,
+  requestHttp
+};
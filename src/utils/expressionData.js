@@ -0,0 +1,119 @@
+const { createMetadataGlobals } = require('./workflowMetadata');
+const { getPairedItem } = require('./pairedItems');
+
+/**
+ * Expression data proxy
+ * Builds the variables visible inside {{ }} expressions for one item:
+ * - $json / $binary - the current item
+ * - $input - .item, .first(), .last(), .all()
+ * - $('Node') - .item (the current item's ancestor, via pairedItem lineage),
+ *   .itemMatching(i), .first(), .last(), .all(), .isExecuted
+ * - $node['Node'].json, $items('Node') - legacy node access
+ * - $tokens - injected tokens
+ * - $now, $today, $execution, $workflow, $prevNode, $runIndex, $itemIndex, $vars,
+ *   DateTime - execution metadata (see workflowMetadata.js)
+ * Bare identifiers that are not JS globals (legacy {{billing_email}} placeholders)
+ * resolve from the trigger body, then from the current item's json.
+ */
+
+/**
+ * @param {Object} context - Expression context
+ * @param {Array} [context.currentInput] - Items the node is evaluating (the first is the current item)
+ * @param {Object} [context.executionContext] - Runner execution context
+ * @param {number} [context.itemIndex] - Index of the current item in the node's input
+ * @returns {Object} Variables for the expression scope
+ */
+function createExpressionData(context = {}) {
+  const executionContext = context.executionContext || {};
+  const currentInput = context.currentInput || context.inputData || [];
+  const item = currentInput[0];
+  const itemIndex = context.itemIndex ?? 0;
+  const json = item ? (item.json || item) : {};
+
+  const getNodeItems = (nodeName) => {
+    const output = executionContext.nodes?.[nodeName];
+    if (!output) {
+      throw new Error(`Referenced node '${nodeName}' has not been executed`);
+    }
+    return output;
+  };
+
+  const $input = {
+    item,
+    first: () => currentInput[0],
+    last: () => currentInput[currentInput.length - 1],
+    all: () => currentInput
+  };
+
+  const $ = (nodeName) => {
+    const isExecuted = !!executionContext.nodes?.[nodeName];
+    return {
+      isExecuted,
+      get item() {
+        getNodeItems(nodeName);
+        return getPairedItem(executionContext, nodeName, itemIndex);
+      },
+      // Ancestor of the current node's input item at `index` (e.g. from a Code node loop)
+      itemMatching: (index) => {
+        getNodeItems(nodeName);
+        return getPairedItem(executionContext, nodeName, Number(index));
+      },
+      first: () => getNodeItems(nodeName)[0],
+      last: () => {
+        const items = getNodeItems(nodeName);
+        return items[items.length - 1];
+      },
+      all: () => getNodeItems(nodeName)
+    };
+  };
+
+  // $node['Name'].json - the pre-$() way of reading another node's first item
+  const $node = new Proxy({}, {
+    get(target, nodeName) {
+      if (typeof nodeName !== 'string') return undefined;
+      const first = executionContext.nodes?.[nodeName]?.[0];
+      return first ? { json: first.json || first, binary: first.binary } : undefined;
+    }
+  });
+
+  const data = {
+    $json: json,
+    $binary: item?.binary || {},
+    $input,
+    $,
+    $node,
+    $items: (nodeName) => getNodeItems(nodeName),
+    $tokens: executionContext.tokens || {}
+  };
+
+  // Copy descriptors so $now/$today stay lazy getters
+  const metadata = createMetadataGlobals(executionContext, { itemIndex });
+  return Object.defineProperties(data, Object.getOwnPropertyDescriptors(metadata));
+}
+
+/**
+ * Look up a legacy bare placeholder ({{billing_email}}) in the trigger body,
+ * then in the current item's json
+ * @returns {{found: boolean, value: *}}
+ */
+function resolvePlaceholder(name, context = {}) {
+  const currentInput = context.currentInput || context.inputData || [];
+  const bodyData = context.executionContext?.initialData?.body ||
+    currentInput[0]?.json?.body;
+
+  if (bodyData && typeof bodyData === 'object' && name in bodyData) {
+    return { found: true, value: bodyData[name] };
+  }
+
+  const json = currentInput[0]?.json;
+  if (json && typeof json === 'object' && name in json) {
+    return { found: true, value: json[name] };
+  }
+
+  return { found: false, value: undefined };
+}
+
+module.exports = {
+  createExpressionData,
+  resolvePlaceholder
+};
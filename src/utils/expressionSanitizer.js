@@ -0,0 +1,143 @@
+const acorn = require('acorn');
+
+/**
+ * Expression sanitizer
+ * Expressions run in a vm context, and vm is not a security boundary: every
+ * host object an expression can reach ($json, $input.first, DateTime...) leads
+ * back to the host's Function constructor through `.constructor`, and from
+ * there to `process`. So before an expression is compiled its AST is checked:
+ * - property names that reach prototypes, constructors or property descriptors
+ *   (BLOCKED_PROPERTIES) are rejected when written literally (a.constructor,
+ *   { constructor } = a) and checked at run time when computed
+ *   (a[key] becomes a[__key(key)], __key being defined in the sandbox)
+ * - `this`, `super`, `with`, import() and identifiers starting with `__`
+ *   (the evaluator's own internals) are rejected
+ * Anything that doesn't parse is rejected too, so only checked code ever runs.
+ */
+
+const BLOCKED_PROPERTIES = [
+  'constructor',
+  'prototype',
+  '__proto__',
+  '__defineGetter__',
+  '__defineSetter__',
+  '__lookupGetter__',
+  '__lookupSetter__',
+  'getPrototypeOf',
+  'setPrototypeOf',
+  'getOwnPropertyDescriptor',
+  'getOwnPropertyDescriptors',
+  'defineProperty',
+  'defineProperties',
+  'caller',
+  'callee'
+];
+
+const BLOCKED_PROPERTY_SET = new Set(BLOCKED_PROPERTIES);
+
+/**
+ * Check an expression and guard its computed property accesses
+ * @param {string} source - Expression source
+ * @returns {string} Source with computed keys wrapped in __key()
+ * @throws {SyntaxError|Error} If the expression doesn't parse or uses something blocked
+ */
+function sanitizeExpression(source) {
+  const ast = acorn.parse(source, { ecmaVersion: 'latest' });
+  const insertions = [];
+  visit(ast, null, insertions);
+
+  // Closing parentheses first where an insertion point is shared
+  insertions.sort((a, b) => a.position - b.position || (a.text === ')' ? -1 : 1));
+
+  let output = '';
+  let cursor = 0;
+  for (const { position, text } of insertions) {
+    output += source.slice(cursor, position) + text;
+    cursor = position;
+  }
+  return output + source.slice(cursor);
+}
+
+/**
+ * @private
+ */
+function visit(node, parent, insertions) {
+  if (!node || typeof node.type !== 'string') return;
+
+  switch (node.type) {
+    case 'ThisExpression':
+    case 'Super':
+    case 'WithStatement':
+    case 'ImportExpression':
+      throw new Error(`'${describe(node)}' is not allowed in expressions`);
+    case 'Identifier':
+      if (node.name.startsWith('__') && isReference(node, parent)) {
+        throw new Error(`'${node.name}' is not allowed in expressions`);
+      }
+      break;
+    case 'MemberExpression':
+      guardKey(node.property, node.computed, insertions);
+      break;
+    case 'Property':
+    case 'PropertyDefinition':
+    case 'MethodDefinition':
+      guardKey(node.key, node.computed, insertions);
+      break;
+    default:
+      break;
+  }
+
+  for (const key of Object.keys(node)) {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(entry => visit(entry, node, insertions));
+    } else if (child && typeof child.type === 'string') {
+      visit(child, node, insertions);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function guardKey(key, computed, insertions) {
+  if (computed) {
+    insertions.push({ position: key.start, text: '__key(' }, { position: key.end, text: ')' });
+    return;
+  }
+
+  const name = key.type === 'Identifier' ? key.name : key.value;
+  if (BLOCKED_PROPERTY_SET.has(String(name))) {
+    throw new Error(`Property '${name}' is not accessible in expressions`);
+  }
+}
+
+/**
+ * Identifiers that name a variable, as opposed to property names (a.b, { b: 1 })
+ * @private
+ */
+function isReference(node, parent) {
+  if (!parent) return true;
+  if (parent.type === 'MemberExpression') return parent.object === node || parent.computed;
+  if (parent.type === 'Property' || parent.type === 'PropertyDefinition' || parent.type === 'MethodDefinition') {
+    return parent.value === node || parent.computed || parent.shorthand;
+  }
+  return true;
+}
+
+/**
+ * @private
+ */
+function describe(node) {
+  switch (node.type) {
+    case 'ThisExpression': return 'this';
+    case 'Super': return 'super';
+    case 'WithStatement': return 'with';
+    default: return 'import()';
+  }
+}
+
+module.exports = {
+  sanitizeExpression,
+  BLOCKED_PROPERTIES
+};
@@ -1,20 +1,45 @@
 /**
  * Expression evaluator for dynamic values
- * Supports:
- * - {{ $json.field }} - current node's output
- * - {{ $('NodeName').item.json.field }} - reference previous node
- * - {{ $input.first().json.field }} - access input data
+ * Evaluates n8n-style expressions: any JavaScript inside {{ }}, e.g.
+ * - {{ $json.field }} / {{ $json["field name"] }} - current item
+ * - {{ $('NodeName').item.json.field }} - another node's output
+ * - {{ $input.first().json.field }} - input items
+ * - {{ $json.tags.map(t => t.toUpperCase()).join(', ') }}
+ * - {{ $json.total > 100 ? `big ${$json.total}` : 'small' }}
+ * - {{ $json.email.extractDomain() }} / {{ $json.prices.sum() }} - extension functions (see extensions/)
+ *
+ * Expressions are split out of the template with a brace-aware tokenizer,
+ * checked by expressionSanitizer.js, compiled once into a vm.Script (cached by
+ * source) and run in a separate V8 context with a time limit, against the data
+ * proxy from expressionData.js. The context's builtins are frozen and it can't
+ * compile code from strings (eval, Function), so one expression can neither
+ * change what the next one sees nor run code that skipped the sanitizer.
+ * A template that is a single expression returns the raw value (object, number...);
+ * anything else is string interpolation.
  */
 
+const vm = require('vm');
+const { createExpressionData, resolvePlaceholder } = require('./expressionData');
+const { extend, transformSource } = require('./extensions');
+const { sanitizeExpression, BLOCKED_PROPERTIES } = require('./expressionSanitizer');
+
+const EXPRESSION_TIMEOUT_MS = 1000;
+const COMPILE_CACHE_SIZE = 1000;
+
+const sandbox = createSandbox();
+const SANDBOX_GLOBALS = new Set(vm.runInContext('Object.getOwnPropertyNames(globalThis)', sandbox));
+
+const compileCache = new Map();
+
 function evaluateExpression(expression, context) {
   if (typeof expression !== 'string') {
     return expression;
   }
 
   // Check if it's an expression (starts with = or contains {{ }})
-  const isExpression = expression.trim().startsWith('=') || 
+  const isExpression = expression.trim().startsWith('=') ||
                        (expression.includes('{{') && expression.includes('}}'));
-  
+
   if (!isExpression) {
     return expression;
   }
@@ -25,167 +50,262 @@ function evaluateExpression(expression, context) {
     processedExpression = processedExpression.substring(1).trim();
   }
 
-  // Extract all expressions
-  const regex = /\{\{([^}]+)\}\}/g;
-  const matches = [];
-  let match;
-  
-  // Collect all matches first (need to reset regex)
-  const regex2 = /\{\{([^}]+)\}\}/g;
-  while ((match = regex2.exec(processedExpression)) !== null) {
-    matches.push(match);
-  }
-  
-  // If there's only one expression and it's the entire string, return the value directly
+  const segments = tokenizeTemplate(processedExpression);
+
+  // A template that is exactly one expression returns the value itself
   // This handles cases like ={{$json.snippet}} where we want the object, not a string
-  if (matches.length === 1) {
-    const singleMatch = matches[0];
-    const expr = singleMatch[1].trim();
-    const value = evaluateExpressionValue(expr, context);
-    
-    // If the entire expression is just this one expression (no other text), return the value directly
-    // Check if processedExpression (after trimming) equals the match (the {{...}} part)
-    const processedTrimmed = processedExpression.trim();
-    const matchTrimmed = singleMatch[0].trim();
-    const expressionOnly = processedTrimmed === matchTrimmed;
-    
-    // Return the value directly if it's an object/array and this is a pure expression
-    if (expressionOnly) {
-      if ((typeof value === 'object' && value !== null) || Array.isArray(value)) {
-        return value;
-      }
-      // For primitives, also return directly (no string interpolation needed)
-      return value;
-    }
-  }
-  
-  // Otherwise, do string interpolation
-  let result = processedExpression;
-  for (const match of matches) {
-    const expr = match[1].trim();
-    const value = evaluateExpressionValue(expr, context);
-    result = result.replace(match[0], value !== undefined ? String(value) : '');
+  if (segments.length === 1 && segments[0].type === 'expression') {
+    return evaluateExpressionValue(segments[0].value, context);
   }
 
-  return result;
+  // Otherwise, do string interpolation
+  return segments.map(segment => {
+    if (segment.type === 'text') return segment.value;
+    return stringifyValue(evaluateExpressionValue(segment.value, context));
+  }).join('');
 }
 
+/**
+ * Evaluate the JavaScript inside one {{ }} for the context's current item
+ * @param {string} expression - Expression source (without the braces)
+ * @param {Object} context - { currentInput, executionContext, itemIndex }
+ * @returns {*} The value, or undefined if evaluation failed
+ */
 function evaluateExpressionValue(expression, context) {
-  const expr = expression.trim();
+  const source = expression.trim();
+  if (!source) return undefined;
 
-  // $tokens.tokenName - access injected tokens
-  if (expr.startsWith('$tokens')) {
-    const tokenPath = expr.replace(/^\$tokens\.?/, '');
-    const tokens = context.executionContext?.tokens || {};
-    return getJsonValue('$json.' + tokenPath, { json: tokens });
+  try {
+    const script = compileExpression(source);
+    sandbox.__data = createScope(createExpressionData(context), context);
+    return script.runInContext(sandbox, { timeout: EXPRESSION_TIMEOUT_MS });
+  } catch (error) {
+    console.error(`[Expression] Error evaluating {{ ${source} }}: ${error.message}`);
+    return undefined;
+  } finally {
+    sandbox.__data = undefined;
   }
+}
 
-  // $json.field - current node's output
-  if (expr.startsWith('$json')) {
-    // currentInput is an array, get the first item
-    const inputItem = context.currentInput && context.currentInput.length > 0 
-      ? context.currentInput[0] 
-      : null;
-    return getJsonValue(expr, inputItem);
-  }
+/**
+ * One context for all expressions: only the JS builtins, the extension
+ * dispatcher and the computed-key guard, no require/process/console.
+ * Builtins are frozen and can't be reassigned, and assignments to unknown
+ * variables land in the per-evaluation scope (see createScope), so nothing an
+ * expression does outlives it; promise callbacks run within the time limit.
+ * @private
+ */
+function createSandbox() {
+  const context = vm.createContext({}, {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+
+  vm.runInContext(`(() => {
+    'use strict';
+    const blocked = new Set(${JSON.stringify(BLOCKED_PROPERTIES)});
+    const guard = function (key) {
+      const name = typeof key === 'symbol' ? key : String(key);
+      if (blocked.has(name)) throw new Error("Property '" + name + "' is not accessible in expressions");
+      return name;
+    };
+    Object.defineProperty(globalThis, '__key', { value: guard });
+
+    delete globalThis.Reflect;
+    delete globalThis.WebAssembly;
 
-  // $('NodeName').item.json.field - reference previous node by name
-  const nodeRefMatch = expr.match(/\$\(['"]([^'"]+)['"]\)/);
-  if (nodeRefMatch) {
-    const nodeName = nodeRefMatch[1];
-    const nodeOutput = context.executionContext?.nodes[nodeName];
-    if (nodeOutput && nodeOutput.length > 0) {
-      const restOfExpr = expr.substring(nodeRefMatch[0].length);
-      if (restOfExpr.startsWith('.item.json')) {
-        const fieldPath = restOfExpr.replace('.item.json', '').replace(/^\./, '');
-        return getJsonValue('$json.' + fieldPath, nodeOutput[0]);
+    for (const name of Object.getOwnPropertyNames(globalThis)) {
+      const value = globalThis[name];
+      if (value && value !== globalThis && (typeof value === 'object' || typeof value === 'function')) {
+        Object.freeze(value);
+        if (value.prototype) Object.freeze(value.prototype);
       }
-      return nodeOutput[0];
+      Object.defineProperty(globalThis, name, { value, writable: false, configurable: false });
     }
-    return undefined;
+    for (const intrinsic of [
+      Object.getPrototypeOf(function* () {}),
+      Object.getPrototypeOf(async function () {}),
+      Object.getPrototypeOf(async function* () {}),
+      Object.getPrototypeOf([][Symbol.iterator]()),
+      Object.getPrototypeOf(Object.getPrototypeOf([][Symbol.iterator]())),
+      Object.getPrototypeOf(Int8Array)
+    ]) {
+      Object.freeze(intrinsic);
+      if (intrinsic.prototype) Object.freeze(intrinsic.prototype);
+    }
+  })()`, context);
+
+  // Host values, set after the freeze (they belong to the host realm); the
+  // sanitizer keeps expressions from naming them
+  context.__extend = extend;
+  context.__data = undefined;
+  return context;
+}
+
+/**
+ * Compile an expression once; later items (and later runs) reuse the script
+ * @private
+ */
+function compileExpression(source) {
+  let script = compileCache.get(source);
+  if (script) return script;
+
+  // `with` puts the data proxy's variables in scope; the newline keeps a
+  // trailing // comment from swallowing the closing parenthesis.
+  // Extension calls like $json.email.extractDomain() go through __extend
+  script = new vm.Script(`with (__data) { ${transformSource(sanitizeExpression(`(${source}\n)`))} }`, {
+    filename: 'expression.js'
+  });
+
+  if (compileCache.size >= COMPILE_CACHE_SIZE) {
+    compileCache.delete(compileCache.keys().next().value);
   }
+  compileCache.set(source, script);
+  return script;
+}
 
-  // $input.first().json.field - access first input item
-  if (expr.startsWith('$input.first()')) {
-    const restOfExpr = expr.replace('$input.first()', '');
-    if (context.currentInput && context.currentInput.length > 0) {
-      return getJsonValue('$json' + restOfExpr, context.currentInput[0]);
+/**
+ * Wrap the expression variables so the sandbox's JS globals stay visible and
+ * every other identifier - legacy bare placeholders, which resolve from data,
+ * or anything an expression assigns - stays in this evaluation's scope
+ * @private
+ */
+function createScope(data, context) {
+  return new Proxy(data, {
+    has(target, key) {
+      if (key in target) return true;
+      return typeof key === 'string' && !SANDBOX_GLOBALS.has(key);
+    },
+    get(target, key) {
+      if (key in target) return target[key];
+      if (key === Symbol.unscopables) return undefined;
+      return resolvePlaceholder(key, context).value;
+    }
+  });
+}
+
+/**
+ * Split a template into text and expression segments.
+ * Brace-aware: object literals, nested blocks, strings and template literals
+ * inside {{ }} do not end the expression early.
+ * @param {string} template
+ * @returns {Array<{type: 'text'|'expression', value: string}>}
+ */
+function tokenizeTemplate(template) {
+  const segments = [];
+  let textStart = 0;
+  let index = 0;
+
+  while (index < template.length) {
+    if (template.startsWith('{{', index)) {
+      const end = findExpressionEnd(template, index + 2);
+      if (end === -1) break; // Unterminated {{ - keep the rest as text
+
+      if (index > textStart) {
+        segments.push({ type: 'text', value: template.slice(textStart, index) });
+      }
+      segments.push({ type: 'expression', value: template.slice(index + 2, end) });
+      index = end + 2;
+      textStart = index;
+    } else {
+      index++;
     }
-    return undefined;
   }
 
-  // $input.all() - get all input items (used in code nodes)
-  if (expr === '$input.all()') {
-    return context.currentInput || [];
+  if (textStart < template.length) {
+    segments.push({ type: 'text', value: template.slice(textStart) });
   }
 
-  // Simple placeholder without $ prefix - look in body first, then currentInput
-  // This handles {{billing_email}}, {{folder_id}}, etc.
-  if (!expr.startsWith('$')) {
-    // Try to find in body (from webhook/trigger initial data)
-    const bodyData = context.executionContext?.initialData?.body || 
-                     context.currentInput?.[0]?.json?.body;
-    if (bodyData && expr in bodyData) {
-      return bodyData[expr];
+  return segments;
+}
+
+/**
+ * Index of the `}}` closing an expression that starts at `start`, or -1
+ * @private
+ */
+function findExpressionEnd(source, start) {
+  let depth = 0;
+
+  for (let index = start; index < source.length; index++) {
+    const char = source[index];
+
+    if (char === '"' || char === "'") {
+      index = skipString(source, index, char);
+    } else if (char === '`') {
+      index = skipTemplateLiteral(source, index);
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      if (depth === 0 && source[index + 1] === '}') return index;
+      depth = Math.max(depth - 1, 0);
     }
-    
-    // Try to find in current input json
-    const inputItem = context.currentInput && context.currentInput.length > 0 
-      ? context.currentInput[0] 
-      : null;
-    if (inputItem?.json && expr in inputItem.json) {
-      return inputItem.json[expr];
+  }
+
+  return -1;
+}
+
+/**
+ * @private
+ * @returns {number} Index of the closing quote (or the end of the source)
+ */
+function skipString(source, start, quote) {
+  for (let index = start + 1; index < source.length; index++) {
+    if (source[index] === '\\') {
+      index++;
+    } else if (source[index] === quote) {
+      return index;
     }
   }
+  return source.length;
+}
 
-  // Handle JavaScript function calls wrapping expressions
-  // e.g., JSON.stringify($json.linkedinText), encodeURIComponent($json.url)
-  const jsFuncMatch = expr.match(/^(JSON\.stringify|JSON\.parse|encodeURIComponent|encodeURI|decodeURIComponent|decodeURI|String|Number|parseInt|parseFloat)\s*\((.+)\)$/);
-  if (jsFuncMatch) {
-    const funcName = jsFuncMatch[1];
-    const innerExpr = jsFuncMatch[2].trim();
-    const innerValue = evaluateExpressionValue(innerExpr, context);
-    try {
-      switch (funcName) {
-        case 'JSON.stringify': return JSON.stringify(innerValue);
-        case 'JSON.parse': return JSON.parse(innerValue);
-        case 'encodeURIComponent': return encodeURIComponent(innerValue);
-        case 'encodeURI': return encodeURI(innerValue);
-        case 'decodeURIComponent': return decodeURIComponent(innerValue);
-        case 'decodeURI': return decodeURI(innerValue);
-        case 'String': return String(innerValue);
-        case 'Number': return Number(innerValue);
-        case 'parseInt': return parseInt(innerValue);
-        case 'parseFloat': return parseFloat(innerValue);
-        default: return innerValue;
+/**
+ * @private
+ * @returns {number} Index of the closing backtick (or the end of the source)
+ */
+function skipTemplateLiteral(source, start) {
+  for (let index = start + 1; index < source.length; index++) {
+    const char = source[index];
+
+    if (char === '\\') {
+      index++;
+    } else if (char === '`') {
+      return index;
+    } else if (char === '$' && source[index + 1] === '{') {
+      // ${ ... } may itself contain braces, strings and template literals
+      let depth = 0;
+      for (index += 2; index < source.length; index++) {
+        const inner = source[index];
+        if (inner === '"' || inner === "'") {
+          index = skipString(source, index, inner);
+        } else if (inner === '`') {
+          index = skipTemplateLiteral(source, index);
+        } else if (inner === '{') {
+          depth++;
+        } else if (inner === '}') {
+          if (depth === 0) break;
+          depth--;
+        }
       }
-    } catch (e) {
-      console.error(`[Expression] Error evaluating ${funcName}(${innerExpr}):`, e.message);
-      return undefined;
     }
   }
+  return source.length;
+}
 
-  // Handle new Date().getTime() and similar Date expressions
-  if (expr.startsWith('new Date()')) {
+/**
+ * Interpolated values: objects as JSON (like n8n), null/undefined as empty text
+ * @private
+ */
+function stringifyValue(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object' && !(value instanceof Date)) {
     try {
-      const d = new Date();
-      const rest = expr.replace('new Date()', '').trim();
-      if (rest === '.getTime()') return d.getTime();
-      if (rest === '.toISOString()') return d.toISOString();
-      if (rest === '.toString()') return d.toString();
-      if (rest === '') return d;
-      return d;
-    } catch (e) {
-      return undefined;
+      return JSON.stringify(value);
+    } catch (error) {
+      return String(value);
     }
   }
-
-  // Fallback: try to evaluate as $json
-  if (expr.startsWith('$')) {
-    return getJsonValue(expr, context.currentInput);
-  }
-
-  return undefined;
+  return String(value);
 }
 
 function getJsonValue(path, data) {
@@ -203,7 +323,7 @@ function getJsonValue(path, data) {
   // Parse path - handle both dot notation and bracket notation
   // Examples: "body.tiktok_url", '["body"]["tiktok_url"]', 'body["tiktok_url"]'
   const parts = [];
-  
+
   // Split by brackets first, then by dots
   let current = path;
   while (current.length > 0) {
@@ -214,7 +334,7 @@ function getJsonValue(path, data) {
       current = current.substring(bracketMatch[0].length);
       continue;
     }
-    
+
     // Check for dot notation
     const dotIndex = current.indexOf('.');
     if (dotIndex === -1) {
@@ -251,6 +371,6 @@ function getJsonValue(path, data) {
 module.exports = {
   evaluateExpression,
   evaluateExpressionValue,
+  tokenizeTemplate,
   getJsonValue
 };
-
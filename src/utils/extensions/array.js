@@ -0,0 +1,190 @@
+/**
+ * Array extension functions
+ * Examples (from n8n's documentation):
+ *   [1, 2, 3].sum()                                  // 6
+ *   [1, 2, 3].average()                              // 2
+ *   [1, 1, 2].removeDuplicates()                     // [1, 2]
+ *   [{ id: 1 }, { id: 1 }].removeDuplicates('id')    // [{ id: 1 }]
+ *   [null, 1, '', 2].compact()                       // [1, 2]
+ *   [1, 2, 3, 4, 5].chunk(2)                         // [[1, 2], [3, 4], [5]]
+ *   [{ a: 1, b: 2 }].pluck('a')                      // [1]
+ *   [{ name: 'x', value: 1 }].smartJoin('name', 'value') // { x: 1 }
+ *   [1, 2].union([2, 3])                             // [1, 2, 3]
+ */
+
+function isEmpty(value) {
+  return value.length === 0;
+}
+
+function isNotEmpty(value) {
+  return value.length > 0;
+}
+
+function first(value) {
+  return value[0];
+}
+
+function last(value) {
+  return value[value.length - 1];
+}
+
+function sum(value) {
+  return toNumbers(value, 'sum').reduce((total, number) => total + number, 0);
+}
+
+function average(value) {
+  if (value.length === 0) return 0;
+  return sum(value) / value.length;
+}
+
+function min(value) {
+  return Math.min(...toNumbers(value, 'min'));
+}
+
+function max(value) {
+  return Math.max(...toNumbers(value, 'max'));
+}
+
+function chunk(value, size) {
+  const chunkSize = Number(size);
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new Error('chunk(): size must be a positive integer');
+  }
+  const chunks = [];
+  for (let index = 0; index < value.length; index += chunkSize) {
+    chunks.push(value.slice(index, index + chunkSize));
+  }
+  return chunks;
+}
+
+function compact(value) {
+  return value.filter(entry => entry !== null && entry !== undefined && entry !== '' &&
+    !(typeof entry === 'number' && Number.isNaN(entry)));
+}
+
+/**
+ * @param {...string} [fields] - Compare objects by these fields only
+ */
+function removeDuplicates(value, ...fields) {
+  const keyFields = fields.flat();
+  const seen = new Set();
+
+  return value.filter(entry => {
+    const key = keyFields.length > 0 && entry && typeof entry === 'object'
+      ? JSON.stringify(keyFields.map(field => entry[field]))
+      : (typeof entry === 'object' ? JSON.stringify(entry) : `${typeof entry}:${entry}`);
+
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function pluck(value, ...fields) {
+  const names = fields.flat();
+  return value
+    .filter(entry => entry && typeof entry === 'object')
+    .map(entry => {
+      if (names.length === 1) return entry[names[0]];
+      if (names.length === 0) return entry;
+      return Object.fromEntries(names.filter(name => name in entry).map(name => [name, entry[name]]));
+    });
+}
+
+function randomItem(value) {
+  return value[Math.floor(Math.random() * value.length)];
+}
+
+/**
+ * renameKeys('from', 'to', 'from2', 'to2', ...) on every object in the array
+ */
+function renameKeys(value, ...pairs) {
+  if (pairs.length % 2 !== 0) {
+    throw new Error('renameKeys(): expects pairs of old and new key names');
+  }
+  return value.map(entry => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return entry;
+    const renamed = { ...entry };
+    for (let index = 0; index < pairs.length; index += 2) {
+      if (pairs[index] in renamed) {
+        renamed[pairs[index + 1]] = renamed[pairs[index]];
+        delete renamed[pairs[index]];
+      }
+    }
+    return renamed;
+  });
+}
+
+/**
+ * Turn [{ keyField, valueField }] rows into one object
+ */
+function smartJoin(value, keyField, valueField) {
+  const joined = {};
+  for (const entry of value) {
+    if (entry && typeof entry === 'object' && keyField in entry) {
+      joined[entry[keyField]] = entry[valueField];
+    }
+  }
+  return joined;
+}
+
+function union(value, other = []) {
+  return removeDuplicates([...value, ...other]);
+}
+
+function intersection(value, other = []) {
+  const keys = new Set(other.map(entryKey));
+  return removeDuplicates(value.filter(entry => keys.has(entryKey(entry))));
+}
+
+function difference(value, other = []) {
+  const keys = new Set(other.map(entryKey));
+  return value.filter(entry => !keys.has(entryKey(entry)));
+}
+
+function toJsonString(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * @private
+ */
+function entryKey(entry) {
+  return typeof entry === 'object' ? JSON.stringify(entry) : `${typeof entry}:${entry}`;
+}
+
+/**
+ * @private
+ */
+function toNumbers(value, name) {
+  return value.map(entry => {
+    const number = typeof entry === 'number' ? entry : Number(entry);
+    if (entry === null || entry === '' || Number.isNaN(number)) {
+      throw new Error(`${name}(): the array contains a value that is not a number (${JSON.stringify(entry)})`);
+    }
+    return number;
+  });
+}
+
+module.exports = {
+  isEmpty,
+  isNotEmpty,
+  first,
+  last,
+  sum,
+  average,
+  min,
+  max,
+  chunk,
+  compact,
+  removeDuplicates,
+  unique: removeDuplicates,
+  pluck,
+  randomItem,
+  renameKeys,
+  smartJoin,
+  union,
+  intersection,
+  difference,
+  toJsonString
+};
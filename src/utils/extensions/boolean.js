@@ -0,0 +1,14 @@
+/**
+ * Boolean extension functions
+ * Examples (from n8n's documentation):
+ *   true.toNumber()   // 1
+ *   false.toNumber()  // 0
+ */
+
+function toNumber(value) {
+  return value ? 1 : 0;
+}
+
+module.exports = {
+  toNumber
+};
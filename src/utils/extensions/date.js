@@ -0,0 +1,142 @@
+const { DateTime } = require('luxon');
+
+/**
+ * Date extension functions, for Luxon DateTimes ($now, toDateTime()) and JS Dates
+ * Examples (from n8n's documentation):
+ *   $now.format('yyyy-MM-dd')                     // "2024-03-01"
+ *   $now.beginningOf('month').toISODate()         // "2024-03-01"
+ *   $now.endOfMonth()                             // last moment of the month
+ *   $now.extract('year')                          // 2024
+ *   $now.minus(7, 'days')                         // a week ago
+ *   $now.plus(1, 'hour')                          // in an hour
+ *   $now.isWeekend()                              // true on Saturday/Sunday
+ *   $json.createdAt.toDateTime().isInLast(2, 'days')
+ *   $now.isBetween('2024-01-01', '2024-12-31')
+ *   new Date().toDateTime()                       // JS Date -> DateTime
+ */
+
+const UNIT_ALIASES = {
+  ms: 'milliseconds',
+  millisecond: 'milliseconds',
+  s: 'seconds',
+  second: 'seconds',
+  m: 'minutes',
+  minute: 'minutes',
+  h: 'hours',
+  hour: 'hours',
+  d: 'days',
+  day: 'days',
+  w: 'weeks',
+  week: 'weeks',
+  M: 'months',
+  month: 'months',
+  q: 'quarters',
+  quarter: 'quarters',
+  y: 'years',
+  year: 'years'
+};
+
+function format(value, pattern) {
+  return toDateTime(value).toFormat(pattern);
+}
+
+function beginningOf(value, unit = 'week') {
+  return toDateTime(value).startOf(singularUnit(unit));
+}
+
+function endOfMonth(value) {
+  return toDateTime(value).endOf('month');
+}
+
+function extract(value, part = 'week') {
+  const date = toDateTime(value);
+  const unit = singularUnit(part);
+  if (unit === 'week') return date.weekNumber;
+  if (part === 'dayOfYear') return date.ordinal;
+  return date.get(unit);
+}
+
+function plus(value, amount, unit = 'milliseconds') {
+  return toDateTime(value).plus(toDuration(amount, unit));
+}
+
+function minus(value, amount, unit = 'milliseconds') {
+  return toDateTime(value).minus(toDuration(amount, unit));
+}
+
+function isBetween(value, start, end) {
+  const date = toDateTime(value);
+  return date > toDateTime(start) && date < toDateTime(end);
+}
+
+function isInLast(value, amount = 0, unit = 'minutes') {
+  const date = toDateTime(value);
+  const now = DateTime.now();
+  return date >= now.minus(toDuration(amount, unit)) && date <= now;
+}
+
+function isWeekend(value) {
+  return toDateTime(value).weekday >= 6;
+}
+
+function isDst(value) {
+  return toDateTime(value).isInDST;
+}
+
+function diffTo(value, other, unit = 'days') {
+  return toDateTime(value).diff(toDateTime(other), pluralUnit(unit)).get(pluralUnit(unit));
+}
+
+/**
+ * Accepts a DateTime, JS Date, ISO string or epoch millis
+ */
+function toDateTime(value) {
+  if (DateTime.isDateTime(value)) return value;
+  if (Object.prototype.toString.call(value) === '[object Date]') return DateTime.fromJSDate(value);
+  if (typeof value === 'number') return DateTime.fromMillis(value);
+  if (typeof value === 'string') {
+    const date = DateTime.fromISO(value);
+    if (date.isValid) return date;
+    return DateTime.fromJSDate(new Date(value));
+  }
+  throw new Error(`Expected a date but got ${JSON.stringify(value)}`);
+}
+
+/**
+ * @private
+ */
+function toDuration(amount, unit) {
+  // plus({ days: 1 }) style objects pass straight through
+  if (amount && typeof amount === 'object') return amount;
+  return { [pluralUnit(unit)]: Number(amount) };
+}
+
+/**
+ * @private
+ */
+function pluralUnit(unit) {
+  if (UNIT_ALIASES[unit]) return UNIT_ALIASES[unit];
+  return unit.endsWith('s') ? unit : `${unit}s`;
+}
+
+/**
+ * @private
+ */
+function singularUnit(unit) {
+  return pluralUnit(unit).replace(/s$/, '');
+}
+
+module.exports = {
+  format,
+  beginningOf,
+  endOfMonth,
+  extract,
+  plus,
+  minus,
+  isBetween,
+  isInLast,
+  isWeekend,
+  isDst,
+  diffTo,
+  toDateTime
+};
@@ -0,0 +1,112 @@
+const { DateTime } = require('luxon');
+const stringExtensions = require('./string');
+const numberExtensions = require('./number');
+const arrayExtensions = require('./array');
+const objectExtensions = require('./object');
+const dateExtensions = require('./date');
+const booleanExtensions = require('./boolean');
+const { transformExtensionCalls } = require('./transform');
+
+/**
+ * n8n-style data transformation functions for expressions and Code nodes
+ *
+ * Sources are rewritten by transformExtensionCalls() so that `value.method(args)`
+ * becomes `__extend(value, 'method', [args])`. At runtime extend() looks the
+ * method up for the value's type and falls back to the native method, so
+ * `"a,b".split(',')` or `[1, 2].includes(1)` behave exactly as before.
+ */
+
+const EXTENSIONS = {
+  string: stringExtensions,
+  number: numberExtensions,
+  array: arrayExtensions,
+  object: objectExtensions,
+  date: dateExtensions,
+  boolean: booleanExtensions
+};
+
+const EXTENSION_NAMES = new Set(
+  Object.values(EXTENSIONS).flatMap(extensions => Object.keys(extensions))
+);
+
+/**
+ * @param {*} value
+ * @returns {string|null} Extension type of the value
+ */
+function getExtensionType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (DateTime.isDateTime(value) || Object.prototype.toString.call(value) === '[object Date]') return 'date';
+
+  switch (typeof value) {
+    case 'string':
+      return 'string';
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'object':
+      return value === null ? null : 'object';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Call an extension (or the value's own method) on a value
+ * @param {*} target - Receiver of the call
+ * @param {string} name - Method name
+ * @param {Array} args - Call arguments
+ * @param {boolean} [optional] - The call was written with `?.`
+ * @returns {*}
+ */
+function extend(target, name, args, optional = false) {
+  if (target === null || target === undefined) {
+    if (optional) return undefined;
+    throw new TypeError(`Cannot read properties of ${target} (reading '${name}')`);
+  }
+
+  // Native methods win so existing expressions keep their meaning
+  // (e.g. DateTime#toFormat, Array#includes, a user object's own function)
+  const native = target[name];
+  if (typeof native === 'function' && !isShadowedNative(target, name)) {
+    return native.apply(target, args);
+  }
+
+  const type = getExtensionType(target);
+  const extension = type && Object.prototype.hasOwnProperty.call(EXTENSIONS[type], name)
+    ? EXTENSIONS[type][name]
+    : null;
+
+  if (!extension) {
+    if (typeof native === 'function') return native.apply(target, args);
+    throw new TypeError(`${name}() is not a function on ${type || typeof target} values`);
+  }
+
+  return extension(target, ...args);
+}
+
+/**
+ * Natives whose n8n extension has a different meaning and takes precedence
+ * @private
+ */
+function isShadowedNative(target, name) {
+  // Luxon has its own plus/minus/toFormat; n8n's plus(n, unit) and minus(n, unit) accept a number first
+  if (DateTime.isDateTime(target)) return name === 'plus' || name === 'minus';
+  return false;
+}
+
+/**
+ * Rewrite a script so extension calls go through __extend
+ * @param {string} source
+ * @returns {string}
+ */
+function transformSource(source) {
+  return transformExtensionCalls(source, EXTENSION_NAMES);
+}
+
+module.exports = {
+  extend,
+  transformSource,
+  getExtensionType,
+  EXTENSION_NAMES
+};
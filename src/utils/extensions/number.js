@@ -0,0 +1,79 @@
+const { DateTime } = require('luxon');
+
+/**
+ * Number extension functions
+ * Examples (from n8n's documentation):
+ *   (1.234).round(2)            // 1.23
+ *   (1.5).floor()               // 1
+ *   (4).isEven()                // true
+ *   (1234.5).format('de-DE')    // "1.234,5"
+ *   (0).toBoolean()             // false
+ *   (1704067200).toDateTime('s').toISODate() // "2024-01-01"
+ */
+
+function round(value, decimals = 0) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function floor(value) {
+  return Math.floor(value);
+}
+
+function ceil(value) {
+  return Math.ceil(value);
+}
+
+function abs(value) {
+  return Math.abs(value);
+}
+
+function isEven(value) {
+  return Number.isInteger(value) && value % 2 === 0;
+}
+
+function isOdd(value) {
+  return Number.isInteger(value) && Math.abs(value % 2) === 1;
+}
+
+function isInteger(value) {
+  return Number.isInteger(value);
+}
+
+function format(value, locale, options = {}) {
+  return new Intl.NumberFormat(locale, options).format(value);
+}
+
+function toBoolean(value) {
+  return value !== 0 && !Number.isNaN(value);
+}
+
+/**
+ * @param {string} [unit='ms'] - 'ms' (epoch millis), 's' (epoch seconds) or 'excel' (serial day)
+ */
+function toDateTime(value, unit = 'ms') {
+  switch (unit) {
+    case 's':
+      return DateTime.fromSeconds(value);
+    case 'excel':
+      // Excel serial dates count days from 1899-12-30
+      return DateTime.fromMillis(Math.round((value - 25569) * 86400 * 1000), { zone: 'utc' });
+    case 'ms':
+      return DateTime.fromMillis(value);
+    default:
+      throw new Error(`toDateTime(): unknown unit '${unit}' (use ms, s or excel)`);
+  }
+}
+
+module.exports = {
+  round,
+  floor,
+  ceil,
+  abs,
+  isEven,
+  isOdd,
+  isInteger,
+  format,
+  toBoolean,
+  toDateTime
+};
@@ -0,0 +1,77 @@
+/**
+ * Object extension functions
+ * Examples (from n8n's documentation):
+ *   ({}).isEmpty()                                     // true
+ *   ({ a: 1 }).hasField('a')                           // true
+ *   ({ a: 1, b: 2 }).removeField('b')                  // { a: 1 }
+ *   ({ a: null, b: 2 }).compact()                      // { b: 2 }
+ *   ({ a: 'hi there', b: 'bye' }).keepFieldsContaining('hi') // { a: 'hi there' }
+ *   ({ q: 'a b', n: 1 }).urlEncode()                   // "q=a+b&n=1"
+ */
+
+function isEmpty(value) {
+  return Object.keys(value).length === 0;
+}
+
+function isNotEmpty(value) {
+  return Object.keys(value).length > 0;
+}
+
+function hasField(value, field) {
+  return Object.prototype.hasOwnProperty.call(value, field);
+}
+
+function removeField(value, field) {
+  const { [field]: removed, ...rest } = value;
+  return rest;
+}
+
+function removeFieldsContaining(value, search) {
+  return Object.fromEntries(Object.entries(value).filter(([, fieldValue]) => !containsText(fieldValue, search)));
+}
+
+function keepFieldsContaining(value, search) {
+  return Object.fromEntries(Object.entries(value).filter(([, fieldValue]) => containsText(fieldValue, search)));
+}
+
+function compact(value) {
+  return Object.fromEntries(Object.entries(value).filter(([, fieldValue]) =>
+    fieldValue !== null && fieldValue !== undefined && fieldValue !== ''));
+}
+
+function keys(value) {
+  return Object.keys(value);
+}
+
+function values(value) {
+  return Object.values(value);
+}
+
+function urlEncode(value) {
+  return new URLSearchParams(Object.entries(value).map(([key, fieldValue]) => [key, String(fieldValue)])).toString();
+}
+
+function toJsonString(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * @private
+ */
+function containsText(fieldValue, search) {
+  return typeof fieldValue === 'string' && fieldValue.includes(String(search));
+}
+
+module.exports = {
+  isEmpty,
+  isNotEmpty,
+  hasField,
+  removeField,
+  removeFieldsContaining,
+  keepFieldsContaining,
+  compact,
+  keys,
+  values,
+  urlEncode,
+  toJsonString
+};
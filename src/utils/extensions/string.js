@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+
+/**
+ * String extension functions
+ * Examples (from n8n's documentation):
+ *   "".isEmpty()                                  // true
+ *   "Contact me at ann@example.com".extractEmail() // "ann@example.com"
+ *   "https://www.example.com/path?q=1".extractDomain() // "www.example.com"
+ *   "quick brown fox".toTitleCase()               // "Quick Brown Fox"
+ *   "quick brown fox".toSnakeCase()               // "quick_brown_fox"
+ *   "a b/c".urlEncode()                           // "a%20b%2Fc"
+ *   "a b/c".urlEncode(true)                       // "a%20b/c"
+ *   "hello".hash("sha256")                        // "2cf24dba5fb0a3..."
+ *   "<p>Hi</p>".removeTags()                      // "Hi"
+ *   "2024-03-01".toDateTime().toISODate()         // "2024-03-01"
+ */
+
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const URL_REGEX = /(?:https?:\/\/|www\.)[^\s<>"']+/i;
+const DOMAIN_REGEX = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+const HASH_ALGORITHMS = {
+  md5: 'md5',
+  sha1: 'sha1',
+  sha224: 'sha224',
+  sha256: 'sha256',
+  sha384: 'sha384',
+  sha512: 'sha512',
+  sha3: 'sha3-512'
+};
+
+function isEmpty(value) {
+  return value.length === 0;
+}
+
+function isNotEmpty(value) {
+  return value.length > 0;
+}
+
+function extractEmail(value) {
+  return value.match(EMAIL_REGEX)?.[0];
+}
+
+function extractUrl(value) {
+  return value.match(URL_REGEX)?.[0];
+}
+
+function extractDomain(value) {
+  if (isEmail(value)) {
+    return value.split('@').pop();
+  }
+
+  const candidate = /^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `http://${value}`;
+  try {
+    return new URL(candidate).hostname || undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function extractUrlPath(value) {
+  try {
+    return new URL(value).pathname;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function isEmail(value) {
+  return new RegExp(`^${EMAIL_REGEX.source}$`).test(value.trim());
+}
+
+function isUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+function isDomain(value) {
+  return DOMAIN_REGEX.test(value.trim());
+}
+
+function isNumeric(value) {
+  return value.trim() !== '' && !Number.isNaN(Number(value));
+}
+
+function toTitleCase(value) {
+  return value.toLowerCase().replace(/(^|[\s\-_/])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function toSentenceCase(value) {
+  return value.toLowerCase().replace(/(^\s*|[.!?]\s+)(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function toSnakeCase(value) {
+  return splitWords(value).map(word => word.toLowerCase()).join('_');
+}
+
+function toCamelCase(value) {
+  return splitWords(value)
+    .map((word, index) => (index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+    .join('');
+}
+
+function urlEncode(value, entireString = false) {
+  return entireString ? encodeURI(value) : encodeURIComponent(value);
+}
+
+function urlDecode(value, entireString = false) {
+  return entireString ? decodeURI(value) : decodeURIComponent(value);
+}
+
+function base64Encode(value) {
+  return Buffer.from(value, 'utf8').toString('base64');
+}
+
+function base64Decode(value) {
+  return Buffer.from(value, 'base64').toString('utf8');
+}
+
+function hash(value, algorithm = 'md5') {
+  const name = String(algorithm).toLowerCase();
+  if (name === 'base64') {
+    return base64Encode(value);
+  }
+  if (!HASH_ALGORITHMS[name]) {
+    throw new Error(`hash(): unknown algorithm '${algorithm}' (use ${Object.keys(HASH_ALGORITHMS).join(', ')} or base64)`);
+  }
+  return crypto.createHash(HASH_ALGORITHMS[name]).update(value).digest('hex');
+}
+
+function removeTags(value) {
+  return value.replace(/<[^>]*>/g, '');
+}
+
+function removeMarkdown(value) {
+  return value
+    .replace(/```[\s\S]*?```/g, match => match.replace(/```\w*\n?/g, ''))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*[-*+]\s+/gm, '')
+    .replace(/(\*\*|__)(.*?)\1/g, '$2')
+    .replace(/(\*|_)(.*?)\1/g, '$2')
+    .replace(/~~(.*?)~~/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .trim();
+}
+
+function replaceSpecialChars(value) {
+  return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function quote(value, mark = '"') {
+  return `${mark}${value.split(mark).join(`\\${mark}`)}${mark}`;
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`parseJson(): the string is not valid JSON (${error.message})`);
+  }
+}
+
+function toNumber(value) {
+  const number = Number(value.trim());
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw new Error(`toNumber(): '${value}' cannot be converted to a number`);
+  }
+  return number;
+}
+
+function toInt(value) {
+  return Math.trunc(toNumber(value));
+}
+
+function toBoolean(value) {
+  const normalized = value.trim().toLowerCase();
+  return !['', 'false', 'no', '0', 'off', 'n'].includes(normalized);
+}
+
+function toDateTime(value) {
+  const attempts = [
+    () => DateTime.fromISO(value),
+    () => DateTime.fromRFC2822(value),
+    () => DateTime.fromHTTP(value),
+    () => DateTime.fromSQL(value),
+    () => DateTime.fromJSDate(new Date(value))
+  ];
+
+  for (const parse of attempts) {
+    const date = parse();
+    if (date.isValid) return date;
+  }
+
+  throw new Error(`toDateTime(): '${value}' is not a recognised date`);
+}
+
+function toJsonString(value) {
+  return JSON.stringify(value);
+}
+
+/**
+ * Words of camelCase, snake_case, kebab-case or spaced text
+ * @private
+ */
+function splitWords(value) {
+  return value
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+module.exports = {
+  isEmpty,
+  isNotEmpty,
+  extractEmail,
+  extractUrl,
+  extractDomain,
+  extractUrlPath,
+  isEmail,
+  isUrl,
+  isDomain,
+  isNumeric,
+  toTitleCase,
+  toSentenceCase,
+  toSnakeCase,
+  toCamelCase,
+  urlEncode,
+  urlDecode,
+  base64Encode,
+  base64Decode,
+  hash,
+  removeTags,
+  removeMarkdown,
+  replaceSpecialChars,
+  quote,
+  parseJson,
+  toNumber,
+  toInt,
+  toFloat: toNumber,
+  toBoolean,
+  toDateTime,
+  toJsonString
+};
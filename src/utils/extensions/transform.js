@@ -0,0 +1,119 @@
+const acorn = require('acorn');
+
+/**
+ * Rewrite extension method calls so they work on plain JS values
+ *
+ * `$json.email.extractDomain()` becomes `__extend($json.email, "extractDomain", [])`
+ * and `value?.sum()` becomes `__extend(value, "sum", [], true)`. Only calls to
+ * names in the extension registry are touched; everything else keeps its
+ * original source text.
+ */
+
+/**
+ * @param {string} source - Script source
+ * @param {Set<string>} extensionNames - Method names that have an extension
+ * @returns {string} Rewritten source, or the original if nothing matched or it didn't parse
+ */
+function transformExtensionCalls(source, extensionNames) {
+  // Cheap pre-check so plain expressions never pay for a parse
+  const mentionsExtension = /\.\s*([A-Za-z_$][\w$]*)\s*\(/g;
+  let match;
+  let found = false;
+  while ((match = mentionsExtension.exec(source)) !== null) {
+    if (extensionNames.has(match[1])) {
+      found = true;
+      break;
+    }
+  }
+  if (!found) return source;
+
+  let ast;
+  try {
+    ast = acorn.parse(source, { ecmaVersion: 'latest', allowReturnOutsideFunction: true, allowAwaitOutsideFunction: true });
+  } catch (error) {
+    // Let the real compiler report the syntax error against the original source
+    return source;
+  }
+
+  return rewrite(ast, source, extensionNames);
+}
+
+/**
+ * Return the source of `node` with every extension call beneath it rewritten
+ * @private
+ */
+function rewrite(node, source, extensionNames) {
+  const replacements = [];
+  collect(node, source, extensionNames, replacements);
+  if (replacements.length === 0) return source.slice(node.start, node.end);
+
+  let output = '';
+  let cursor = node.start;
+  for (const replacement of replacements) {
+    output += source.slice(cursor, replacement.start) + replacement.text;
+    cursor = replacement.end;
+  }
+  return output + source.slice(cursor, node.end);
+}
+
+/**
+ * Collect outermost extension calls under `node`, in source order
+ * @private
+ */
+function collect(node, source, extensionNames, replacements) {
+  if (!node || typeof node.type !== 'string') return;
+
+  if (isExtensionCall(node, extensionNames)) {
+    replacements.push({ start: node.start, end: node.end, text: buildCall(node, source, extensionNames) });
+    return;
+  }
+
+  for (const key of Object.keys(node)) {
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach(entry => collect(entry, source, extensionNames, replacements));
+    } else if (child && typeof child.type === 'string') {
+      collect(child, source, extensionNames, replacements);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function isExtensionCall(node, extensionNames) {
+  return node.type === 'CallExpression' &&
+    node.callee.type === 'MemberExpression' &&
+    !node.callee.computed &&
+    node.callee.object.type !== 'Super' &&
+    node.callee.property.type === 'Identifier' &&
+    extensionNames.has(node.callee.property.name);
+}
+
+/**
+ * @private
+ */
+function buildCall(node, source, extensionNames) {
+  const target = rewrite(node.callee.object, source, extensionNames);
+  const args = node.arguments.map(arg => rewrite(arg, source, extensionNames)).join(', ');
+  const optional = node.optional || isOptionalChain(node.callee);
+  return `__extend(${target}, ${JSON.stringify(node.callee.property.name)}, [${args}]${optional ? ', true' : ''})`;
+}
+
+/**
+ * `a?.b.sum()` short-circuits on a null `a` too, so any `?.` earlier in
+ * the chain makes the rewritten call optional
+ * @private
+ */
+function isOptionalChain(node) {
+  let current = node;
+  while (current && (current.type === 'MemberExpression' || current.type === 'CallExpression')) {
+    if (current.optional) return true;
+    current = current.type === 'MemberExpression' ? current.object : current.callee;
+  }
+  return false;
+}
+
+module.exports = {
+  transformExtensionCalls
+};
@@ -0,0 +1,419 @@
+/**
+ * Filter condition evaluator shared by the If and Switch executors.
+ *
+ * Implements the n8n v2 filter operator catalog:
+ * - string:   exists, notExists, empty, notEmpty, equals, notEquals, contains, notContains,
+ *             startsWith, notStartsWith, endsWith, notEndsWith, regex, notRegex
+ * - number:   exists, notExists, empty, notEmpty, equals, notEquals, gt, lt, gte, lte
+ * - dateTime: exists, notExists, empty, notEmpty, equals, notEquals, after, before,
+ *             afterOrEquals, beforeOrEquals
+ * - boolean:  exists, notExists, empty, notEmpty, true, false, equals, notEquals
+ * - array:    exists, notExists, empty, notEmpty, contains, notContains, lengthEquals,
+ *             lengthNotEquals, lengthGt, lengthLt, lengthGte, lengthLte
+ * - object:   exists, notExists, empty, notEmpty
+ *
+ * Operators without a `type` (older templates, Switch v1/v2 rules) keep the
+ * original string/number coercing behaviour. dateTime values may be Dates,
+ * ISO strings or Luxon DateTimes ($now, DateTime.fromISO(...), date extensions).
+ */
+
+const { DateTime } = require('luxon');
+const { evaluateExpression } = require('./expressions');
+
+// Operations that only look at the left value and skip type validation
+const SINGLE_VALUE_OPERATIONS = new Set(['exists', 'notExists', 'empty', 'notEmpty', 'true', 'false']);
+
+/**
+ * Evaluate an n8n condition set (`{ options, conditions, combinator }`) for one item
+ * @param {Object} conditionSet - Condition set from node parameters
+ * @param {Object} exprContext - Expression context ({ currentInput: [item], executionContext })
+ * @param {Object} [settings]
+ * @param {boolean} [settings.looseTypeValidation] - Node-level override for type validation
+ * @param {number} [settings.itemIndex] - Item index, used in error messages
+ * @returns {boolean} Whether the set matches
+ */
+function evaluateConditionSet(conditionSet, exprContext, settings = {}) {
+  const conditions = conditionSet?.conditions || [];
+  const options = conditionSet?.options || {};
+  const looseTypeValidation = settings.looseTypeValidation === true || options.typeValidation === 'loose';
+  const caseSensitive = options.caseSensitive !== false;
+  const combinator = conditionSet?.combinator || 'and';
+
+  const evaluateAt = (condition, conditionIndex) => {
+    const leftValue = evaluateExpression(condition.leftValue ?? '', exprContext);
+    const rightValue = evaluateExpression(condition.rightValue ?? '', exprContext);
+
+    try {
+      return evaluateCondition(leftValue, rightValue, condition.operator || 'equals', {
+        caseSensitive,
+        looseTypeValidation
+      });
+    } catch (error) {
+      error.message = `${error.message} [condition ${conditionIndex}, item ${settings.itemIndex ?? 0}]`;
+      throw error;
+    }
+  };
+
+  return combinator === 'or'
+    ? conditions.some(evaluateAt)
+    : conditions.every(evaluateAt);
+}
+
+/**
+ * Evaluate a single condition
+ * @param {*} left - Evaluated left value
+ * @param {*} right - Evaluated right value
+ * @param {string|Object} operator - Operation name, or n8n operator object ({ type, operation })
+ * @param {Object} [options]
+ * @param {boolean} [options.caseSensitive=true]
+ * @param {boolean} [options.looseTypeValidation=false]
+ * @returns {boolean}
+ */
+function evaluateCondition(left, right, operator, options = {}) {
+  const { type, operation } = typeof operator === 'string'
+    ? { type: undefined, operation: operator }
+    : { type: operator?.type, operation: operator?.operation || 'equals' };
+  const caseSensitive = options.caseSensitive !== false;
+
+  if (!type) {
+    return evaluateUntypedCondition(left, right, operation, caseSensitive);
+  }
+
+  switch (operation) {
+    case 'exists':
+      return exists(left);
+    case 'notExists':
+      return !exists(left);
+    case 'empty':
+      return isEmpty(left);
+    case 'notEmpty':
+      return !isEmpty(left);
+    default:
+      break;
+  }
+
+  const looseTypeValidation = options.looseTypeValidation === true;
+  const leftValue = validateType(left, type, looseTypeValidation);
+  const rightValue = SINGLE_VALUE_OPERATIONS.has(operation) || type === 'array'
+    ? right
+    : validateType(right, type, looseTypeValidation);
+
+  switch (type) {
+    case 'string':
+      return evaluateString(leftValue, rightValue, operation, caseSensitive);
+    case 'number':
+      return evaluateNumber(leftValue, rightValue, operation);
+    case 'dateTime':
+      return evaluateDateTime(leftValue, rightValue, operation);
+    case 'boolean':
+      return evaluateBoolean(leftValue, rightValue, operation);
+    case 'array':
+      return evaluateArray(leftValue, right, operation, caseSensitive, looseTypeValidation);
+    case 'object':
+      throw new Error(`Unsupported operation '${operation}' for type 'object'`);
+    default:
+      throw new Error(`Unsupported operator type '${type}'`);
+  }
+}
+
+/**
+ * Original untyped behaviour: compare as strings, or as numbers for ordering
+ */
+function evaluateUntypedCondition(left, right, operation, caseSensitive) {
+  switch (operation) {
+    case 'equals':
+    case 'filter.operator.equals':
+      return normalizeCase(String(left), caseSensitive) === normalizeCase(String(right), caseSensitive);
+    case 'notEquals':
+      return normalizeCase(String(left), caseSensitive) !== normalizeCase(String(right), caseSensitive);
+    case 'contains':
+    case 'notContains':
+    case 'startsWith':
+    case 'notStartsWith':
+    case 'endsWith':
+    case 'notEndsWith':
+    case 'regex':
+    case 'notRegex':
+      return evaluateString(String(left ?? ''), String(right ?? ''), operation, caseSensitive);
+    case 'greaterThan':
+    case 'gt':
+      return Number(left) > Number(right);
+    case 'lessThan':
+    case 'lt':
+      return Number(left) < Number(right);
+    case 'greaterEqual':
+    case 'gte':
+      return Number(left) >= Number(right);
+    case 'lessEqual':
+    case 'lte':
+      return Number(left) <= Number(right);
+    case 'exists':
+      return exists(left);
+    case 'notExists':
+      return !exists(left);
+    case 'empty':
+    case 'isEmpty':
+      return isEmpty(left);
+    case 'notEmpty':
+    case 'isNotEmpty':
+      return !isEmpty(left);
+    default:
+      return String(left) === String(right);
+  }
+}
+
+function evaluateString(left, right, operation, caseSensitive) {
+  const l = normalizeCase(left ?? '', caseSensitive);
+  const r = normalizeCase(right ?? '', caseSensitive);
+
+  switch (operation) {
+    case 'equals':
+      return l === r;
+    case 'notEquals':
+      return l !== r;
+    case 'contains':
+      return l.includes(r);
+    case 'notContains':
+      return !l.includes(r);
+    case 'startsWith':
+      return l.startsWith(r);
+    case 'notStartsWith':
+      return !l.startsWith(r);
+    case 'endsWith':
+      return l.endsWith(r);
+    case 'notEndsWith':
+      return !l.endsWith(r);
+    case 'regex':
+      return toRegExp(right, caseSensitive).test(left ?? '');
+    case 'notRegex':
+      return !toRegExp(right, caseSensitive).test(left ?? '');
+    default:
+      throw new Error(`Unsupported operation '${operation}' for type 'string'`);
+  }
+}
+
+function evaluateNumber(left, right, operation) {
+  switch (operation) {
+    case 'equals':
+      return left === right;
+    case 'notEquals':
+      return left !== right;
+    case 'gt':
+      return left > right;
+    case 'lt':
+      return left < right;
+    case 'gte':
+      return left >= right;
+    case 'lte':
+      return left <= right;
+    default:
+      throw new Error(`Unsupported operation '${operation}' for type 'number'`);
+  }
+}
+
+function evaluateDateTime(left, right, operation) {
+  const l = left instanceof Date ? left.getTime() : NaN;
+  const r = right instanceof Date ? right.getTime() : NaN;
+
+  switch (operation) {
+    case 'equals':
+      return l === r;
+    case 'notEquals':
+      return l !== r;
+    case 'after':
+      return l > r;
+    case 'before':
+      return l < r;
+    case 'afterOrEquals':
+      return l >= r;
+    case 'beforeOrEquals':
+      return l <= r;
+    default:
+      throw new Error(`Unsupported operation '${operation}' for type 'dateTime'`);
+  }
+}
+
+function evaluateBoolean(left, right, operation) {
+  switch (operation) {
+    case 'true':
+      return left === true;
+    case 'false':
+      return left === false;
+    case 'equals':
+      return left === right;
+    case 'notEquals':
+      return left !== right;
+    default:
+      throw new Error(`Unsupported operation '${operation}' for type 'boolean'`);
+  }
+}
+
+function evaluateArray(left, right, operation, caseSensitive, looseTypeValidation) {
+  const array = Array.isArray(left) ? left : [];
+
+  if (operation === 'contains' || operation === 'notContains') {
+    const needle = typeof right === 'string' ? normalizeCase(right, caseSensitive) : right;
+    const found = array.some(entry => {
+      const value = typeof entry === 'string' ? normalizeCase(entry, caseSensitive) : entry;
+      if (value === needle) return true;
+      // Loose validation treats "1" and 1 as the same entry
+      return looseTypeValidation && value != null && needle != null && String(value) === String(needle);
+    });
+    return operation === 'contains' ? found : !found;
+  }
+
+  const length = validateType(right, 'number', looseTypeValidation);
+
+  switch (operation) {
+    case 'lengthEquals':
+      return array.length === length;
+    case 'lengthNotEquals':
+      return array.length !== length;
+    case 'lengthGt':
+      return array.length > length;
+    case 'lengthLt':
+      return array.length < length;
+    case 'lengthGte':
+      return array.length >= length;
+    case 'lengthLte':
+      return array.length <= length;
+    default:
+      throw new Error(`Unsupported operation '${operation}' for type 'array'`);
+  }
+}
+
+/**
+ * Validate (strict) or convert (loose) a value to the operator's type.
+ * null/undefined always pass through so "missing" compares as not-equal
+ * instead of failing the node.
+ */
+function validateType(value, type, loose) {
+  if (value === undefined || value === null) {
+    return value;
+  }
+
+  const converted = loose ? convertType(value, type) : value;
+  if (matchesType(converted, type)) {
+    return type === 'dateTime' ? toDate(converted) : converted;
+  }
+
+  throw new Error(
+    `Wrong type: '${formatValue(value)}' is ${describeType(value)} but was expecting ${article(type)} ${type}` +
+    (loose ? '' : ". Enable 'Convert types where required' (loose type validation) to convert it automatically")
+  );
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && !Number.isNaN(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'dateTime':
+      // ISO strings are accepted even in strict mode, like n8n
+      return (value instanceof Date && !Number.isNaN(value.getTime())) ||
+        (DateTime.isDateTime(value) && value.isValid) ||
+        (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function convertType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    case 'number': {
+      if (typeof value === 'number') return value;
+      if (typeof value === 'string' && value.trim() === '') return value;
+      const num = Number(value);
+      return Number.isNaN(num) ? value : num;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const lower = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(lower)) return true;
+      if (['false', '0', 'no', 'off'].includes(lower)) return false;
+      return value;
+    }
+    case 'dateTime':
+      if (typeof value === 'number') return new Date(value);
+      if (DateTime.isDateTime(value)) return value.toJSDate();
+      return value;
+    case 'array':
+    case 'object':
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        } catch (e) {
+          return value;
+        }
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  return DateTime.isDateTime(value) ? value.toJSDate() : new Date(value);
+}
+
+function toRegExp(pattern, caseSensitive) {
+  const source = String(pattern ?? '');
+  // Support /pattern/flags literals as well as bare patterns
+  const literal = source.match(/^\/(.+)\/([gimsuy]*)$/);
+  const flags = literal ? literal[2] : '';
+  const body = literal ? literal[1] : source;
+  const finalFlags = !caseSensitive && !flags.includes('i') ? `${flags}i` : flags;
+  return new RegExp(body, finalFlags.replace('g', ''));
+}
+
+function exists(value) {
+  return !(value === undefined || value === null || (typeof value === 'number' && Number.isNaN(value)));
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (value instanceof Date) return Number.isNaN(value.getTime());
+  if (DateTime.isDateTime(value)) return !value.isValid;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
+  if (typeof value === 'number') return Number.isNaN(value);
+  return false;
+}
+
+function normalizeCase(value, caseSensitive) {
+  return !caseSensitive && typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function describeType(value) {
+  if (Array.isArray(value)) return 'an array';
+  if (value instanceof Date) return 'a date';
+  if (DateTime.isDateTime(value)) return value.isValid ? 'a date' : 'an invalid date';
+  return article(typeof value) + ' ' + typeof value;
+}
+
+function article(word) {
+  return /^[aeiou]/i.test(word) ? 'an' : 'a';
+}
+
+function formatValue(value) {
+  if (DateTime.isDateTime(value)) {
+    return value.isValid ? value.toISO() : `Invalid DateTime (${value.invalidReason})`;
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 50 ? `${text.slice(0, 50)}...` : text;
+}
+
+module.exports = {
+  evaluateConditionSet,
+  evaluateCondition
+};
@@ -0,0 +1,55 @@
+/**
+ * Node output helpers
+ *
+ * Executors normally return a flat array of items, which the runner delivers
+ * on output 0. Nodes with more than one output port (If true/false, Switch
+ * rules, SplitInBatches done/loop, error outputs) return
+ * `multiOutput([...port0Items], [...port1Items], ...)` instead, and the runner
+ * only hands each downstream node the items of the port its connection hangs
+ * off (`connections[source].main[outputIndex]`).
+ */
+
+/**
+ * Wrap per-port item arrays into a multi-output result
+ * @param {...Array} outputs - One item array per output port, in port order
+ * @returns {{multiOutput: true, outputs: Array<Array>}}
+ */
+function multiOutput(...outputs) {
+  return {
+    multiOutput: true,
+    outputs: outputs.map(items => items || [])
+  };
+}
+
+/**
+ * Check whether an executor result is a multi-output result
+ */
+function isMultiOutput(output) {
+  return !!output && typeof output === 'object' && output.multiOutput === true && Array.isArray(output.outputs);
+}
+
+/**
+ * Normalize any executor result into an array of ports (array of item arrays)
+ * @param {Array|Object|undefined} output - Executor return value
+ * @returns {Array<Array>} Ports, always at least one (possibly empty)
+ */
+function toOutputPorts(output) {
+  if (isMultiOutput(output)) {
+    return output.outputs.length > 0 ? output.outputs : [[]];
+  }
+  return [Array.isArray(output) ? output : []];
+}
+
+/**
+ * Count the items across all ports (for logging)
+ */
+function countOutputItems(ports) {
+  return ports.reduce((total, items) => total + items.length, 0);
+}
+
+module.exports = {
+  multiOutput,
+  isMultiOutput,
+  toOutputPorts,
+  countOutputItems
+};
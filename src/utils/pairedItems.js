@@ -0,0 +1,147 @@
+/**
+ * Paired-item lineage
+ * Every output item may carry `pairedItem` pointing at the input item(s) it was
+ * derived from, n8n style: `{ item: 2 }`, `{ item: 0, input: 1 }` or an array
+ * of those. `item` indexes the items the node received (inputData) or, when
+ * `input` is given, the items of that input index (Merge-style nodes).
+ *
+ * The runner records where each input item came from (executionContext.inputSources)
+ * and fills in pairedItem when it is unambiguous, so $('Node').item can walk
+ * back from the current item to its ancestor in any upstream node.
+ */
+
+const MAX_LINEAGE_STEPS = 1000;
+
+/**
+ * Normalize a pairedItem value to a list of { item, input }
+ * @param {number|Object|Array|undefined} pairedItem
+ * @returns {Array<{item: number, input: (number|undefined)}>}
+ */
+function normalizePairedItem(pairedItem) {
+  if (pairedItem === undefined || pairedItem === null) return [];
+
+  const entries = Array.isArray(pairedItem) ? pairedItem : [pairedItem];
+  return entries
+    .map(entry => (typeof entry === 'number' ? { item: entry } : entry))
+    .filter(entry => entry && Number.isInteger(entry.item))
+    .map(entry => ({ item: entry.item, input: entry.input }));
+}
+
+/**
+ * Give output items a pairedItem when the executor did not set one:
+ * - an input item passed through unchanged (If, Switch, Limit...) pairs with itself
+ * - a copy that kept the input's pairedItem object ({ ...item, json }) pairs with that input
+ * - with a single input item, everything pairs with it
+ * - a single-output node emitting as many items as it received pairs them by position
+ * Items are copied, never mutated, since the input items belong to upstream outputs.
+ * @param {Array<Array>} ports - Items per output port
+ * @param {Array} inputData - Items the node received
+ * @returns {Array<Array>} Ports with lineage filled in
+ */
+function pairOutputItems(ports, inputData = []) {
+  if (inputData.length === 0) return ports;
+
+  const inputIndexes = new Map();
+  const pairedItemIndexes = new Map();
+  inputData.forEach((item, index) => {
+    if (item && typeof item === 'object') {
+      if (!inputIndexes.has(item)) inputIndexes.set(item, index);
+      if (item.pairedItem && typeof item.pairedItem === 'object' && !pairedItemIndexes.has(item.pairedItem)) {
+        pairedItemIndexes.set(item.pairedItem, index);
+      }
+    }
+  });
+
+  const pairByPosition = ports.length === 1 && ports[0].length === inputData.length;
+
+  return ports.map(items => items.map((item, position) => {
+    if (!item || typeof item !== 'object') return item;
+
+    let index;
+    if (inputIndexes.has(item)) {
+      index = inputIndexes.get(item);
+    } else if (pairedItemIndexes.has(item.pairedItem)) {
+      index = pairedItemIndexes.get(item.pairedItem);
+    } else if (item.pairedItem !== undefined) {
+      return item;
+    } else if (inputData.length === 1) {
+      index = 0;
+    } else if (pairByPosition) {
+      index = position;
+    } else {
+      return item;
+    }
+
+    return { ...item, pairedItem: { item: index } };
+  }));
+}
+
+/**
+ * Where each input item of a node came from, in inputData order
+ * @typedef {Object} ItemSource
+ * @property {string} node - Upstream node name
+ * @property {number} output - Upstream output port
+ * @property {number} item - Index in that port's items
+ * @property {number} input - Input index of this node the item arrived on
+ */
+
+/**
+ * Find the item of `nodeName` that the current item descends from
+ * @param {Object} executionContext - Runner execution context (node view)
+ * @param {string} nodeName - Upstream node to resolve in
+ * @param {number} itemIndex - Index of the current item in the current node's input
+ * @returns {Object} The ancestor item
+ * @throws {Error} When lineage is missing and the node emitted more than one item
+ */
+function getPairedItem(executionContext, nodeName, itemIndex = 0) {
+  const targetItems = executionContext.nodes?.[nodeName] || [];
+  const currentNode = executionContext.currentNode;
+  const currentName = currentNode?.name || currentNode?.id;
+
+  let source = currentName ? executionContext.inputSources?.[currentName]?.[itemIndex] : undefined;
+  let brokenAt = currentName;
+
+  for (let step = 0; source && step < MAX_LINEAGE_STEPS; step++) {
+    const ports = executionContext.nodeOutputs?.[source.node];
+    const items = ports ? (ports[source.output] || []) : (executionContext.nodes?.[source.node] || []);
+    const item = items[source.item];
+
+    if (source.node === nodeName) {
+      return item;
+    }
+
+    const [paired] = normalizePairedItem(item?.pairedItem);
+    brokenAt = source.node;
+    if (!paired) {
+      source = undefined;
+      break;
+    }
+    source = findSource(executionContext.inputSources?.[source.node], paired);
+  }
+
+  // No usable lineage - only a single upstream item is an unambiguous answer
+  if (targetItems.length === 1) {
+    return targetItems[0];
+  }
+
+  throw new Error(
+    `Can't determine which item of '${nodeName}' to use: paired item information is missing` +
+    (brokenAt ? ` (the items of '${brokenAt}' don't say which input item they came from)` : '') +
+    `. Use $('${nodeName}').first(), .all() or .itemMatching(index) instead.`
+  );
+}
+
+/**
+ * @private
+ */
+function findSource(sources, paired) {
+  if (!sources) return undefined;
+  if (paired.input === undefined) return sources[paired.item];
+  return sources.filter(source => source.input === paired.input)[paired.item];
+}
+
+module.exports = {
+  normalizePairedItem,
+  pairOutputItems,
+  getPairedItem
+};
@@ -0,0 +1,78 @@
+const { isBinaryReference } = require('./binaryDataManager');
+
+/**
+ * Result sanitizer
+ * Strips data that must not be serialized (queue payloads, stored executions):
+ * Buffers and ArrayBuffers become a size note, strings over 1 MB a length note,
+ * and inline binary entries are dropped while stored binary references (small) are kept.
+ * Large binary payloads (e.g. downloaded videos) otherwise make JSON.stringify throw
+ * RangeError: Invalid string length.
+ */
+
+const MAX_STRING_LENGTH = 1_000_000;
+
+/**
+ * @param {Array} items - Node output items
+ * @returns {Array} Serializable copies of the items
+ */
+function sanitizeItems(items) {
+  return items.map(item => {
+    if (!item || !item.json) return item;
+    const cleanJson = {};
+    for (const [key, value] of Object.entries(item.json)) {
+      if (Buffer.isBuffer(value) || value instanceof ArrayBuffer) {
+        cleanJson[key] = `[Binary data: ${value.byteLength || value.length} bytes]`;
+      } else if (typeof value === 'string' && value.length > MAX_STRING_LENGTH) {
+        cleanJson[key] = `[Large string: ${value.length} chars]`;
+      } else {
+        cleanJson[key] = value;
+      }
+    }
+    const cleanItem = { json: cleanJson };
+    if (item.binary && typeof item.binary === 'object') {
+      cleanItem.binary = {};
+      for (const [key, entry] of Object.entries(item.binary)) {
+        cleanItem.binary[key] = isBinaryReference(entry) ? entry : '[stripped]';
+      }
+    } else if (item.binary) {
+      cleanItem.binary = '[stripped]';
+    }
+    return cleanItem;
+  });
+}
+
+/**
+ * Sanitize every node's items in a runner result
+ * @param {Object} result - WorkflowRunner.execute() result
+ * @returns {Object} Serializable result
+ */
+function sanitizeResult(result) {
+  if (!result || typeof result !== 'object') return result;
+
+  try {
+    const sanitized = { ...result };
+
+    if (sanitized.outputs && typeof sanitized.outputs === 'object') {
+      const cleanOutputs = {};
+      for (const [nodeName, nodeOutput] of Object.entries(sanitized.outputs)) {
+        cleanOutputs[nodeName] = Array.isArray(nodeOutput) ? sanitizeItems(nodeOutput) : nodeOutput;
+      }
+      sanitized.outputs = cleanOutputs;
+    }
+
+    return sanitized;
+  } catch (e) {
+    console.error('[Sanitizer] Failed to sanitize result:', e.message);
+    // Return a minimal safe result
+    return {
+      success: result.success,
+      errors: result.errors,
+      message: 'Result sanitized due to serialization issues'
+    };
+  }
+}
+
+module.exports = {
+  sanitizeResult,
+  sanitizeItems
+};
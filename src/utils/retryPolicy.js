@@ -0,0 +1,57 @@
+/**
+ * Node retry policy
+ * Reads n8n's per-node retry settings:
+ * - retryOnFail: boolean, retries are off unless set
+ * - maxTries: total attempts including the first (default 3, max 5 like the n8n UI)
+ * - waitBetweenTries: delay in ms before each retry (default 1000, max 5000)
+ *
+ * Backoff is 'fixed' (n8n's behaviour) unless node.retryBackoff or
+ * workflow.settings.retryBackoff is 'exponential', in which case the delay
+ * doubles after every failed attempt (capped at MAX_BACKOFF_MS).
+ */
+
+const DEFAULT_MAX_TRIES = 3;
+const MAX_TRIES_LIMIT = 5;
+const DEFAULT_WAIT_MS = 1000;
+const MAX_WAIT_MS = 5000;
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * @param {Object} node - Workflow node
+ * @param {Object} [settings] - Workflow settings
+ * @returns {{enabled: boolean, maxTries: number, waitBetweenTries: number, backoff: string}}
+ */
+function getRetryPolicy(node, settings = {}) {
+  if (node.retryOnFail !== true) {
+    return { enabled: false, maxTries: 1, waitBetweenTries: 0, backoff: 'fixed' };
+  }
+
+  const maxTries = clamp(Number(node.maxTries) || DEFAULT_MAX_TRIES, 1, MAX_TRIES_LIMIT);
+  const rawWait = Number(node.waitBetweenTries);
+  const waitBetweenTries = clamp(Number.isFinite(rawWait) ? rawWait : DEFAULT_WAIT_MS, 0, MAX_WAIT_MS);
+  const backoff = (node.retryBackoff || settings?.retryBackoff) === 'exponential' ? 'exponential' : 'fixed';
+
+  return { enabled: true, maxTries, waitBetweenTries, backoff };
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Object} policy - Result of getRetryPolicy
+ * @param {number} failedAttempt - 1-based number of the attempt that just failed
+ * @returns {number} Milliseconds
+ */
+function getRetryDelay(policy, failedAttempt) {
+  if (policy.backoff === 'exponential') {
+    return Math.min(policy.waitBetweenTries * 2 ** (failedAttempt - 1), MAX_BACKOFF_MS);
+  }
+  return policy.waitBetweenTries;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+module.exports = {
+  getRetryPolicy,
+  getRetryDelay
+};
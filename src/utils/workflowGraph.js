@@ -0,0 +1,228 @@
+/**
+ * Workflow Graph
+ * Precomputed adjacency index over a workflow's connections, so the runner can
+ * schedule nodes without rescanning every connection for every node.
+ *
+ * Edges are indexed by canonical node name; connection targets may reference
+ * a node by name or id. Each edge looks like:
+ *   { source, sourceOutput, target, targetInput, type }
+ * where `type` is 'main' or one of the LangChain ai_* sub-node connection types.
+ */
+
+const SPECIAL_CONNECTION_TYPES = [
+  'ai_textSplitter', 'ai_embedding', 'ai_vectorStore',
+  'ai_tool', 'ai_memory', 'ai_languageModel', 'ai_document'
+];
+
+const LOOP_NODE_TYPE = 'n8n-nodes-base.splitInBatches';
+
+class WorkflowGraph {
+  /**
+   * @param {Object} workflow - Workflow JSON ({ nodes, connections })
+   * @param {Object} [options]
+   * @param {function(Object): number} [options.getLoopOutputIndex] - Loop output port of a
+   *        SplitInBatches node; defaults to output 0
+   */
+  constructor(workflow, options = {}) {
+    this.workflow = workflow;
+    this.nodes = workflow.nodes || [];
+    this.getLoopOutputIndex = options.getLoopOutputIndex || (() => 0);
+
+    this.nodesByName = new Map();
+    this.nodesById = new Map();
+    for (const node of this.nodes) {
+      if (node.name) this.nodesByName.set(node.name, node);
+      if (node.id) this.nodesById.set(node.id, node);
+    }
+
+    this.incoming = new Map(); // node name -> edges into it, in connection order
+    this.outgoing = new Map(); // node name -> edges out of it, in connection order
+    this.buildEdges(workflow.connections || {});
+
+    this.loopEdges = this.findLoopEdges();
+  }
+
+  /**
+   * Resolve a node by name or id
+   * @returns {Object|undefined}
+   */
+  getNode(ref) {
+    return this.nodesByName.get(ref) || this.nodesById.get(ref);
+  }
+
+  /**
+   * Canonical key for a node reference (its name when the node exists)
+   */
+  keyOf(ref) {
+    const node = this.getNode(ref);
+    return node ? (node.name || node.id) : ref;
+  }
+
+  /**
+   * @private
+   */
+  buildEdges(connections) {
+    for (const [sourceRef, nodeConnections] of Object.entries(connections)) {
+      // Unknown sources are kept so their targets stay blocked, like before
+      const source = this.keyOf(sourceRef);
+
+      for (const type of ['main', ...SPECIAL_CONNECTION_TYPES]) {
+        const outputs = nodeConnections?.[type];
+        if (!Array.isArray(outputs)) continue;
+
+        outputs.forEach((outputArray, sourceOutput) => {
+          for (const connection of outputArray || []) {
+            const targetNode = this.getNode(connection.node);
+            if (!targetNode) continue;
+
+            const edge = {
+              source,
+              sourceOutput,
+              target: targetNode.name || targetNode.id,
+              targetInput: connection.index || 0,
+              type
+            };
+
+            this.addEdge(this.outgoing, edge.source, edge);
+            this.addEdge(this.incoming, edge.target, edge);
+          }
+        });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  addEdge(index, key, edge) {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(edge);
+  }
+
+  /**
+   * Edges into a node (main and ai_*), in connection order
+   */
+  getIncoming(ref) {
+    return this.incoming.get(this.keyOf(ref)) || [];
+  }
+
+  /**
+   * Edges out of a node (main and ai_*), in connection order
+   */
+  getOutgoing(ref) {
+    return this.outgoing.get(this.keyOf(ref)) || [];
+  }
+
+  /**
+   * Check whether an edge closes a SplitInBatches loop
+   */
+  isLoopEdge(edge) {
+    return this.loopEdges.has(edge);
+  }
+
+  /**
+   * Find the nodes reachable from a SplitInBatches node's loop output,
+   * without passing through the loop node itself
+   * @returns {Array<Object>} Loop body nodes in workflow order
+   */
+  findLoopBody(loopNode) {
+    const loopKey = loopNode.name || loopNode.id;
+    const loopOutputIndex = this.getLoopOutputIndex(loopNode);
+    const bodyKeys = new Set();
+    const queue = this.getOutgoing(loopKey)
+      .filter(edge => edge.type === 'main' && edge.sourceOutput === loopOutputIndex)
+      .map(edge => edge.target);
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      if (key === loopKey || bodyKeys.has(key)) continue;
+      bodyKeys.add(key);
+
+      for (const edge of this.getOutgoing(key)) {
+        if (edge.type === 'main') queue.push(edge.target);
+      }
+    }
+
+    return this.nodes.filter(node => bodyKeys.has(node.name || node.id));
+  }
+
+  /**
+   * Nodes a partial execution starting at `startRef` runs: the start node,
+   * everything downstream of it (loop-back edges are not followed, so a start
+   * node inside a loop body runs once) and the ai_* sub-nodes those nodes use
+   * @returns {Set<string>} Node keys
+   */
+  findPartialExecutionNodes(startRef) {
+    const keys = new Set();
+    const queue = [this.keyOf(startRef)];
+
+    while (queue.length > 0) {
+      const key = queue.shift();
+      if (keys.has(key)) continue;
+      keys.add(key);
+
+      for (const edge of this.getOutgoing(key)) {
+        if (!this.isLoopEdge(edge)) queue.push(edge.target);
+      }
+    }
+
+    // Sub-nodes (models, memory, tools...) feed their consumer through ai_* edges
+    const subNodeQueue = [...keys];
+    while (subNodeQueue.length > 0) {
+      for (const edge of this.getIncoming(subNodeQueue.shift())) {
+        if (edge.type !== 'main' && !keys.has(edge.source)) {
+          keys.add(edge.source);
+          subNodeQueue.push(edge.source);
+        }
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Collect the edges that lead from a loop body back into its SplitInBatches node
+   * @private
+   * @returns {Set<Object>} Edge objects
+   */
+  findLoopEdges() {
+    const loopEdges = new Set();
+
+    for (const loopNode of this.nodes.filter(n => n.type === LOOP_NODE_TYPE)) {
+      const loopKey = loopNode.name || loopNode.id;
+      const bodyKeys = new Set(this.findLoopBody(loopNode).map(n => n.name || n.id));
+
+      for (const edge of this.getIncoming(loopKey)) {
+        if (edge.type === 'main' && bodyKeys.has(edge.source)) {
+          loopEdges.add(edge);
+        }
+      }
+    }
+
+    return loopEdges;
+  }
+
+  /**
+   * Nodes with no incoming connections of any kind. UI-only sticky notes and
+   * ai_tool providers (run only when an agent calls them) are never entry nodes.
+   * @returns {Array<Object>}
+   */
+  findEntryNodes() {
+    const toolSources = new Set();
+    for (const edges of this.outgoing.values()) {
+      for (const edge of edges) {
+        if (edge.type === 'ai_tool') toolSources.add(edge.source);
+      }
+    }
+
+    return this.nodes.filter(node => {
+      const key = node.name || node.id;
+      return node.type !== 'n8n-nodes-base.stickyNote' &&
+        !toolSources.has(key) &&
+        this.getIncoming(key).length === 0;
+    });
+  }
+}
+
+module.exports = WorkflowGraph;
+module.exports.SPECIAL_CONNECTION_TYPES = SPECIAL_CONNECTION_TYPES;
@@ -0,0 +1,90 @@
+const { DateTime, Duration, Interval } = require('luxon');
+
+/**
+ * Workflow metadata globals
+ * The n8n built-ins that describe the running execution rather than item data,
+ * shared by expressions (expressionData.js) and the Code node:
+ * - $now / $today - Luxon DateTime (in workflow.settings.timezone when set)
+ * - $execution - { id, mode, customData: { set, get, setAll, getAll } }
+ * - $workflow - { id, name, active }
+ * - $prevNode - { name, outputIndex, runIndex } of the node that fed the current node
+ * - $runIndex - how many times the current node already ran in this execution (loops)
+ * - $itemIndex - index of the current item
+ * - $vars - variables passed to the runner (options.variables)
+ * - DateTime / Duration / Interval - the Luxon classes
+ *
+ * Values come from the (per-node) execution context the runner maintains:
+ * executionId, executionMode, workflow, variables, customData, prevNode, runIndex.
+ */
+
+/**
+ * @param {Object} executionContext - Runner execution context (or a node's view of it)
+ * @param {Object} [options]
+ * @param {number} [options.itemIndex=0] - Index of the current item
+ * @returns {Object} Globals keyed by name; $now/$today are evaluated on access
+ */
+function createMetadataGlobals(executionContext = {}, { itemIndex = 0 } = {}) {
+  const workflow = executionContext.workflow || {};
+  const timezone = workflow.settings?.timezone;
+
+  const now = () => {
+    const current = DateTime.now();
+    return timezone ? current.setZone(timezone) : current;
+  };
+
+  return {
+    get $now() {
+      return now();
+    },
+    get $today() {
+      return now().startOf('day');
+    },
+    $execution: {
+      id: executionContext.executionId,
+      mode: executionContext.executionMode || 'production',
+      customData: createCustomDataAccessor(executionContext)
+    },
+    $workflow: {
+      id: workflow.id,
+      name: workflow.name,
+      active: workflow.active === true
+    },
+    $prevNode: executionContext.prevNode || {},
+    $runIndex: executionContext.runIndex || 0,
+    $itemIndex: itemIndex,
+    $vars: executionContext.variables || {},
+    DateTime,
+    Duration,
+    Interval
+  };
+}
+
+/**
+ * $execution.customData - same store the Execution Data node writes to
+ * @private
+ */
+function createCustomDataAccessor(executionContext) {
+  const store = () => {
+    if (!executionContext.customData) {
+      executionContext.customData = {};
+    }
+    return executionContext.customData;
+  };
+
+  return {
+    set: (key, value) => {
+      store()[String(key)] = String(value);
+    },
+    get: (key) => store()[String(key)],
+    setAll: (values = {}) => {
+      for (const [key, value] of Object.entries(values)) {
+        store()[String(key)] = String(value);
+      }
+    },
+    getAll: () => ({ ...store() })
+  };
+}
+
+module.exports = {
+  createMetadataGlobals
+};
@@ -0,0 +1,363 @@
+const nodeRegistry = require('../nodeRegistry');
+const WorkflowGraph = require('./workflowGraph');
+const { SPECIAL_CONNECTION_TYPES } = require('./workflowGraph');
+const { extractParameterNames } = require('./parameterInjector');
+const { getCredentialPlaceholder } = require('./credentialResolver');
+const { getCredential, describeCredential } = require('./credentials');
+const TokenInjector = require('./tokenInjector');
+
+/**
+ * Workflow validator
+ * Static checks that catch broken templates before they run (and fail,
+ * possibly after an expensive LLM step):
+ * - UNKNOWN_NODE_TYPE          node type has no executor
+ * - UNSUPPORTED_TYPE_VERSION   typeVersion the node type's executor doesn't declare (warning)
+ * - MISSING_REQUIRED_PARAMETER parameter the node type declares required is empty
+ * - MISSING_CONNECTION_NODE    connection from/to a node that doesn't exist
+ * - UNREACHABLE_NODE           node no entry node leads to (warning)
+ * - CYCLE_WITHOUT_LOOP         connections loop without a SplitInBatches node
+ * - UNKNOWN_NODE_REFERENCE     $('Node') / $node["Node"] / $items('Node') naming a missing node
+ * - UNRESOLVED_PARAMETER       {{PARAMETER}} placeholder without a value
+ * - UNRESOLVED_CREDENTIAL      {{CREDENTIAL}} placeholder not in the developer keys
+ * - MISSING_CREDENTIAL         required credential neither in the tokens nor the environment
+ *                              (only checked when tokens are given, as a preflight of a run)
+ *
+ * Placeholders are errors when values were supplied (parameters / developerKeys)
+ * and one is missing; validating a bare template lists them as warnings, since
+ * they are filled in at run time.
+ */
+
+const LOOP_NODE_TYPE = 'n8n-nodes-base.splitInBatches';
+const STICKY_NOTE_TYPE = 'n8n-nodes-base.stickyNote';
+const NODE_REFERENCE_REGEX = /\$(?:\(\s*|node\s*\[\s*|items\s*\(\s*)(['"`])((?:\\.|(?!\1).)*?)\1/g;
+
+/**
+ * @param {Object} workflow - Workflow JSON ({ nodes, connections })
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.nodeTypes] - Node types that have an executor
+ *        (defaults to the types in the node registry)
+ * @param {Object} [options.parameters] - Values for {{PARAMETER}} placeholders (user config)
+ * @param {Object} [options.developerKeys] - The automation's developer_keys; they resolve
+ *        credential placeholders and, like at run time, parameter placeholders too
+ * @param {Object} [options.tokens] - Tokens the workflow would run with; checks that every
+ *        node has the credentials it requires
+ * @param {Object} [options.tokenMapping] - Custom token name mapping, as for a run
+ * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}} Issues look like
+ *          { code, message, node? }
+ */
+function validateWorkflow(workflow, options = {}) {
+  const issues = [];
+  const report = (severity, code, message, details = {}) => {
+    issues.push({ severity, code, message, ...details });
+  };
+
+  if (!workflow || typeof workflow !== 'object' || !Array.isArray(workflow.nodes)) {
+    report('error', 'INVALID_WORKFLOW', 'Workflow must be an object with a nodes array');
+    return toResult(issues);
+  }
+
+  const graph = new WorkflowGraph(workflow);
+  const nodes = workflow.nodes.filter(node => node && node.type !== STICKY_NOTE_TYPE);
+
+  checkNodeTypes(nodes, getNodeTypes(options), report);
+  checkRequiredParameters(nodes, report);
+  checkConnections(workflow, graph, report);
+  checkReachability(graph, nodes, report);
+  checkCycles(graph, nodes, report);
+  checkNodeReferences(graph, nodes, report);
+  checkPlaceholders(nodes, options, report);
+  if (options.tokens) checkCredentials(nodes, options, report);
+
+  return toResult(issues);
+}
+
+/**
+ * @private
+ */
+function getNodeTypes(options) {
+  if (options.nodeTypes) return new Set(options.nodeTypes);
+  return new Set(nodeRegistry.getTypeNames());
+}
+
+/**
+ * @private
+ */
+function checkNodeTypes(nodes, nodeTypes, report) {
+  for (const node of nodes) {
+    if (!nodeTypes.has(node.type)) {
+      report('error', 'UNKNOWN_NODE_TYPE', `Node '${nodeKey(node)}' has unsupported type '${node.type}'`, {
+        node: nodeKey(node),
+        nodeType: node.type
+      });
+      continue;
+    }
+
+    const typeVersions = nodeRegistry.get(node.type)?.typeVersions;
+    if (node.typeVersion !== undefined && typeVersions && !typeVersions.includes(Number(node.typeVersion))) {
+      report('warning', 'UNSUPPORTED_TYPE_VERSION',
+        `Node '${nodeKey(node)}' is ${node.type} version ${node.typeVersion}; supported versions are ${typeVersions.join(', ')}`, {
+          node: nodeKey(node),
+          nodeType: node.type,
+          typeVersion: node.typeVersion
+        });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function checkRequiredParameters(nodes, report) {
+  for (const node of nodes) {
+    const declared = nodeRegistry.get(node.type)?.parameters || {};
+    for (const [name, parameter] of Object.entries(declared)) {
+      if (parameter.required && isEmpty(node.parameters?.[name])) {
+        report('error', 'MISSING_REQUIRED_PARAMETER', `Node '${nodeKey(node)}' is missing required parameter '${name}'`, {
+          node: nodeKey(node),
+          parameter: name
+        });
+      }
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function checkConnections(workflow, graph, report) {
+  for (const [sourceRef, nodeConnections] of Object.entries(workflow.connections || {})) {
+    if (!graph.getNode(sourceRef)) {
+      report('error', 'MISSING_CONNECTION_NODE', `Connections start from missing node '${sourceRef}'`, {
+        node: sourceRef
+      });
+    }
+
+    for (const type of ['main', ...SPECIAL_CONNECTION_TYPES]) {
+      const outputs = nodeConnections?.[type];
+      if (!Array.isArray(outputs)) continue;
+
+      for (const outputArray of outputs) {
+        for (const connection of outputArray || []) {
+          if (!graph.getNode(connection?.node)) {
+            report('error', 'MISSING_CONNECTION_NODE',
+              `Node '${graph.keyOf(sourceRef)}' connects to missing node '${connection?.node}'`, {
+                node: graph.keyOf(sourceRef),
+                target: connection?.node
+              });
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Nodes the runner can get to: entry nodes, what follows them, and the tool
+ * sub-nodes of nodes it gets to (they have no entry of their own)
+ * @private
+ */
+function checkReachability(graph, nodes, report) {
+  const reached = new Set();
+  const queue = graph.findEntryNodes().map(nodeKey);
+
+  while (queue.length > 0) {
+    const key = queue.shift();
+    if (reached.has(key)) continue;
+    reached.add(key);
+
+    for (const edge of graph.getOutgoing(key)) {
+      queue.push(edge.target);
+    }
+    for (const edge of graph.getIncoming(key)) {
+      if (edge.type === 'ai_tool') queue.push(edge.source);
+    }
+  }
+
+  for (const node of nodes) {
+    if (!reached.has(nodeKey(node))) {
+      report('warning', 'UNREACHABLE_NODE', `Node '${nodeKey(node)}' is never executed: no entry node leads to it`, {
+        node: nodeKey(node)
+      });
+    }
+  }
+}
+
+/**
+ * Strongly connected components of the main connections (Tarjan); a component
+ * with more than one node, or a node connected to itself, is a cycle
+ * @private
+ */
+function checkCycles(graph, nodes, report) {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  let nextIndex = 0;
+
+  const visit = (key) => {
+    indexes.set(key, nextIndex);
+    lowLinks.set(key, nextIndex);
+    nextIndex++;
+    stack.push(key);
+    onStack.add(key);
+
+    let selfLoop = false;
+    for (const edge of graph.getOutgoing(key)) {
+      if (edge.type !== 'main') continue;
+      if (edge.target === key) selfLoop = true;
+      if (!indexes.has(edge.target)) {
+        visit(edge.target);
+        lowLinks.set(key, Math.min(lowLinks.get(key), lowLinks.get(edge.target)));
+      } else if (onStack.has(edge.target)) {
+        lowLinks.set(key, Math.min(lowLinks.get(key), indexes.get(edge.target)));
+      }
+    }
+
+    if (lowLinks.get(key) !== indexes.get(key)) return;
+
+    const component = [];
+    let member;
+    do {
+      member = stack.pop();
+      onStack.delete(member);
+      component.push(member);
+    } while (member !== key);
+
+    const isCycle = component.length > 1 || selfLoop;
+    if (isCycle && !component.some(ref => graph.getNode(ref)?.type === LOOP_NODE_TYPE)) {
+      const cycleNodes = nodes.map(nodeKey).filter(ref => component.includes(ref));
+      report('error', 'CYCLE_WITHOUT_LOOP',
+        `Nodes ${cycleNodes.map(ref => `'${ref}'`).join(', ')} form a cycle without a SplitInBatches (Loop Over Items) node`, {
+          nodes: cycleNodes
+        });
+    }
+  };
+
+  for (const node of nodes) {
+    if (!indexes.has(nodeKey(node))) visit(nodeKey(node));
+  }
+}
+
+/**
+ * @private
+ */
+function checkNodeReferences(graph, nodes, report) {
+  for (const node of nodes) {
+    const missing = new Set();
+    for (const text of collectStrings(node.parameters)) {
+      for (const match of text.matchAll(NODE_REFERENCE_REGEX)) {
+        const name = match[2].replace(/\\(.)/g, '$1');
+        // Names built at run time (`${...}`) can't be checked
+        if (!name.includes('${') && !graph.getNode(name)) missing.add(name);
+      }
+    }
+
+    for (const name of missing) {
+      report('error', 'UNKNOWN_NODE_REFERENCE', `Node '${nodeKey(node)}' references missing node '${name}'`, {
+        node: nodeKey(node),
+        reference: name
+      });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function checkPlaceholders(nodes, options, report) {
+  const { parameters, developerKeys } = options;
+  const values = { ...developerKeys, ...parameters };
+  const parameterSeverity = parameters || developerKeys ? 'error' : 'warning';
+  const credentialSeverity = developerKeys ? 'error' : 'warning';
+
+  for (const node of nodes) {
+    for (const name of extractParameterNames(node.parameters)) {
+      if (!Object.prototype.hasOwnProperty.call(values, name)) {
+        report(parameterSeverity, 'UNRESOLVED_PARAMETER', `Node '${nodeKey(node)}' uses parameter {{${name}}} that has no value`, {
+          node: nodeKey(node),
+          parameter: name
+        });
+      }
+    }
+
+    for (const [credentialType, credential] of Object.entries(node.credentials || {})) {
+      const name = getCredentialPlaceholder(credential);
+      if (name && !developerKeys?.[name]) {
+        report(credentialSeverity, 'UNRESOLVED_CREDENTIAL',
+          `Node '${nodeKey(node)}' credential '${credentialType}' needs developer key ${name}`, {
+            node: nodeKey(node),
+            credential: credentialType,
+            parameter: name
+          });
+      }
+    }
+  }
+}
+
+/**
+ * Credentials are looked up the way executors do (tokens mapped by
+ * TokenInjector, then the environment)
+ * @private
+ */
+function checkCredentials(nodes, options, report) {
+  const tokenInjector = new TokenInjector(options.tokens, options.tokenMapping);
+  const context = { tokens: tokenInjector.tokens, tokenInjector };
+
+  for (const node of nodes) {
+    for (const credential of nodeRegistry.get(node.type)?.credentials || []) {
+      if (!credential.required || getCredential(context, credential.name)) continue;
+
+      const { displayName, env } = describeCredential(credential.name);
+      const fallback = env.length > 0 ? ` or the ${env.join(' / ')} environment variable` : '';
+      report('error', 'MISSING_CREDENTIAL',
+        `Node '${nodeKey(node)}' needs ${displayName}: set token '${credential.name}'${fallback}`, {
+          node: nodeKey(node),
+          credential: credential.name
+        });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function isEmpty(value) {
+  // n8n resource locators ({ __rl, mode, value }) hold the value one level down
+  const resolved = value && typeof value === 'object' && value.__rl ? value.value : value;
+  return resolved === undefined || resolved === null || resolved === '';
+}
+
+/**
+ * @private
+ */
+function collectStrings(value, strings = []) {
+  if (typeof value === 'string') {
+    strings.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(entry => collectStrings(entry, strings));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(entry => collectStrings(entry, strings));
+  }
+  return strings;
+}
+
+/**
+ * @private
+ */
+function nodeKey(node) {
+  return node.name || node.id;
+}
+
+/**
+ * @private
+ */
+function toResult(issues) {
+  const strip = ({ severity, ...issue }) => issue;
+  const errors = issues.filter(issue => issue.severity === 'error').map(strip);
+  const warnings = issues.filter(issue => issue.severity === 'warning').map(strip);
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  validateWorkflow
+};
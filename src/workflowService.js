@@ -120,7 +120,7 @@ class WorkflowService {
       throw new Error('Workflow must have a nodes array');
     }
 
-    const runner = new this.RunnerClass();
+    const runner = new this.RunnerClass({ workflowId, triggerType: 'api' });
     return runner.execute(injectedWorkflow, initialData, tokens, tokenMapping);
   }
 
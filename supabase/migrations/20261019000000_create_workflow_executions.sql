@@ -0,0 +1,33 @@
+-- Execution history (src/executionStore.js, SupabaseExecutionBackend)
+-- One row per finished execution; run_data and outputs hold the per-node
+-- run data and the truncated output snapshots.
+
+create table if not exists workflow_executions (
+  id text primary key,
+  workflow_id text,
+  workflow_name text,
+  user_id text,
+  trigger_type text,
+  mode text,
+  status text not null check (status in ('success', 'error')),
+  started_at timestamptz not null,
+  stopped_at timestamptz,
+  duration_ms integer,
+  error text,
+  parent_execution_id text,
+  run_data jsonb,
+  outputs jsonb
+);
+
+-- GET /api/executions lists by user or workflow, newest first
+create index if not exists workflow_executions_user_started_idx
+  on workflow_executions (user_id, started_at desc);
+create index if not exists workflow_executions_workflow_started_idx
+  on workflow_executions (workflow_id, started_at desc);
+-- Retention pruning deletes by age
+create index if not exists workflow_executions_started_idx
+  on workflow_executions (started_at);
+
+-- Run data holds workflow inputs and outputs: only the runner's service role
+-- key reads and writes it, clients go through the API's per-user checks
+alter table workflow_executions enable row level security;
@@ -0,0 +1,5 @@
+-- Per-node completeness of the output snapshots (src/executionStore.js):
+-- { "<node>": { itemCount, truncated, binaryReleased } }. POST /execute won't
+-- resume a partial run from a snapshot that isn't the node's whole output.
+
+alter table workflow_executions add column if not exists snapshot_info jsonb;
@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const PORT = 40000 + (process.pid % 10000);
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+
+/**
+ * The API server on a throwaway JSON execution store; Supabase points at a closed port
+ */
+function startServer(dataPath) {
+  const server = spawn(process.execPath, [path.join(__dirname, '../../src/index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      NEXT_PUBLIC_SUPABASE_URL: 'http://127.0.0.1:9',
+      SUPABASE_SERVICE_ROLE_KEY: 'test',
+      EXECUTION_STORE: 'json',
+      EXECUTION_DATA_PATH: dataPath
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    server.stdout.on('data', (chunk) => {
+      if (String(chunk).includes('listening on port')) resolve(server);
+    });
+    server.on('exit', code => reject(new Error(`Server exited early (code ${code})`)));
+  });
+}
+
+async function post(route, body) {
+  const response = await fetch(`${BASE_URL}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const node = (name, type, parameters = {}) => ({ id: name, name, type, parameters });
+
+const workflow = {
+  name: 'Resume test',
+  nodes: [
+    node('Start', 'n8n-nodes-base.manualTrigger'),
+    node('Tag', 'n8n-nodes-base.set', {
+      assignments: { assignments: [{ name: 'tagged', value: true, type: 'boolean' }] }
+    })
+  ],
+  connections: { Start: { main: [[{ node: 'Tag' }]] } }
+};
+
+const rows = count => Array.from({ length: count }, (value, index) => ({ json: { row: index } }));
+
+let server;
+let dataPath;
+
+before(async () => {
+  dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'executions-test-'));
+  server = await startServer(dataPath);
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});
+
+describe('POST /execute with fromExecutionId', () => {
+  async function recordRun(itemCount) {
+    const { status, body } = await post('/execute', {
+      workflow,
+      initialData: { user_id: 'alice' },
+      pinData: { Start: rows(itemCount) }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    return body.executionId;
+  }
+
+  it('refuses to resume from a snapshot that was cut off', async () => {
+    const fromExecutionId = await recordRun(25);
+
+    const { status, body } = await post('/execute', {
+      workflow,
+      initialData: { user_id: 'alice' },
+      startNode: 'Tag',
+      fromExecutionId
+    });
+
+    assert.equal(status, 409);
+    assert.match(body.error, /'Start'.*pinData/);
+    assert.deepEqual(body.incompleteNodes, [
+      { node: 'Start', itemCount: 25, truncated: true, binaryReleased: false }
+    ]);
+  });
+
+  it('resumes when the incomplete node is pinned instead', async () => {
+    const fromExecutionId = await recordRun(25);
+
+    const { status, body } = await post('/execute', {
+      workflow,
+      initialData: { user_id: 'alice' },
+      startNode: 'Tag',
+      fromExecutionId,
+      pinData: { Start: rows(25) }
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.pinnedNodes, ['Start']);
+    assert.equal(body.outputs.Tag.length, 25);
+  });
+
+  it('resumes from a snapshot that holds the whole output', async () => {
+    const fromExecutionId = await recordRun(3);
+
+    const { status, body } = await post('/execute', {
+      workflow,
+      initialData: { user_id: 'alice' },
+      startNode: 'Tag',
+      fromExecutionId
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.reusedNodes, ['Start']);
+    assert.deepEqual(body.outputs.Tag.map(item => item.json), rows(3).map(({ json }) => ({ ...json, tagged: true })));
+  });
+});
+
+describe('GET /api/executions/:id/stream', () => {
+  const stream = (executionId, query = '') => fetch(`${BASE_URL}/api/executions/${executionId}/stream${query}`);
+  const eventTypes = text => [...text.matchAll(/^event: (\w+)$/gm)].map(match => match[1]);
+
+  it('requires user_id', async () => {
+    const response = await stream('some-run');
+    assert.equal(response.status, 400);
+  });
+
+  it('replays a run to its owner only', async () => {
+    const { body } = await post('/execute', { workflow, initialData: { user_id: 'alice' } });
+
+    assert.equal((await stream(body.executionId, '?user_id=bob')).status, 404);
+
+    const response = await stream(body.executionId, '?user_id=alice');
+    assert.equal(response.status, 200);
+    const types = eventTypes(await response.text());
+    assert.equal(types[0], 'executionStarted');
+    assert.equal(types[types.length - 1], 'executionFinished');
+  });
+
+  it('closes a stream opened before the run started if the run is someone else\'s', async () => {
+    const executionId = `stream-test-${process.pid}`;
+    const owner = await stream(executionId, '?user_id=alice');
+    const other = await stream(executionId, '?user_id=bob');
+
+    const { status } = await post('/execute', { workflow, executionId, initialData: { user_id: 'alice' } });
+    assert.equal(status, 200);
+
+    assert.deepEqual(eventTypes(await other.text()), []);
+    assert.ok(eventTypes(await owner.text()).includes('executionFinished'));
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const array = require('../../src/utils/extensions/array');
+
+describe('array extensions', () => {
+  it('reads ends and emptiness', () => {
+    assert.equal(array.isEmpty([]), true);
+    assert.equal(array.isNotEmpty([0]), true);
+    assert.equal(array.first([1, 2, 3]), 1);
+    assert.equal(array.last([1, 2, 3]), 3);
+    assert.equal(array.first([]), undefined);
+  });
+
+  it('aggregates numbers', () => {
+    assert.equal(array.sum([1, 2, 3]), 6);
+    assert.equal(array.sum(['1', 2]), 3);
+    assert.equal(array.average([1, 2, 3]), 2);
+    assert.equal(array.average([]), 0);
+    assert.equal(array.min([3, 1, 2]), 1);
+    assert.equal(array.max([3, 1, 2]), 3);
+    assert.throws(() => array.sum([1, 'x']), /sum\(\): the array contains a value that is not a number \("x"\)/);
+    assert.throws(() => array.max([1, null]), /not a number \(null\)/);
+  });
+
+  it('chunks and compacts', () => {
+    assert.deepEqual(array.chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+    assert.throws(() => array.chunk([1], 0), /positive integer/);
+    assert.deepEqual(array.compact([null, 1, '', 2, undefined, NaN, 0, false]), [1, 2, 0, false]);
+  });
+
+  it('removes duplicates, optionally by field', () => {
+    assert.deepEqual(array.removeDuplicates([1, 1, '1', 2]), [1, '1', 2]);
+    assert.deepEqual(array.removeDuplicates([{ a: 1 }, { a: 1 }, { a: 2 }]), [{ a: 1 }, { a: 2 }]);
+    assert.deepEqual(
+      array.removeDuplicates([{ id: 1, n: 'a' }, { id: 1, n: 'b' }, { id: 2, n: 'c' }], 'id'),
+      [{ id: 1, n: 'a' }, { id: 2, n: 'c' }]
+    );
+    assert.deepEqual(array.unique(['a', 'a']), ['a']);
+  });
+
+  it('plucks and renames fields', () => {
+    const rows = [{ a: 1, b: 2 }, { a: 3 }, null];
+    assert.deepEqual(array.pluck(rows, 'a'), [1, 3]);
+    assert.deepEqual(array.pluck(rows, 'a', 'b'), [{ a: 1, b: 2 }, { a: 3 }]);
+    assert.deepEqual(array.renameKeys([{ a: 1, c: 3 }, 'x'], 'a', 'b'), [{ b: 1, c: 3 }, 'x']);
+    assert.throws(() => array.renameKeys([], 'a'), /pairs/);
+  });
+
+  it('joins rows into an object', () => {
+    assert.deepEqual(
+      array.smartJoin([{ name: 'x', value: 1 }, { name: 'y', value: 2 }, { other: 1 }], 'name', 'value'),
+      { x: 1, y: 2 }
+    );
+  });
+
+  it('combines arrays as sets', () => {
+    assert.deepEqual(array.union([1, 2], [2, 3]), [1, 2, 3]);
+    assert.deepEqual(array.intersection([1, 2, 2, 3], [2, 3, 4]), [2, 3]);
+    assert.deepEqual(array.difference([1, 2, 3], [2]), [1, 3]);
+    assert.deepEqual(array.difference([{ a: 1 }, { a: 2 }], [{ a: 1 }]), [{ a: 2 }]);
+  });
+
+  it('picks a random item from the array', () => {
+    const values = [1, 2, 3];
+    assert.ok(values.includes(array.randomItem(values)));
+    assert.equal(array.toJsonString([1, 'a']), '[1,"a"]');
+  });
+});
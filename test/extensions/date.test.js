@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const date = require('../../src/utils/extensions/date');
+
+// Friday
+const MARCH_1 = DateTime.fromISO('2024-03-01T10:30:00', { zone: 'utc' });
+
+describe('date extensions', () => {
+  it('formats', () => {
+    assert.equal(date.format(MARCH_1, 'yyyy-MM-dd HH:mm'), '2024-03-01 10:30');
+  });
+
+  it('finds the start and end of a period', () => {
+    assert.equal(date.beginningOf(MARCH_1, 'month').toISO(), '2024-03-01T00:00:00.000Z');
+    assert.equal(date.beginningOf(MARCH_1).toISODate(), '2024-02-26');
+    assert.equal(date.beginningOf(MARCH_1, 'days').toISO(), '2024-03-01T00:00:00.000Z');
+    assert.equal(date.endOfMonth(MARCH_1).toISO(), '2024-03-31T23:59:59.999Z');
+  });
+
+  it('extracts parts', () => {
+    assert.equal(date.extract(MARCH_1, 'year'), 2024);
+    assert.equal(date.extract(MARCH_1, 'month'), 3);
+    assert.equal(date.extract(MARCH_1, 'hour'), 10);
+    assert.equal(date.extract(MARCH_1), 9);
+    assert.equal(date.extract(MARCH_1, 'dayOfYear'), 61);
+  });
+
+  it('adds and subtracts amounts of a unit', () => {
+    assert.equal(date.plus(MARCH_1, 1, 'day').toISODate(), '2024-03-02');
+    assert.equal(date.plus(MARCH_1, 2, 'h').toISO(), '2024-03-01T12:30:00.000Z');
+    assert.equal(date.minus(MARCH_1, 7, 'days').toISODate(), '2024-02-23');
+    assert.equal(date.minus(MARCH_1, { months: 1 }).toISODate(), '2024-02-01');
+  });
+
+  it('compares dates', () => {
+    assert.equal(date.isBetween(MARCH_1, '2024-01-01T00:00:00Z', '2024-12-31T00:00:00Z'), true);
+    assert.equal(date.isBetween(MARCH_1, '2024-03-01T11:00:00Z', '2024-12-31T00:00:00Z'), false);
+    assert.equal(date.isInLast(DateTime.now().minus({ hours: 1 }), 2, 'days'), true);
+    assert.equal(date.isInLast(DateTime.now().minus({ days: 3 }), 2, 'days'), false);
+    assert.equal(date.diffTo(MARCH_1, DateTime.fromISO('2024-02-28T10:30:00Z')), 2);
+    assert.equal(date.diffTo(MARCH_1, DateTime.fromISO('2024-03-01T08:30:00Z'), 'hours'), 2);
+  });
+
+  it('knows weekends and DST', () => {
+    assert.equal(date.isWeekend(MARCH_1), false);
+    assert.equal(date.isWeekend(date.plus(MARCH_1, 1, 'day')), true);
+    assert.equal(date.isDst(DateTime.fromISO('2024-07-01', { zone: 'Europe/Berlin' })), true);
+    assert.equal(date.isDst(DateTime.fromISO('2024-01-01', { zone: 'Europe/Berlin' })), false);
+  });
+
+  it('accepts DateTimes, JS Dates, ISO strings and epoch millis', () => {
+    assert.equal(date.toDateTime(MARCH_1), MARCH_1);
+    assert.equal(date.toDateTime(new Date('2024-03-01T10:30:00Z')).toMillis(), MARCH_1.toMillis());
+    assert.equal(date.toDateTime('2024-03-01T10:30:00Z').toMillis(), MARCH_1.toMillis());
+    assert.equal(date.toDateTime(MARCH_1.toMillis()).toMillis(), MARCH_1.toMillis());
+    assert.throws(() => date.toDateTime({}), /Expected a date/);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { extend, transformSource, getExtensionType } = require('../../src/utils/extensions');
+const { evaluateExpression } = require('../../src/utils/expressions');
+
+describe('transformSource', () => {
+  it('rewrites extension calls into __extend calls', () => {
+    assert.equal(transformSource('$json.email.extractDomain()'), '__extend($json.email, "extractDomain", [])');
+    assert.equal(transformSource('items.chunk(2)'), '__extend(items, "chunk", [2])');
+  });
+
+  it('marks calls in an optional chain as optional', () => {
+    assert.equal(transformSource('value?.sum()'), '__extend(value, "sum", [], true)');
+    assert.equal(transformSource('a?.b.sum()'), '__extend(a?.b, "sum", [], true)');
+  });
+
+  it('rewrites nested and chained calls', () => {
+    assert.equal(
+      transformSource('list.pluck("a").sum()'),
+      '__extend(__extend(list, "pluck", ["a"]), "sum", [])'
+    );
+    assert.equal(
+      transformSource('f(x.toTitleCase(), y.round(1))'),
+      'f(__extend(x, "toTitleCase", []), __extend(y, "round", [1]))'
+    );
+  });
+
+  it('leaves other calls and unparsable source alone', () => {
+    assert.equal(transformSource('a.b(1) + JSON.stringify(c)'), 'a.b(1) + JSON.stringify(c)');
+    assert.equal(transformSource('obj["sum"]()'), 'obj["sum"]()');
+    assert.equal(transformSource('x.sum( +'), 'x.sum( +');
+  });
+});
+
+describe('extend', () => {
+  it('falls back to native methods that share an extension name', () => {
+    assert.equal(transformSource('Math.max(1, 2)'), '__extend(Math, "max", [1, 2])');
+    assert.equal(extend(Math, 'max', [1, 2]), 2);
+  });
+
+  it('dispatches on the value type', () => {
+    assert.equal(extend('a@b.com', 'extractDomain', []), 'b.com');
+    assert.equal(extend([1, 2], 'sum', []), 3);
+    assert.equal(extend(1.234, 'round', [1]), 1.2);
+    assert.equal(extend(true, 'toNumber', []), 1);
+    assert.deepEqual(extend({ a: null, b: 1 }, 'compact', []), { b: 1 });
+    assert.equal(extend(new Date('2024-03-01T00:00:00Z'), 'extract', ['year']), 2024);
+  });
+
+  it('prefers native methods, except where n8n redefines them', () => {
+    assert.equal(extend([1, 2], 'includes', [2]), true);
+    assert.equal(extend({ isEmpty: () => 'own' }, 'isEmpty', []), 'own');
+    const date = DateTime.fromISO('2024-03-01T00:00:00Z', { zone: 'utc' });
+    assert.equal(extend(date, 'plus', [1, 'day']).toISODate(), '2024-03-02');
+    assert.equal(extend(date, 'toFormat', ['yyyy']), '2024');
+  });
+
+  it('handles null receivers and unknown methods', () => {
+    assert.equal(extend(null, 'sum', [], true), undefined);
+    assert.throws(() => extend(undefined, 'sum', []), /Cannot read properties of undefined \(reading 'sum'\)/);
+    assert.throws(() => extend(1, 'sum', []), /sum\(\) is not a function on number values/);
+  });
+
+  it('classifies values', () => {
+    assert.equal(getExtensionType('a'), 'string');
+    assert.equal(getExtensionType([]), 'array');
+    assert.equal(getExtensionType(new Date()), 'date');
+    assert.equal(getExtensionType(DateTime.now()), 'date');
+    assert.equal(getExtensionType(null), null);
+  });
+});
+
+describe('extension calls in expressions', () => {
+  const evaluate = (expression, json = {}) => evaluateExpression(expression, { currentInput: [{ json }] });
+
+  it('runs string, array, number and date extensions', () => {
+    assert.equal(evaluate('={{ $json.email.extractDomain() }}', { email: 'ann@example.com' }), 'example.com');
+    assert.equal(evaluate('={{ $json.values.sum() }}', { values: [1, 2, 3] }), 6);
+    assert.equal(evaluate('={{ $json.price.round(1) }}', { price: 9.87 }), 9.9);
+    assert.equal(evaluate("={{ $json.date.toDateTime().plus(1, 'day').format('yyyy-MM-dd') }}", { date: '2024-02-28' }), '2024-02-29');
+  });
+
+  it('keeps native methods working', () => {
+    // Arrays built in the expression context have that context's prototype
+    assert.deepEqual(Array.from(evaluate("={{ $json.csv.split(',') }}", { csv: 'a,b' })), ['a', 'b']);
+    assert.equal(evaluate('={{ $json.values.includes(2) }}', { values: [1, 2] }), true);
+  });
+
+  it('interpolates extension results into text', () => {
+    assert.equal(evaluate('Hello {{ $json.name.toTitleCase() }}!', { name: 'ann lee' }), 'Hello Ann Lee!');
+  });
+
+  it('short-circuits optional calls on missing values', () => {
+    assert.equal(evaluate('={{ $json.missing?.sum() ?? "none" }}'), 'none');
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const number = require('../../src/utils/extensions/number');
+
+describe('number extensions', () => {
+  it('rounds', () => {
+    assert.equal(number.round(1.234, 2), 1.23);
+    assert.equal(number.round(1.5), 2);
+    assert.equal(number.floor(1.5), 1);
+    assert.equal(number.ceil(1.1), 2);
+    assert.equal(number.abs(-3), 3);
+  });
+
+  it('checks parity and integers', () => {
+    assert.equal(number.isEven(4), true);
+    assert.equal(number.isEven(4.5), false);
+    assert.equal(number.isOdd(-3), true);
+    assert.equal(number.isOdd(2), false);
+    assert.equal(number.isInteger(2), true);
+    assert.equal(number.isInteger(2.1), false);
+  });
+
+  it('formats for a locale', () => {
+    assert.equal(number.format(1234.5, 'en-US'), '1,234.5');
+    assert.equal(number.format(0.5, 'en-US', { style: 'percent' }), '50%');
+  });
+
+  it('converts to booleans', () => {
+    assert.equal(number.toBoolean(0), false);
+    assert.equal(number.toBoolean(NaN), false);
+    assert.equal(number.toBoolean(-1), true);
+  });
+
+  it('converts epoch and Excel serial numbers to dates', () => {
+    assert.equal(number.toDateTime(1704067200, 's').toUTC().toISO(), '2024-01-01T00:00:00.000Z');
+    assert.equal(number.toDateTime(1704067200000).toUTC().toISO(), '2024-01-01T00:00:00.000Z');
+    assert.equal(number.toDateTime(45292, 'excel').toISODate(), '2024-01-01');
+    assert.throws(() => number.toDateTime(1, 'days'), /unknown unit 'days'/);
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const string = require('../../src/utils/extensions/string');
+
+describe('string extensions', () => {
+  it('checks emptiness', () => {
+    assert.equal(string.isEmpty(''), true);
+    assert.equal(string.isEmpty(' '), false);
+    assert.equal(string.isNotEmpty('a'), true);
+  });
+
+  it('extracts emails, URLs and domains', () => {
+    assert.equal(string.extractEmail('Contact me at ann@example.com.'), 'ann@example.com');
+    assert.equal(string.extractEmail('no address here'), undefined);
+    assert.equal(string.extractUrl('see https://example.com/a?b=1 for more'), 'https://example.com/a?b=1');
+    assert.equal(string.extractDomain('https://www.example.com/path?q=1'), 'www.example.com');
+    assert.equal(string.extractDomain('ann@example.org'), 'example.org');
+    assert.equal(string.extractDomain('example.net/path'), 'example.net');
+    assert.equal(string.extractUrlPath('https://example.com/a/b?c=1'), '/a/b');
+    assert.equal(string.extractUrlPath('not a url'), undefined);
+  });
+
+  it('validates emails, URLs, domains and numbers', () => {
+    assert.equal(string.isEmail(' ann@example.com '), true);
+    assert.equal(string.isEmail('ann@'), false);
+    assert.equal(string.isUrl('https://example.com'), true);
+    assert.equal(string.isUrl('ftp://example.com'), false);
+    assert.equal(string.isDomain('sub.example.co.uk'), true);
+    assert.equal(string.isDomain('-bad-.com'), false);
+    assert.equal(string.isNumeric('12.5'), true);
+    assert.equal(string.isNumeric(' '), false);
+    assert.equal(string.isNumeric('12a'), false);
+  });
+
+  it('changes case', () => {
+    assert.equal(string.toTitleCase('quick brown fox'), 'Quick Brown Fox');
+    assert.equal(string.toSentenceCase('hello THERE. how are you?'), 'Hello there. How are you?');
+    assert.equal(string.toSnakeCase('quick brown fox'), 'quick_brown_fox');
+    assert.equal(string.toSnakeCase('quickBrown-fox'), 'quick_brown_fox');
+    assert.equal(string.toCamelCase('quick_brown fox'), 'quickBrownFox');
+  });
+
+  it('encodes and decodes', () => {
+    assert.equal(string.urlEncode('a b/c'), 'a%20b%2Fc');
+    assert.equal(string.urlEncode('a b/c', true), 'a%20b/c');
+    assert.equal(string.urlDecode('a%20b%2Fc'), 'a b/c');
+    assert.equal(string.base64Encode('hello'), 'aGVsbG8=');
+    assert.equal(string.base64Decode('aGVsbG8='), 'hello');
+  });
+
+  it('hashes with the named algorithm', () => {
+    assert.equal(string.hash('hello'), '5d41402abc4b2a76b9719d911017c592');
+    assert.equal(string.hash('hello', 'sha256'), '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+    assert.equal(string.hash('hello', 'base64'), 'aGVsbG8=');
+    assert.throws(() => string.hash('hello', 'crc32'), /unknown algorithm 'crc32'/);
+  });
+
+  it('strips markup', () => {
+    assert.equal(string.removeTags('<p>Hi <b>there</b></p>'), 'Hi there');
+    assert.equal(string.removeMarkdown('# Title\n**bold** and [a link](https://x.y)'), 'Title\nbold and a link');
+    assert.equal(string.replaceSpecialChars('Crème brûlée'), 'Creme brulee');
+    assert.equal(string.quote('say "hi"'), '"say \\"hi\\""');
+  });
+
+  it('converts to other types', () => {
+    assert.deepEqual(string.parseJson('{"a":[1]}'), { a: [1] });
+    assert.throws(() => string.parseJson('{'), /not valid JSON/);
+    assert.equal(string.toNumber(' 12.5 '), 12.5);
+    assert.equal(string.toFloat('1e3'), 1000);
+    assert.throws(() => string.toNumber('abc'), /cannot be converted/);
+    assert.equal(string.toInt('-7.9'), -7);
+    assert.equal(string.toBoolean('yes'), true);
+    assert.equal(string.toBoolean(' Off '), false);
+    assert.equal(string.toJsonString('a"b'), '"a\\"b"');
+  });
+
+  it('parses dates in ISO, RFC 2822, HTTP and SQL formats', () => {
+    assert.equal(string.toDateTime('2024-03-01').toISODate(), '2024-03-01');
+    assert.equal(string.toDateTime('Fri, 01 Mar 2024 10:00:00 +0000').toUTC().toISO(), '2024-03-01T10:00:00.000Z');
+    assert.equal(string.toDateTime('2024-03-01 10:00:00').toFormat('yyyy-MM-dd HH:mm'), '2024-03-01 10:00');
+    assert.throws(() => string.toDateTime('not a date'), /not a recognised date/);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WorkflowRunner = require('../../src/runner');
+const gmailTool = require('../../src/invoice-system-manager/gmailTool');
+const { createDryRun } = require('../../src/utils/dryRun');
+
+const node = (name, type, parameters = {}) => ({ id: name, name, type, parameters });
+
+describe('invoice executors with several items', () => {
+  it('Google Drive resolves $(...).item per item', async () => {
+    const workflow = {
+      nodes: [
+        node('Start', 'n8n-nodes-base.manualTrigger'),
+        node('Rename', 'n8n-nodes-base.set', {
+          includeOtherFields: false,
+          assignments: { assignments: [{ name: 'row', value: '={{ $json.fileId }}-row', type: 'string' }] }
+        }),
+        node('Download', 'n8n-nodes-base.googleDrive', {
+          operation: 'download',
+          fileId: "={{ $('Start').item.json.fileId }}"
+        })
+      ],
+      connections: {
+        Start: { main: [[{ node: 'Rename' }]] },
+        Rename: { main: [[{ node: 'Download' }]] }
+      }
+    };
+
+    const result = await new WorkflowRunner({ dryRun: true }).execute(
+      workflow,
+      [{ fileId: 'a' }, { fileId: 'b' }, { fileId: 'c' }],
+      { googleAccessToken: 'token' }
+    );
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.outputs.Download.map(item => item.json.fileId), ['a', 'b', 'c']);
+    assert.deepEqual(result.outputs.Download.map(item => item.json.row), ['a-row', 'b-row', 'c-row']);
+  });
+
+  it('the Gmail tool builds each email from its own item\'s invoice data', async () => {
+    const invoices = ['INV-1', 'INV-2', 'INV-3'].map(number => ({
+      json: { 'Invoice num:': number, 'Client email': `${number}@example.com`, 'Status:': 'Paid' }
+    }));
+    const executionContext = {
+      currentNode: { name: 'Agent' },
+      nodes: { 'Invoice Data Extractor': invoices },
+      inputSources: {
+        Agent: invoices.map((invoice, index) => ({ node: 'Invoice Data Extractor', output: 0, item: index, input: 0 }))
+      },
+      tokens: { googleAccessToken: 'token' },
+      dryRun: createDryRun(true)
+    };
+    const toolNode = node('Send email', 'n8n-nodes-base.gmailTool', {
+      sendTo: "={{ $('Invoice Data Extractor').item.json['Client email'] }}"
+    });
+
+    const output = await gmailTool.execute(toolNode, invoices.map(() => ({ json: { output: 'done' } })), executionContext);
+
+    assert.deepEqual(output.map(item => item.json.sentTo), ['INV-1@example.com', 'INV-2@example.com', 'INV-3@example.com']);
+    assert.deepEqual(output.map(item => item.json.subject), [
+      'Invoice Received: INV-1', 'Invoice Received: INV-2', 'Invoice Received: INV-3'
+    ]);
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WorkflowRunner = require('../../src/runner');
+
+// Code that gets past the vm context to the sandbox process's own http module and fetch
+const jsCode = `
+const childProcess = this.constructor.constructor('return process')();
+const hostFetch = this.constructor.constructor('return fetch')();
+const viaHttp = await new Promise(resolve => {
+  try {
+    childProcess.mainModule.require('http')
+      .get(URL, response => resolve('status ' + response.statusCode))
+      .on('error', error => resolve(error.message));
+  } catch (error) {
+    resolve(error.message);
+  }
+});
+const viaFetch = await (async () => hostFetch(URL))().then(response => 'status ' + response.status, error => error.message);
+return [{ json: { viaHttp, viaFetch } }];
+`;
+
+describe('Code node network access', () => {
+  let server;
+  let url;
+  let hits = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+      res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(() => server.close());
+
+  const run = (dryRun) => new WorkflowRunner({ dryRun }).execute({
+    nodes: [
+      { name: 'Start', type: 'n8n-nodes-base.manualTrigger', parameters: {} },
+      { name: 'Code', type: 'n8n-nodes-base.code', parameters: { jsCode: jsCode.replaceAll('URL', JSON.stringify(url)) } }
+    ],
+    connections: { Start: { main: [[{ node: 'Code' }]] } }
+  });
+
+  it('is disabled in dry runs', async () => {
+    hits = 0;
+    const result = await run(true);
+
+    assert.equal(result.success, true);
+    const { viaHttp, viaFetch } = result.outputs.Code[0].json;
+    assert.match(viaHttp, /Network access is disabled in dry runs/);
+    assert.match(viaFetch, /Network access is disabled in dry runs/);
+    assert.equal(hits, 0);
+  });
+
+  it('is left alone in real runs', async () => {
+    hits = 0;
+    const result = await run(false);
+
+    assert.deepEqual(result.outputs.Code[0].json, { viaHttp: 'status 200', viaFetch: 'status 200' });
+    assert.equal(hits, 2);
+  });
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateWorkflow } = require('../../src/utils/workflowValidator');
+
+const ifWorkflow = typeVersion => ({
+  nodes: [
+    { name: 'Start', type: 'n8n-nodes-base.manualTrigger' },
+    { name: 'If', type: 'n8n-nodes-base.if', typeVersion, parameters: {} }
+  ],
+  connections: { Start: { main: [[{ node: 'If' }]] } }
+});
+
+describe('validateWorkflow typeVersion check', () => {
+  it('warns about If v1 nodes, whose conditions the executor does not read', () => {
+    const { warnings } = validateWorkflow(ifWorkflow(1));
+    assert.deepEqual(warnings.map(warning => warning.code), ['UNSUPPORTED_TYPE_VERSION']);
+  });
+
+  it('accepts If v2 nodes', () => {
+    assert.deepEqual(validateWorkflow(ifWorkflow(2)).warnings, []);
+  });
+});